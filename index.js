@@ -1,40 +1,73 @@
 import "dotenv/config";
 import express from "express";
 import mongoose from "mongoose";
-import cors from "cors";
 import path from "path";
 import { fileURLToPath } from "url";
-import authRoutes from "./routes/auth.js";
-import userRoutes from "./routes/users.js";
-import productRoutes from "./routes/products.js";
-import categoryRoutes from "./routes/categories.js";
-import orderRoutes from "./routes/orders.js";
+import { apiRoutes } from "./routes/api.js";
+import { createDocsRouter } from "./routes/docs.js";
+import { ensureDefaultRoles } from "./services/permissionService.js";
+import {
+  ensureDefaultShippingMethod,
+  ensureDefaultTaxRule,
+} from "./services/pricingService.js";
+import { backfillSearchTerms } from "./services/searchService.js";
+import { requestContext } from "./utils/requestContext.js";
+import { errorHandler, notFound } from "./middleware/errorHandler.js";
+import { rateLimit } from "./middleware/rateLimit.js";
+import { corsPolicy, securityHeaders } from "./middleware/security.js";
+import { getConfig } from "./utils/config.js";
+import { LOCAL_UPLOAD_DIR, LOCAL_UPLOAD_URL } from "./services/storage.js";
+
+// Refuses to start when required settings are missing or unsafe
+const config = getConfig();
 
 const app = express();
-const PORT = process.env.PORT || 5000;
-const MONGODB_URI = process.env.MONGODB_URI;
+const PORT = config.port;
+const MONGODB_URI = config.mongodbUri;
+
+// Behind a proxy (e.g. on Vercel) the client IP comes from X-Forwarded-For,
+// so rate limits count clients rather than the proxy
+app.set("trust proxy", config.trustProxy);
+app.disable("x-powered-by");
 
 // Middleware
-app.use(cors());
-app.use(express.json());
-app.use(express.urlencoded({ extended: true }));
+app.use(requestContext);
+app.use(securityHeaders({ hsts: !config.development }));
+app.use(corsPolicy(config.corsOrigins));
+app.use(
+  express.json({
+    limit: config.bodyLimit,
+    // Payment webhooks are verified against the exact bytes received
+    verify: (req, res, buf) => {
+      req.rawBody = buf;
+    },
+  })
+);
+app.use(express.urlencoded({ extended: true, limit: config.bodyLimit }));
 
 // API Routes
 app.get("/", (req, res) => res.send("Server working on "));
 
-app.use("/api/auth", authRoutes);
-app.use("/api/users", userRoutes);
-app.use("/api/products", productRoutes);
-app.use("/api/categories", categoryRoutes);
-app.use("/api/orders", orderRoutes);
+app.use("/api", rateLimit("api"));
+for (const [mountPath, router] of apiRoutes) {
+  app.use(mountPath, router);
+}
+app.use("/api/docs", createDocsRouter(apiRoutes));
+
+// Files uploaded to local storage
+app.use(LOCAL_UPLOAD_URL, express.static(LOCAL_UPLOAD_DIR));
 
 // Serve static assets in production
 
 // Connect to MongoDB
 mongoose
   .connect(MONGODB_URI)
-  .then(() => {
+  .then(async () => {
     console.log("Connected to MongoDB");
+    await ensureDefaultRoles();
+    await ensureDefaultShippingMethod();
+    await ensureDefaultTaxRule();
+    await backfillSearchTerms();
     // Start server
     app.listen(PORT, () => {
       console.log(`Server running on port ${PORT}`);
@@ -44,18 +77,11 @@ mongoose
     console.error("MongoDB connection error:", err.message);
   });
 
+// 404 handler
+app.use(notFound);
+
 // Error handling middleware
-app.use((err, req, res, next) => {
-  console.error(err.stack);
-  res.status(500).json({
-    message: "Something went wrong!",
-    error: process.env.NODE_ENV === "development" ? err.message : undefined,
-  });
-});
+app.use(errorHandler);
 
-// 404 handler
-app.use((req, res) => {
-  res.status(404).json({ message: "Route not found" });
-});
 // Updated to export the app for Vercel
 export default app;
@@ -1,73 +1,114 @@
 import jwt from "jsonwebtoken";
 import User from "../models/User.js";
+import { getJwtSecret, isSessionActive } from "../services/sessionService.js";
+import { hasPermission } from "../services/permissionService.js";
+import { getRequestContext } from "../utils/requestContext.js";
+import {
+  ForbiddenError,
+  NotFoundError,
+  UnauthorizedError,
+} from "../utils/errors.js";
+import { asyncHandler } from "./errorHandler.js";
 
 // Middleware to authenticate JWT token
 export const authenticate = async (req, res, next) => {
   try {
     const authHeader = req.headers.authorization;
     if (!authHeader) {
-      return res.status(401).json({ message: "Authorization token missing" });
+      throw new UnauthorizedError("Authorization token missing");
     }
 
     const token = authHeader.split(" ")[1];
-    const secret = process.env.JWT_SECRET || "your-secret-key";
 
     // Verify the token
-    const decoded = jwt.verify(token, secret);
+    const decoded = jwt.verify(token, getJwtSecret());
+
+    // Reject tokens whose session was logged out or revoked
+    if (!decoded.sid || !(await isSessionActive(decoded.sid))) {
+      throw new UnauthorizedError("Session has been revoked");
+    }
 
     // Fetch user details
     const user = await User.findById(decoded.id).select("-password");
     if (!user) {
-      return res
-        .status(401)
-        .json({ message: "Invalid token or user does not exist" });
+      throw new UnauthorizedError("Invalid token or user does not exist");
     }
 
     req.user = user; // Attach user to request object
+    req.sessionId = decoded.sid;
+    const context = getRequestContext();
+    if (context) context.user = user;
     next();
   } catch (error) {
-    console.error("Authentication error:", error);
-    const message =
-      error.name === "TokenExpiredError"
-        ? "Token has expired"
-        : "Invalid token";
-    res.status(401).json({ message });
+    if (error instanceof UnauthorizedError) return next(error);
+    if (error instanceof jwt.JsonWebTokenError) {
+      return next(
+        new UnauthorizedError(
+          error.name === "TokenExpiredError"
+            ? "Token has expired"
+            : "Invalid token"
+        )
+      );
+    }
+    next(error);
   }
 };
 
-// Middleware to check admin role
-export const isAdmin = (req, res, next) => {
-  if (req.user?.role === "admin") {
+// Middleware to authenticate when a token is sent, letting guests through
+export const optionalAuthenticate = (req, res, next) => {
+  if (!req.headers.authorization) {
     return next();
   }
-  res
-    .status(403)
-    .json({ message: "Access denied. Admin permissions required" });
+  return authenticate(req, res, next);
 };
 
-// Middleware to check ownership or admin role
-export const isOwnerOrAdmin = (model) => async (req, res, next) => {
-  try {
+// Mark the rest of the request as a staff action, so the changes it makes
+// are written to the audit log
+const auditRequest = () => {
+  const context = getRequestContext();
+  if (context) context.audit = true;
+};
+
+// Middleware to check the user's role grants a permission. The permission
+// is kept on the middleware for the API docs.
+export const requirePermission = (permission) => {
+  const middleware = asyncHandler(async (req, res, next) => {
+    if (!(await hasPermission(req.user, permission))) {
+      throw new ForbiddenError(
+        `Access denied. Requires ${permission} permission`
+      );
+    }
+    auditRequest();
+    next();
+  });
+  middleware.permission = permission;
+  return middleware;
+};
+
+// Middleware to check ownership or a permission over all such resources
+export const isOwnerOrPermitted = (model, permission) => {
+  const middleware = asyncHandler(async (req, res, next) => {
     const resourceId = req.params.id;
 
     // Fetch the resource
     const resource = await model.findById(resourceId);
     if (!resource) {
-      return res.status(404).json({ message: "Resource not found" });
+      throw new NotFoundError("Resource not found");
     }
 
     // Validate ownership or admin role
     const isOwner =
       resource.user && resource.user.toString() === req.user._id.toString();
-    if (isOwner || req.user.role === "admin") {
+    if (isOwner) {
       return next();
     }
-
-    res.status(403).json({ message: "Access denied. Not authorized" });
-  } catch (error) {
-    console.error("Authorization error:", error);
-    res
-      .status(500)
-      .json({ message: "Server error during authorization check" });
-  }
+    if (!(await hasPermission(req.user, permission))) {
+      throw new ForbiddenError("Access denied. Not authorized");
+    }
+    auditRequest();
+    next();
+  });
+  middleware.permission = permission;
+  middleware.ownerAllowed = true;
+  return middleware;
 };
@@ -0,0 +1,127 @@
+import mongoose from "mongoose";
+import multer from "multer";
+import { AppError, NotFoundError, errorCode } from "../utils/errors.js";
+
+// Wrap an async route handler so a rejected promise reaches the error
+// middleware instead of being left unhandled
+export const asyncHandler = (handler) => (req, res, next) =>
+  Promise.resolve(handler(req, res, next)).catch(next);
+
+const fieldDetails = (errors) =>
+  Object.values(errors).map((error) => ({
+    field: error.path,
+    message:
+      error.name === "CastError"
+        ? `${error.path} has an invalid value`
+        : error.message,
+  }));
+
+// Turn any thrown error into { status, code, message, details }. Errors we
+// did not anticipate come back as null.
+const describeError = (err) => {
+  if (err instanceof AppError) {
+    return {
+      status: err.status,
+      code: err.code,
+      message: err.message,
+      details: err.details,
+    };
+  }
+
+  if (err instanceof mongoose.Error.ValidationError) {
+    return {
+      status: 400,
+      code: "VALIDATION_ERROR",
+      message: "Validation failed",
+      details: fieldDetails(err.errors),
+    };
+  }
+
+  if (err instanceof mongoose.Error.CastError) {
+    return {
+      status: 400,
+      code: "INVALID_ID",
+      message: `Invalid ${err.path}: ${err.value}`,
+      details: [
+        { field: err.path, message: `${err.path} has an invalid value` },
+      ],
+    };
+  }
+
+  // Unique index violations, e.g. a product SKU or user email in use
+  if (err.code === 11000) {
+    const fields = Object.keys(err.keyValue || err.keyPattern || {});
+    return {
+      status: 409,
+      code: "DUPLICATE_KEY",
+      message: fields.length
+        ? `${fields.join(", ")} is already in use`
+        : "Duplicate value",
+      details: fields.map((field) => ({
+        field,
+        message: `${field} must be unique`,
+      })),
+    };
+  }
+
+  if (err instanceof multer.MulterError) {
+    return {
+      status: 400,
+      code: errorCode(400),
+      message: err.message,
+      details: err.field ? [{ field: err.field, message: err.message }] : [],
+    };
+  }
+
+  // Errors from express and body-parser, e.g. malformed JSON or a body
+  // over the size limit
+  const status = err.status || err.statusCode;
+  if (status >= 400 && status < 500 && err.expose !== false) {
+    return {
+      status,
+      code: errorCode(status),
+      message:
+        err.type === "entity.parse.failed"
+          ? "Malformed JSON body"
+          : err.message,
+    };
+  }
+
+  return null;
+};
+
+// Unmatched routes
+export const notFound = (req, res, next) => {
+  next(new NotFoundError("Route not found"));
+};
+
+// Send every error as { code, message, details, requestId }. Unexpected
+// errors are logged and their message is only shown in development.
+export const errorHandler = (err, req, res, next) => {
+  let error = describeError(err);
+
+  if (!error) {
+    console.error(`[${req.id}] ${req.method} ${req.originalUrl} error:`, err);
+    error = {
+      status: 500,
+      code: errorCode(500),
+      message:
+        process.env.NODE_ENV === "development"
+          ? err.message
+          : "Something went wrong",
+    };
+  }
+
+  if (res.headersSent) return next(err);
+
+  if (err instanceof AppError && err.retryAfter !== undefined) {
+    res.set("Retry-After", String(err.retryAfter));
+  }
+
+  res.status(error.status).json({
+    code: error.code,
+    message: error.message,
+    details: error.details || [],
+    requestId: req.id,
+  });
+};
@@ -0,0 +1,90 @@
+import { getRateLimitStore } from "../services/rateLimitStore.js";
+import { TooManyRequestsError } from "../utils/errors.js";
+import { asyncHandler } from "./errorHandler.js";
+
+const MINUTE = 60 * 1000;
+
+// Limits per route group: at most max requests per windowMs. keyBy lists
+// what requests are counted by, each with its own counter: "ip", or "user"
+// (the signed-in user; guests are counted by IP). Override a group with
+// RATE_LIMIT_<GROUP>_MAX and RATE_LIMIT_<GROUP>_WINDOW (in seconds).
+export const RATE_LIMITS = {
+  // Every API request
+  api: { max: 1000, windowMs: 15 * MINUTE, keyBy: ["ip"] },
+  // Sign-in, registration and password reset
+  auth: { max: 20, windowMs: 15 * MINUTE, keyBy: ["ip"] },
+  // Public product listing and search
+  catalog: { max: 120, windowMs: MINUTE, keyBy: ["ip"] },
+  // Placing orders and payments
+  checkout: { max: 20, windowMs: 15 * MINUTE, keyBy: ["user"] },
+};
+
+const envNumber = (name) => {
+  const value = Number(process.env[name]);
+  return process.env[name] && value > 0 ? value : undefined;
+};
+
+const limitFor = (group) => {
+  const limit = RATE_LIMITS[group];
+  const prefix = `RATE_LIMIT_${group.toUpperCase()}`;
+  const windowSeconds = envNumber(`${prefix}_WINDOW`);
+  return {
+    ...limit,
+    max: envNumber(`${prefix}_MAX`) ?? limit.max,
+    windowMs: windowSeconds ? windowSeconds * 1000 : limit.windowMs,
+  };
+};
+
+const requestKeys = (req, group, keyBy) => {
+  const keys = new Set(
+    keyBy.map((by) =>
+      by === "user" && req.user ? `user:${req.user._id}` : `ip:${req.ip}`
+    )
+  );
+  return [...keys].map((key) => `rate:${group}:${key}`);
+};
+
+// Middleware to limit requests for a route group (see RATE_LIMITS). Sends
+// the RateLimit-Limit, RateLimit-Remaining and RateLimit-Reset headers for
+// the counter closest to its limit, and a 429 with Retry-After once any
+// counter is over. The group is kept on the middleware for the API docs.
+// Place it after authenticate to count signed-in users by account.
+export const rateLimit = (group) => {
+  if (!RATE_LIMITS[group]) {
+    throw new Error(`Unknown rate limit group: ${group}`);
+  }
+
+  const middleware = asyncHandler(async (req, res, next) => {
+    const { max, windowMs, keyBy } = limitFor(group);
+    const store = getRateLimitStore();
+    const counters = await Promise.all(
+      requestKeys(req, group, keyBy).map((key) =>
+        store.increment(key, windowMs)
+      )
+    );
+    // The counter with the fewest requests left, or the latest reset
+    const { count, resetAt } = counters.reduce((worst, counter) =>
+      counter.count > worst.count ||
+      (counter.count === worst.count && counter.resetAt > worst.resetAt)
+        ? counter
+        : worst
+    );
+    const resetSeconds = Math.max(0, Math.ceil((resetAt - Date.now()) / 1000));
+
+    res.set({
+      "RateLimit-Limit": String(max),
+      "RateLimit-Remaining": String(Math.max(0, max - count)),
+      "RateLimit-Reset": String(resetSeconds),
+    });
+
+    if (count > max) {
+      throw new TooManyRequestsError(
+        "Too many requests, please try again later",
+        resetSeconds
+      );
+    }
+    next();
+  });
+  middleware.rateLimit = group;
+  return middleware;
+};
@@ -0,0 +1,52 @@
+import cors from "cors";
+
+// The API only returns JSON and files, so by default nothing in a response
+// may load scripts or be framed. Pages that need more (the API docs) set
+// their own Content-Security-Policy.
+const API_CONTENT_SECURITY_POLICY =
+  "default-src 'none'; frame-ancestors 'none'; base-uri 'none'; form-action 'none'";
+
+// Browsers only reach the API over HTTPS for a year (in seconds) after
+// seeing this
+const STRICT_TRANSPORT_SECURITY = "max-age=31536000; includeSubDomains";
+
+// Response headers browser clients may read
+const EXPOSED_HEADERS = [
+  "X-Request-Id",
+  "X-Cart-Token",
+  "RateLimit-Limit",
+  "RateLimit-Remaining",
+  "RateLimit-Reset",
+  "Retry-After",
+];
+
+// Middleware to send security headers with every response. HSTS is left
+// out in development, where the API runs over plain HTTP.
+export const securityHeaders = ({ hsts = true } = {}) => {
+  const headers = {
+    "Content-Security-Policy": API_CONTENT_SECURITY_POLICY,
+    "X-Content-Type-Options": "nosniff",
+    "X-Frame-Options": "DENY",
+    "Referrer-Policy": "no-referrer",
+    "Cross-Origin-Opener-Policy": "same-origin",
+    "Permissions-Policy": "camera=(), microphone=(), geolocation=()",
+  };
+  if (hsts) {
+    headers["Strict-Transport-Security"] = STRICT_TRANSPORT_SECURITY;
+  }
+
+  return (req, res, next) => {
+    res.set(headers);
+    next();
+  };
+};
+
+// Middleware to answer CORS requests from the allowed origins only. Other
+// origins get no CORS headers, so browsers block the response. "*" in the
+// list allows every origin.
+export const corsPolicy = (origins) =>
+  cors({
+    origin: origins.includes("*") ? "*" : origins,
+    exposedHeaders: EXPOSED_HEADERS,
+    maxAge: 600,
+  });
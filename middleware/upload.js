@@ -0,0 +1,45 @@
+import multer from "multer";
+import { BadRequestError } from "../utils/errors.js";
+
+// Accept a single file in a multipart field, kept in memory as req.file.
+// Files over maxSize or, when types are given, of another MIME type are
+// rejected with a 400.
+export const uploadFile = (field, { maxSize, types = [] } = {}) => {
+  const upload = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: maxSize, files: 1 },
+    fileFilter: (req, file, cb) => {
+      if (types.length && !types.includes(file.mimetype)) {
+        req.uploadError = `File must be one of: ${types.join(", ")}`;
+        return cb(null, false);
+      }
+      cb(null, true);
+    },
+  }).single(field);
+
+  const middleware = (req, res, next) => {
+    upload(req, res, (error) => {
+      if (error instanceof multer.MulterError) {
+        const message =
+          error.code === "LIMIT_FILE_SIZE"
+            ? `File is too large. Maximum size is ${maxSize} bytes`
+            : error.message;
+        return next(
+          new BadRequestError(message, [{ field: error.field, message }])
+        );
+      }
+      if (error) return next(error);
+      if (req.uploadError) {
+        return next(
+          new BadRequestError(req.uploadError, [
+            { field, message: req.uploadError },
+          ])
+        );
+      }
+      next();
+    });
+  };
+  // Described in the API docs as a multipart upload
+  middleware.file = { field, maxSize, types };
+  return middleware;
+};
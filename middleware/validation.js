@@ -1,93 +1,682 @@
-// Validation middleware for user registration
-export const validateRegistration = (req, res, next) => {
-  const { name, email, password } = req.body;
-  
-  if (!name || !email || !password) {
-    return res.status(400).json({ message: 'All fields are required' });
-  }
-  
-  if (name.length < 2) {
-    return res.status(400).json({ message: 'Name must be at least 2 characters long' });
-  }
-  
-  const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
-  if (!emailRegex.test(email)) {
-    return res.status(400).json({ message: 'Please provide a valid email address' });
-  }
-  
-  if (password.length < 6) {
-    return res.status(400).json({ message: 'Password must be at least 6 characters long' });
-  }
-  
-  next();
+import { PERMISSIONS } from '../services/permissionService.js';
+import { INTERVALS } from '../services/analyticsService.js';
+import { STATUS_TRANSITIONS } from '../models/Order.js';
+import { MOVEMENT_REASONS } from '../models/InventoryMovement.js';
+import { ValidationError } from '../utils/errors.js';
+import { s, validateValue } from '../utils/schema.js';
+
+// Check req.params, req.query and req.body against schemas, replacing
+// query and body with the cleaned values (coerced numbers and booleans,
+// unknown fields dropped). Every problem is reported in one 400. The
+// schemas stay on the middleware for the API docs.
+export const validate = (schemas) => {
+  const middleware = (req, res, next) => {
+    const errors = [];
+    const cleaned = {};
+
+    for (const location of ['params', 'query', 'body']) {
+      if (!schemas[location]) continue;
+      const result = validateValue(schemas[location], req[location] || {});
+      cleaned[location] = result.value;
+      errors.push(...result.errors.map(error => ({ ...error, location })));
+    }
+
+    if (errors.length) {
+      return next(new ValidationError(errors));
+    }
+
+    // Params are merged so those of parent routers stay available
+    if (cleaned.params) Object.assign(req.params, cleaned.params);
+    if (cleaned.query) {
+      // req.query is a getter in Express 5, so shadow it on the request
+      Object.defineProperty(req, 'query', { value: cleaned.query, writable: true, configurable: true, enumerable: true });
+    }
+    if (cleaned.body) req.body = cleaned.body;
+
+    next();
+  };
+  middleware.schemas = schemas;
+  return middleware;
 };
 
-// Validation middleware for user login
-export const validateLogin = (req, res, next) => {
-  const { email, password } = req.body;
-  
-  if (!email || !password) {
-    return res.status(400).json({ message: 'Email and password are required' });
-  }
-  
-  const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
-  if (!emailRegex.test(email)) {
-    return res.status(400).json({ message: 'Please provide a valid email address' });
-  }
-  
-  next();
+// Shared pieces
+
+const EMAIL_MESSAGE = 'Please provide a valid email address';
+
+const password = () => s.string({ min: 6 }).message('Password must be at least 6 characters long');
+
+const pagination = (limit, max = 100) => ({
+  page: s.integer({ min: 1 }).default(1),
+  limit: s.integer({ min: 1, max }).default(limit)
+});
+
+const dateRange = (from = 'from', to = 'to') => ({
+  [from]: s.date(),
+  [to]: s.date()
+});
+
+const checkDateRange = (from = 'from', to = 'to') => value =>
+  value[from] && value[to] && value[from] > value[to]
+    ? [{ field: from, message: `${from} must be before ${to}` }]
+    : null;
+
+const idParams = (name, message) =>
+  s.object({ [name]: s.objectId().required().message(message) });
+
+// ISO 3166 alpha-2, e.g. US; tax rules and shipping methods match on these
+const countryCode = () =>
+  s.string({ trim: true, uppercase: true, pattern: /^[A-Z]{2}$/ })
+    .message('Country must be a 2-letter country code');
+
+const stringList = () => s.array(s.string());
+
+const address = s.object({
+  name: s.string({ trim: true, max: 100 }),
+  street: s.string({ trim: true, max: 200 }),
+  city: s.string({ trim: true, max: 100 }),
+  state: s.string({ trim: true, max: 100 }),
+  postalCode: s.string({ trim: true, max: 20 }),
+  country: countryCode(),
+  phone: s.string({ trim: true, max: 30 })
+});
+
+// Auth
+
+export const validateRegistration = validate({
+  body: s.object({
+    name: s.string({ trim: true, min: 2, max: 100 }).required('All fields are required')
+      .message('Name must be at least 2 characters long'),
+    email: s.email().required('All fields are required').message(EMAIL_MESSAGE),
+    password: password().required('All fields are required'),
+    cartToken: s.string()
+  })
+});
+
+export const validateLogin = validate({
+  body: s.object({
+    email: s.email().required('Email and password are required').message(EMAIL_MESSAGE),
+    password: s.string().required('Email and password are required'),
+    cartToken: s.string()
+  })
+});
+
+export const validateRefreshToken = validate({
+  body: s.object({
+    refreshToken: s.string({ min: 1 }).required().message('Refresh token is required')
+  })
+});
+
+export const validateLogout = validate({
+  body: s.object({ refreshToken: s.string() })
+});
+
+export const validatePasswordChange = validate({
+  body: s.object({
+    currentPassword: s.string().required('Current and new password are required'),
+    newPassword: password().required('Current and new password are required')
+  })
+});
+
+export const validateForgotPassword = validate({
+  body: s.object({ email: s.email().required().message(EMAIL_MESSAGE) })
+});
+
+export const validateResetPassword = validate({
+  body: s.object({
+    token: s.string({ min: 1 }).required().message('Reset token is required'),
+    password: password().required()
+  })
+});
+
+export const validateEmailVerification = validate({
+  body: s.object({
+    token: s.string({ min: 1 }).required().message('Verification token is required')
+  })
+});
+
+// Users
+
+const profileFields = {
+  name: s.string({ trim: true, min: 2, max: 100 }).message('Name must be at least 2 characters long'),
+  email: s.email().message(EMAIL_MESSAGE),
+  phone: s.string({ trim: true, max: 30 }),
+  address
 };
 
-// Validation middleware for product creation/update
-export const validateProduct = (req, res, next) => {
-  const { name, description, price, category, inventory } = req.body;
-  
-  if (!name || !description || !price || !category) {
-    return res.status(400).json({ message: 'Name, description, price, and category are required' });
-  }
-  
-  if (name.length < 3) {
-    return res.status(400).json({ message: 'Product name must be at least 3 characters long' });
-  }
-  
-  if (description.length < 10) {
-    return res.status(400).json({ message: 'Description must be at least 10 characters long' });
-  }
-  
-  if (isNaN(price) || price <= 0) {
-    return res.status(400).json({ message: 'Price must be a positive number' });
-  }
-  
-  if (inventory !== undefined && (isNaN(inventory) || inventory < 0)) {
-    return res.status(400).json({ message: 'Inventory must be a non-negative number' });
-  }
-  
-  next();
+export const validateProfile = validate({ body: s.object(profileFields) });
+
+export const validateUserList = validate({ query: s.object(pagination(10)) });
+
+export const validateUserId = validate({ params: idParams('id', 'Invalid user ID') });
+
+export const validateUserUpdate = validate({
+  params: idParams('id', 'Invalid user ID'),
+  body: s.object({ ...profileFields, role: s.string({ trim: true, min: 1 }) })
+});
+
+export const validateRoleAssignment = validate({
+  params: idParams('id', 'Invalid user ID'),
+  body: s.object({
+    role: s.string({ trim: true, min: 1 }).required().message('Role is required')
+  })
+});
+
+// Products
+
+const variant = s.object({
+  _id: s.objectId(),
+  sku: s.string({ trim: true, min: 1 }).required(),
+  options: s.record(s.string()).required(),
+  price: s.number({ min: 0 }).nullable().message('Variant price must be a non-negative number'),
+  inventory: s.integer({ min: 0 }).message('Variant inventory must be a whole number of at least 0'),
+  images: stringList(),
+  isActive: s.boolean()
+});
+
+const option = s.object({
+  name: s.string({ trim: true, min: 1 }).required(),
+  values: s.array(s.string({ trim: true, min: 1 }), { min: 1 }).required()
+}).message('Each option must have a name and a list of values');
+
+// Product fields, shared by the product routes and bulk import
+export const productSchema = s.object({
+  name: s.string({ trim: true, min: 3, max: 200 }).required()
+    .message('Product name must be at least 3 characters long'),
+  description: s.string({ min: 10 }).required()
+    .message('Description must be at least 10 characters long'),
+  price: s.number({ min: 0 }).required().message('Price must be a number of at least 0'),
+  comparePrice: s.number({ min: 0 }).nullable(),
+  images: stringList(),
+  category: s.objectId().required().message('Category must be a category ID'),
+  inventory: s.integer({ min: 0 }).message('Inventory must be a whole number of at least 0'),
+  weight: s.number({ min: 0 }).nullable().message('Weight must be a non-negative number'),
+  lowStockThreshold: s.integer({ min: 0 }).nullable()
+    .message('Low stock threshold must be a whole number of at least 0'),
+  sku: s.string({ trim: true, min: 1, max: 64 }),
+  features: stringList(),
+  specifications: s.record(s.string()),
+  options: s.array(option),
+  variants: s.array(variant),
+  isFeatured: s.boolean(),
+  isPublished: s.boolean()
+});
+
+// Partial updates only check the fields that are sent
+export const productUpdateSchema = productSchema.partial();
+
+const PRODUCT_SORTS = ['price_asc', 'price_desc', 'newest', 'rating'];
+
+export const validateProductList = validate({
+  query: s.object({
+    ...pagination(12),
+    category: s.objectId().message('Invalid category ID'),
+    minPrice: s.number({ min: 0 }),
+    maxPrice: s.number({ min: 0 }),
+    search: s.string({ trim: true, max: 200 }),
+    featured: s.boolean(),
+    // Variant options, e.g. Size:M,Color:Red|Blue
+    options: s.string({ max: 500 }),
+    sort: s.oneOf(PRODUCT_SORTS)
+  })
+});
+
+export const validateProductSearch = validate({
+  query: s.object({
+    ...pagination(12),
+    q: s.string({ trim: true, max: 200 }),
+    // Comma-separated lists, checked by the search service
+    category: s.string({ max: 1000 }),
+    price: s.string({ max: 200 }),
+    specs: s.string({ max: 1000 }),
+    minPrice: s.number({ min: 0 }),
+    maxPrice: s.number({ min: 0 }),
+    minRating: s.number({ min: 0, max: 5 }),
+    inStock: s.boolean(),
+    sort: s.oneOf(PRODUCT_SORTS)
+  })
+});
+
+export const validateAutocomplete = validate({
+  query: s.object({
+    q: s.string({ trim: true }).default(''),
+    limit: s.integer({ min: 1, max: 20 }).default(8)
+  })
+});
+
+const TRANSFER_FORMATS = ['csv', 'json'];
+
+export const validateProductExport = validate({
+  query: s.object({ format: s.oneOf(TRANSFER_FORMATS).default('json') })
+});
+
+// Multipart fields arrive as strings, so dryRun may come as "true"
+export const validateProductImport = validate({
+  query: s.object({ format: s.oneOf(TRANSFER_FORMATS), dryRun: s.boolean() }),
+  body: s.object({ dryRun: s.boolean() })
+});
+
+export const validateProductId = validate({ params: idParams('id', 'Invalid product ID') });
+
+export const validateProduct = validate({ body: productSchema });
+
+export const validateProductUpdate = validate({
+  params: idParams('id', 'Invalid product ID'),
+  body: productUpdateSchema
+});
+
+// Product images (mounted under /api/products/:id/images)
+
+export const validateImageUpload = validate({
+  query: s.object({ position: s.integer({ min: 0 }) }),
+  body: s.object({ position: s.integer({ min: 0 }) })
+});
+
+export const validateImageOrder = validate({
+  body: s.object({ images: stringList().required() })
+});
+
+export const validateImageId = validate({ params: idParams('imageId', 'Invalid image ID') });
+
+// Reviews (mounted under /api/products/:id/reviews)
+
+export const validateReviewList = validate({
+  query: s.object({
+    ...pagination(10),
+    includeHidden: s.boolean(),
+    verified: s.boolean(),
+    sort: s.oneOf(['newest', 'rating_desc', 'rating_asc'])
+  })
+});
+
+const reviewSchema = s.object({
+  rating: s.integer({ min: 1, max: 5 }).required('Rating is required')
+    .message('Rating must be a whole number from 1 to 5'),
+  title: s.string({ trim: true, max: 120 }).message('Title must be at most 120 characters long'),
+  comment: s.string({ max: 2000 }).message('Comment must be at most 2000 characters long')
+});
+
+export const validateReview = validate({ body: reviewSchema });
+
+export const validateReviewUpdate = validate({
+  params: idParams('reviewId', 'Invalid review ID'),
+  body: reviewSchema.partial()
+});
+
+export const validateReviewId = validate({ params: idParams('reviewId', 'Invalid review ID') });
+
+export const validateReviewModeration = validate({
+  params: idParams('reviewId', 'Invalid review ID'),
+  body: s.object({ isHidden: s.boolean(), isVerified: s.boolean() })
+    .refine(({ isHidden, isVerified }) =>
+      isHidden === undefined && isVerified === undefined ? 'isHidden or isVerified is required' : null)
+});
+
+// Categories
+
+const categorySchema = s.object({
+  name: s.string({ trim: true, min: 1, max: 100 }).required().message('Category name is required'),
+  description: s.string({ max: 2000 }),
+  image: s.string(),
+  parent: s.objectId().nullable().message('Parent must be a category ID'),
+  isActive: s.boolean()
+});
+
+export const validateCategory = validate({ body: categorySchema });
+
+export const validateCategoryUpdate = validate({
+  params: idParams('id', 'Invalid category ID'),
+  body: categorySchema.partial()
+});
+
+export const validateCategoryId = validate({ params: idParams('id', 'Invalid category ID') });
+
+// Orders and checkout
+
+const checkoutFields = {
+  shippingAddress: address.refine(({ name, street, city, postalCode, country }) =>
+    name && street && city && postalCode && country ? null : 'Complete shipping address is required'
+  ).required('Complete shipping address is required'),
+  shippingMethod: s.string({ trim: true }).message('Shipping method must be a method code'),
+  couponCode: s.string({ trim: true }).message('Coupon code must be a string'),
+  paymentMethod: s.oneOf(['credit_card', 'paypal', 'bank_transfer']).required()
+    .message('Valid payment method is required'),
+  notes: s.string({ max: 1000 })
 };
 
-// Validation middleware for order creation
-export const validateOrder = (req, res, next) => {
-  const { items, shippingAddress, paymentMethod } = req.body;
-  
-  if (!items || !Array.isArray(items) || items.length === 0) {
-    return res.status(400).json({ message: 'Order must contain at least one item' });
-  }
-  
-  for (const item of items) {
-    if (!item.product || !item.quantity || isNaN(item.quantity) || item.quantity <= 0) {
-      return res.status(400).json({ message: 'Each item must have a valid product ID and positive quantity' });
-    }
-  }
-  
-  if (!shippingAddress || !shippingAddress.name || !shippingAddress.street || 
-      !shippingAddress.city || !shippingAddress.postalCode || !shippingAddress.country) {
-    return res.status(400).json({ message: 'Complete shipping address is required' });
+export const validateOrder = validate({
+  body: s.object({
+    ...checkoutFields,
+    items: s.array(s.object({
+      product: s.objectId().required(),
+      variant: s.objectId().message('Item variant must be a variant ID'),
+      quantity: s.integer({ min: 1 }).required()
+    }), { min: 1 }).required().message('Order must contain at least one item')
+  })
+});
+
+export const validateCheckout = validate({ body: s.object(checkoutFields) });
+
+export const validateOrderList = validate({
+  query: s.object({
+    ...pagination(10),
+    status: s.oneOf(Object.keys(STATUS_TRANSITIONS)),
+    ...dateRange('startDate', 'endDate')
+  }).refine(checkDateRange('startDate', 'endDate'))
+});
+
+export const validateMyOrders = validate({ query: s.object(pagination(10)) });
+
+export const validateOrderId = validate({ params: idParams('id', 'Invalid order ID') });
+
+export const validateOrderCancellation = validate({
+  params: idParams('id', 'Invalid order ID'),
+  body: s.object({ reason: s.string({ max: 500 }) })
+});
+
+export const validateRefund = validate({
+  params: idParams('id', 'Invalid order ID'),
+  body: s.object({
+    items: s.array(s.object({
+      item: s.objectId().required(),
+      quantity: s.integer({ min: 1 })
+    })),
+    reason: s.string({ max: 500 }),
+    restock: s.boolean()
+  })
+});
+
+export const validateOrderStatus = validate({
+  params: idParams('id', 'Invalid order ID'),
+  body: s.object({
+    status: s.oneOf(Object.keys(STATUS_TRANSITIONS)).required('Status is required')
+      .message('Invalid status value'),
+    trackingNumber: s.string({ trim: true, max: 100 }),
+    note: s.string({ max: 500 }),
+    reason: s.string({ max: 500 })
+  })
+});
+
+// Payments
+
+export const validatePaymentIntent = validate({
+  body: s.object({ order: s.objectId().required().message('Valid order ID is required') })
+});
+
+export const validatePaymentConfirmation = validate({
+  params: s.object({ intentId: s.string({ min: 1, max: 100 }).required() }),
+  body: s.object({ paymentMethod: s.string({ max: 100 }) })
+});
+
+// Cart
+
+export const validateCartItem = validate({
+  body: s.object({
+    product: s.objectId().required().message('Product is required'),
+    variant: s.objectId().message('Variant must be a variant ID'),
+    quantity: s.integer({ min: 1 }).required().message('Quantity must be a whole number of at least 1')
+  })
+});
+
+const cartLine = {
+  params: idParams('productId', 'Invalid product ID'),
+  query: s.object({ variant: s.objectId().message('Variant must be a variant ID') })
+};
+
+export const validateCartQuantity = validate({
+  ...cartLine,
+  body: s.object({
+    quantity: s.integer({ min: 0 }).required().message('Quantity must be a whole number of at least 0')
+  })
+});
+
+export const validateCartLine = validate(cartLine);
+
+export const validateCartMerge = validate({
+  body: s.object({ cartToken: s.string() })
+});
+
+// Wishlists. The list is picked with ?list=<id> (or list in the body);
+// without one the default list is used.
+
+const listQuery = s.object({ list: s.objectId().message('List must be a wishlist ID') });
+
+export const validateWishlistQuery = validate({ query: listQuery });
+
+export const validateWishlistItem = validate({
+  query: listQuery,
+  body: s.object({
+    product: s.objectId().required().message('Product is required'),
+    variant: s.objectId().message('Variant must be a variant ID'),
+    list: s.objectId().message('List must be a wishlist ID')
+  })
+});
+
+export const validateWishlistLine = validate({
+  params: idParams('productId', 'Invalid product ID'),
+  query: listQuery.extend({ variant: s.objectId().message('Variant must be a variant ID') })
+});
+
+export const validateMoveToCart = validate({
+  query: listQuery,
+  body: s.object({
+    products: s.array(s.objectId()).message('Products must be a list of product IDs'),
+    keep: s.boolean(),
+    list: s.objectId().message('List must be a wishlist ID')
+  })
+});
+
+const wishlistSchema = s.object({
+  name: s.string({ trim: true, min: 1, max: 100 }).required('Wishlist name is required')
+    .message('Wishlist name must be between 1 and 100 characters'),
+  isPublic: s.boolean().message('isPublic must be true or false')
+});
+
+export const validateWishlist = validate({ body: wishlistSchema });
+
+export const validateWishlistUpdate = validate({
+  params: idParams('listId', 'Invalid wishlist ID'),
+  body: wishlistSchema.partial()
+});
+
+export const validateWishlistId = validate({ params: idParams('listId', 'Invalid wishlist ID') });
+
+export const validateShareToken = validate({
+  params: s.object({ token: s.string({ pattern: /^[a-f0-9]{32}$/ }).required().message('Invalid share link') })
+});
+
+// Inventory
+
+export const validateStockAdjustment = validate({
+  body: s.object({
+    product: s.objectId().required().message('Product is required'),
+    variant: s.objectId().message('Variant must be a variant ID'),
+    quantity: s.integer().refine(quantity => quantity === 0 ? 'Quantity must be a non-zero whole number' : null)
+      .message('Quantity must be a non-zero whole number'),
+    level: s.integer({ min: 0 }).message('Level must be a whole number of at least 0'),
+    note: s.string({ max: 500 }).message('Note must be a string')
+  }).refine(({ quantity, level }) =>
+    (quantity === undefined) === (level === undefined)
+      ? 'Give either a quantity to add or remove, or a stock level to set'
+      : null)
+});
+
+export const validateMovementList = validate({
+  query: s.object({
+    ...pagination(50),
+    product: s.objectId(),
+    variant: s.objectId(),
+    order: s.objectId(),
+    reason: s.oneOf(MOVEMENT_REASONS),
+    ...dateRange()
+  }).refine(checkDateRange())
+});
+
+export const validateLowStock = validate({
+  query: s.object({
+    threshold: s.integer({ min: 0 }),
+    limit: s.integer({ min: 1, max: 200 }).default(50)
+  })
+});
+
+// Reports and audit log
+
+export const validateReport = validate({
+  query: s.object({
+    ...dateRange(),
+    interval: s.oneOf(INTERVALS).default('day'),
+    limit: s.integer({ min: 1, max: 100 }).default(10)
+  }).refine(checkDateRange())
+});
+
+export const validateAuditLogList = validate({
+  query: s.object({
+    ...pagination(50),
+    actor: s.objectId(),
+    entityId: s.objectId(),
+    entity: s.string({ trim: true, max: 50 }),
+    action: s.oneOf(['create', 'update', 'delete']),
+    ...dateRange()
+  }).refine(checkDateRange())
+});
+
+// Tax rules
+
+// A country code, or * for every country without a rule of its own
+const taxCountry = () =>
+  s.string({ trim: true, uppercase: true, pattern: /^([A-Z]{2}|\*)$/ })
+    .message('Country must be a 2-letter country code or *');
+
+const taxRuleSchema = s.object({
+  name: s.string({ trim: true, min: 1, max: 100 }).required('Name, country, and rate are required'),
+  country: taxCountry().required('Name, country, and rate are required'),
+  // An empty (or null) state or category widens the rule again on update
+  state: s.string({ trim: true, max: 10 }).nullable(),
+  category: s.objectId().nullable().message('Category must be a category ID'),
+  rate: s.number({ min: 0, max: 100 }).required('Name, country, and rate are required')
+    .message('Rate must be a percentage between 0 and 100'),
+  isActive: s.boolean()
+});
+
+export const validateTaxRuleList = validate({
+  query: s.object({ country: taxCountry(), state: s.string({ trim: true, max: 10 }) })
+});
+
+export const validateTaxRule = validate({ body: taxRuleSchema });
+
+export const validateTaxRuleUpdate = validate({
+  params: idParams('id', 'Invalid tax rule ID'),
+  body: taxRuleSchema.partial()
+});
+
+export const validateTaxRuleId = validate({ params: idParams('id', 'Invalid tax rule ID') });
+
+// Shipping methods
+
+const tier = s.object({
+  min: s.number({ min: 0 }),
+  max: s.number({ min: 0 }).nullable(),
+  cost: s.number({ min: 0 }).required().message('Each tier must have a non-negative cost')
+}).refine(({ min = 0, max }) =>
+  max !== undefined && max !== null && max <= min ? 'Tier max must be greater than its min' : null);
+
+const shippingMethodSchema = s.object({
+  name: s.string({ trim: true, min: 1, max: 100 }).required('Name and code are required'),
+  code: s.string({ trim: true, pattern: /^[A-Za-z0-9_-]{1,32}$/ }).required('Name and code are required')
+    .message('Code must be 1-32 letters, numbers, dashes or underscores'),
+  description: s.string({ max: 500 }),
+  countries: s.array(countryCode()).message('Countries must be a list of country codes'),
+  basis: s.oneOf(['price', 'weight']).message('Basis must be either price or weight'),
+  tiers: s.array(tier),
+  baseCost: s.number({ min: 0 }).nullable().message('baseCost must be a non-negative number'),
+  freeShippingThreshold: s.number({ min: 0 }).nullable()
+    .message('freeShippingThreshold must be a non-negative number'),
+  isDefault: s.boolean(),
+  isActive: s.boolean()
+});
+
+export const validateShippingMethodList = validate({
+  query: s.object({ country: countryCode() })
+});
+
+export const validateShippingMethod = validate({ body: shippingMethodSchema });
+
+export const validateShippingMethodUpdate = validate({
+  params: idParams('id', 'Invalid shipping method ID'),
+  body: shippingMethodSchema.partial()
+});
+
+export const validateShippingMethodId = validate({ params: idParams('id', 'Invalid shipping method ID') });
+
+// Coupons
+
+const checkCoupon = ({ type, value, startsAt, expiresAt }) => {
+  const errors = [];
+  if (type === 'percentage' && value > 100) {
+    errors.push({ field: 'value', message: 'Percentage value cannot exceed 100' });
   }
-  
-  const validPaymentMethods = ['credit_card', 'paypal', 'bank_transfer'];
-  if (!paymentMethod || !validPaymentMethods.includes(paymentMethod)) {
-    return res.status(400).json({ message: 'Valid payment method is required' });
+  if (startsAt && expiresAt && startsAt >= expiresAt) {
+    errors.push({ field: 'expiresAt', message: 'Expiry date must be after the start date' });
   }
-  
-  next();
-};
\ No newline at end of file
+  return errors;
+};
+
+const couponSchema = s.object({
+  code: s.string({ trim: true, pattern: /^[A-Za-z0-9_-]{3,32}$/ }).required('Code and type are required')
+    .message('Code must be 3-32 letters, numbers, dashes or underscores'),
+  description: s.string({ max: 500 }),
+  type: s.oneOf(['percentage', 'fixed', 'free_shipping']).required('Code and type are required')
+    .message('Type must be percentage, fixed or free_shipping'),
+  value: s.number({ min: 0 }).message('Value must be a non-negative number'),
+  maxDiscount: s.number({ min: 0 }).nullable().message('maxDiscount must be a non-negative number'),
+  minSubtotal: s.number({ min: 0 }).nullable().message('minSubtotal must be a non-negative number'),
+  products: s.array(s.objectId()),
+  categories: s.array(s.objectId()),
+  startsAt: s.date().nullable().message('startsAt must be a valid date'),
+  expiresAt: s.date().nullable().message('expiresAt must be a valid date'),
+  usageLimit: s.integer({ min: 1 }).nullable().message('usageLimit must be a positive whole number'),
+  perUserLimit: s.integer({ min: 1 }).nullable().message('perUserLimit must be a positive whole number'),
+  isActive: s.boolean()
+}).refine(checkCoupon);
+
+export const validateCouponList = validate({
+  query: s.object({
+    ...pagination(20),
+    active: s.boolean(),
+    code: s.string({ trim: true, max: 32 })
+  })
+});
+
+export const validateCoupon = validate({
+  body: couponSchema.refine(({ type, value }) =>
+    type !== 'free_shipping' && value === undefined
+      ? [{ field: 'value', message: 'Value is required for percentage and fixed coupons' }]
+      : null)
+});
+
+export const validateCouponUpdate = validate({
+  params: idParams('id', 'Invalid coupon ID'),
+  body: couponSchema.partial()
+});
+
+export const validateCouponId = validate({ params: idParams('id', 'Invalid coupon ID') });
+
+// Roles
+
+const roleSchema = s.object({
+  name: s.string({ trim: true, pattern: /^[a-z0-9_-]{2,32}$/i }).required('Role name is required')
+    .message('Role name must be 2-32 letters, numbers, dashes or underscores'),
+  description: s.string({ max: 500 }),
+  permissions: s.array(s.string()).refine(permissions => {
+    const unknown = permissions.filter(p => p !== '*' && !Object.hasOwn(PERMISSIONS, p));
+    return unknown.length ? `Unknown permissions: ${unknown.join(', ')}` : null;
+  })
+});
+
+export const validateRole = validate({ body: roleSchema });
+
+export const validateRoleUpdate = validate({
+  params: idParams('id', 'Invalid role ID'),
+  body: roleSchema.partial()
+});
+
+export const validateRoleId = validate({ params: idParams('id', 'Invalid role ID') });
@@ -0,0 +1,40 @@
+import mongoose from "mongoose";
+
+const auditLogSchema = new mongoose.Schema({
+  actor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+  },
+  // Snapshot so the entry stays readable if the actor is deleted
+  actorEmail: String,
+  action: {
+    type: String,
+    required: true,
+    enum: ["create", "update", "delete"],
+  },
+  entity: {
+    type: String,
+    required: true,
+  },
+  entityId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true,
+  },
+  // Changed fields only for updates; the whole document for create/delete
+  before: mongoose.Schema.Types.Mixed,
+  after: mongoose.Schema.Types.Mixed,
+  ip: String,
+  userAgent: String,
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+auditLogSchema.index({ entity: 1, entityId: 1, createdAt: -1 });
+auditLogSchema.index({ actor: 1, createdAt: -1 });
+auditLogSchema.index({ createdAt: -1 });
+
+const AuditLog = mongoose.model("AuditLog", auditLogSchema);
+
+export default AuditLog;
@@ -0,0 +1,61 @@
+import mongoose from "mongoose";
+
+// Guest carts are removed after this long without changes
+const GUEST_CART_TTL_DAYS = 30;
+
+const cartSchema = new mongoose.Schema(
+  {
+    // Signed-in carts belong to a user; guest carts are found by token
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      unique: true,
+      sparse: true,
+    },
+    token: {
+      type: String,
+      unique: true,
+      sparse: true,
+    },
+    items: [
+      {
+        product: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: "Product",
+          required: true,
+        },
+        variant: mongoose.Schema.Types.ObjectId,
+        quantity: {
+          type: Number,
+          required: true,
+          min: 1,
+        },
+        addedAt: {
+          type: Date,
+          default: Date.now,
+        },
+      },
+    ],
+    expiresAt: Date,
+  },
+  { timestamps: true }
+);
+
+// Let MongoDB clean up abandoned guest carts
+cartSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Push back the expiry of a guest cart whenever it changes
+cartSchema.pre("save", function (next) {
+  if (!this.user) {
+    this.expiresAt = new Date(
+      Date.now() + GUEST_CART_TTL_DAYS * 24 * 60 * 60 * 1000
+    );
+  } else {
+    this.expiresAt = undefined;
+  }
+  next();
+});
+
+const Cart = mongoose.model("Cart", cartSchema);
+
+export default Cart;
@@ -1,4 +1,5 @@
 import mongoose from 'mongoose';
+import auditPlugin from './plugins/audit.js';
 
 const categorySchema = new mongoose.Schema({
   name: {
@@ -37,6 +38,8 @@ categorySchema.virtual('url').get(function() {
   return `/categories/${this.slug}`;
 });
 
+categorySchema.plugin(auditPlugin);
+
 const Category = mongoose.model('Category', categorySchema);
 
 export default Category;
\ No newline at end of file
@@ -0,0 +1,88 @@
+import mongoose from "mongoose";
+
+const couponSchema = new mongoose.Schema(
+  {
+    code: {
+      type: String,
+      required: true,
+      unique: true,
+      uppercase: true,
+      trim: true,
+    },
+    description: String,
+    type: {
+      type: String,
+      required: true,
+      enum: ["percentage", "fixed", "free_shipping"],
+    },
+    // Percentage (0-100) or fixed amount, depending on type
+    value: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+    // Upper bound on a percentage discount
+    maxDiscount: {
+      type: Number,
+      min: 0,
+    },
+    minSubtotal: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+    // When either list is set the discount only applies to matching items
+    products: [
+      {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Product",
+      },
+    ],
+    categories: [
+      {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Category",
+      },
+    ],
+    startsAt: Date,
+    expiresAt: Date,
+    usageLimit: {
+      type: Number,
+      min: 1,
+    },
+    perUserLimit: {
+      type: Number,
+      min: 1,
+    },
+    usedCount: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+    redemptions: [
+      {
+        user: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: "User",
+        },
+        order: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: "Order",
+        },
+        redeemedAt: {
+          type: Date,
+          default: Date.now,
+        },
+      },
+    ],
+    isActive: {
+      type: Boolean,
+      default: true,
+    },
+  },
+  { timestamps: true }
+);
+
+const Coupon = mongoose.model("Coupon", couponSchema);
+
+export default Coupon;
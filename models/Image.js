@@ -0,0 +1,43 @@
+import mongoose from "mongoose";
+
+// An uploaded image and the stored files made from it
+const imageSchema = new mongoose.Schema(
+  {
+    // The product, category or user the image belongs to
+    owner: {
+      type: mongoose.Schema.Types.ObjectId,
+      required: true,
+      refPath: "ownerModel",
+    },
+    ownerModel: {
+      type: String,
+      required: true,
+      enum: ["Product", "Category", "User"],
+    },
+    // URL of the full-size image; this is what the owner document stores
+    url: {
+      type: String,
+      required: true,
+    },
+    thumbnails: {
+      medium: String,
+      small: String,
+    },
+    // Storage keys of every file, for cleanup
+    keys: [String],
+    width: Number,
+    height: Number,
+    uploadedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+  },
+  { timestamps: true }
+);
+
+imageSchema.index({ ownerModel: 1, owner: 1 });
+imageSchema.index({ url: 1 });
+
+const Image = mongoose.model("Image", imageSchema);
+
+export default Image;
@@ -0,0 +1,58 @@
+import mongoose from "mongoose";
+
+export const MOVEMENT_REASONS = [
+  "sale",
+  "cancellation",
+  "return",
+  "adjustment",
+  "import",
+];
+
+// One change to the stock of a product, or of one of its variants
+const inventoryMovementSchema = new mongoose.Schema({
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Product",
+    required: true,
+  },
+  variant: mongoose.Schema.Types.ObjectId,
+  sku: String,
+  // Signed change: negative when stock goes out
+  quantity: {
+    type: Number,
+    required: true,
+  },
+  // Stock of the product (or variant) right after the change
+  balance: {
+    type: Number,
+    required: true,
+  },
+  reason: {
+    type: String,
+    required: true,
+    enum: MOVEMENT_REASONS,
+  },
+  order: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Order",
+  },
+  actor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+  },
+  note: String,
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+inventoryMovementSchema.index({ product: 1, createdAt: -1 });
+inventoryMovementSchema.index({ reason: 1, createdAt: -1 });
+
+const InventoryMovement = mongoose.model(
+  "InventoryMovement",
+  inventoryMovementSchema
+);
+
+export default InventoryMovement;
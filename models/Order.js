@@ -1,4 +1,14 @@
 import mongoose from 'mongoose';
+import auditPlugin from './plugins/audit.js';
+
+// Legal status transitions; anything not listed here is rejected
+export const STATUS_TRANSITIONS = {
+  pending: ['processing', 'cancelled'],
+  processing: ['shipped', 'cancelled'],
+  shipped: ['delivered'],
+  delivered: [],
+  cancelled: []
+};
 
 const orderSchema = new mongoose.Schema({
   user: {
@@ -13,12 +23,37 @@ const orderSchema = new mongoose.Schema({
         ref: 'Product',
         required: true
       },
+      // Set when the product was ordered in a specific variant
+      variant: mongoose.Schema.Types.ObjectId,
+      sku: String,
+      variantOptions: {
+        type: Map,
+        of: String
+      },
       name: String,
       price: Number,
       quantity: {
         type: Number,
         required: true,
         min: 1
+      },
+      discount: {
+        type: Number,
+        default: 0
+      },
+      taxRate: Number,
+      tax: {
+        type: Number,
+        default: 0
+      },
+      taxRule: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'TaxRule'
+      },
+      refundedQuantity: {
+        type: Number,
+        default: 0,
+        min: 0
       }
     }
   ],
@@ -31,23 +66,55 @@ const orderSchema = new mongoose.Schema({
     country: String,
     phone: String
   },
+  shippingMethod: {
+    method: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'ShippingMethod'
+    },
+    code: String,
+    name: String,
+    cost: Number
+  },
   paymentMethod: {
     type: String,
     required: true,
     enum: ['credit_card', 'paypal', 'bank_transfer']
   },
+  // Set by the server only; status changes come from verified provider
+  // webhooks (see services/paymentService.js)
   paymentDetails: {
+    provider: String,
+    intentId: String,
     transactionId: String,
+    amount: Number,
+    currency: String,
     status: {
       type: String,
-      enum: ['pending', 'completed', 'failed', 'refunded'],
+      enum: ['pending', 'completed', 'failed', 'partially_refunded', 'refunded'],
       default: 'pending'
-    }
+    },
+    paidAt: Date,
+    failureReason: String
+  },
+  coupon: {
+    coupon: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Coupon'
+    },
+    code: String,
+    type: {
+      type: String
+    },
+    value: Number
   },
   subtotal: {
     type: Number,
     required: true
   },
+  discount: {
+    type: Number,
+    default: 0
+  },
   tax: {
     type: Number,
     required: true
@@ -60,12 +127,66 @@ const orderSchema = new mongoose.Schema({
     type: Number,
     required: true
   },
+  refunds: [
+    {
+      items: [
+        {
+          item: mongoose.Schema.Types.ObjectId,
+          product: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Product'
+          },
+          variant: mongoose.Schema.Types.ObjectId,
+          quantity: Number,
+          amount: Number
+        }
+      ],
+      amount: {
+        type: Number,
+        required: true
+      },
+      reason: String,
+      refundedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+      },
+      createdAt: {
+        type: Date,
+        default: Date.now
+      }
+    }
+  ],
+  refundedAmount: {
+    type: Number,
+    default: 0
+  },
+  netTotal: Number,
   status: {
     type: String,
     enum: ['pending', 'processing', 'shipped', 'delivered', 'cancelled'],
     default: 'pending'
   },
+  statusHistory: [
+    {
+      status: {
+        type: String,
+        required: true
+      },
+      from: String,
+      changedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+      },
+      note: String,
+      changedAt: {
+        type: Date,
+        default: Date.now
+      }
+    }
+  ],
   trackingNumber: String,
+  cancelledAt: Date,
+  cancellationReason: String,
   notes: String,
   createdAt: {
     type: Date,
@@ -75,7 +196,7 @@ const orderSchema = new mongoose.Schema({
     type: Date,
     default: Date.now
   }
-}, { timestamps: true });
+}, { timestamps: true, optimisticConcurrency: true });
 
 // Generate order number
 orderSchema.pre('save', function(next) {
@@ -91,6 +212,56 @@ orderSchema.pre('save', function(next) {
   next();
 });
 
+// Remember the stored status so transitions can be checked on save
+function rememberStatus() {
+  this.$locals.loadedStatus = this.status;
+}
+orderSchema.post('init', rememberStatus);
+orderSchema.post('save', rememberStatus);
+
+// Start the timeline with the status the order was placed in
+orderSchema.pre('save', function(next) {
+  if (this.isNew && this.statusHistory.length === 0) {
+    this.statusHistory.push({ status: this.status, changedBy: this.user });
+  }
+  next();
+});
+
+// Reject illegal transitions no matter which code path changed the status
+orderSchema.pre('validate', function(next) {
+  const from = this.$locals.loadedStatus;
+  if (!this.isNew && this.isModified('status') && from !== this.status &&
+      !STATUS_TRANSITIONS[from]?.includes(this.status)) {
+    this.invalidate('status', `Cannot change order status from ${from} to ${this.status}`);
+  }
+  next();
+});
+
+// Whether the order may move to the given status from where it is now
+orderSchema.methods.canTransitionTo = function(status) {
+  return STATUS_TRANSITIONS[this.status]?.includes(status) || false;
+};
+
+// Move to a new status and append it to the timeline. Callers check
+// canTransitionTo first; an illegal move still fails validation on save.
+orderSchema.methods.transitionTo = function(status, { changedBy, note } = {}) {
+  this.statusHistory.push({ status, from: this.status, changedBy, note });
+  this.status = status;
+  return this;
+};
+
+// Keep the amount still owed in step with refunds
+orderSchema.pre('save', function(next) {
+  this.netTotal =
+    Math.round((this.total - (this.refundedAmount || 0)) * 100) / 100;
+  next();
+});
+
+// Webhook events find their order by payment intent
+orderSchema.index({ 'paymentDetails.intentId': 1 }, { sparse: true });
+
+orderSchema.plugin(auditPlugin);
+
 const Order = mongoose.model('Order', orderSchema);
 
 export default Order;
\ No newline at end of file
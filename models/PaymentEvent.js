@@ -0,0 +1,23 @@
+import mongoose from "mongoose";
+
+// Webhook events already handled, so a redelivered event is applied once
+const paymentEventSchema = new mongoose.Schema({
+  eventId: {
+    type: String,
+    required: true,
+    unique: true,
+  },
+  type: String,
+  order: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Order",
+  },
+  receivedAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+const PaymentEvent = mongoose.model("PaymentEvent", paymentEventSchema);
+
+export default PaymentEvent;
@@ -1,4 +1,5 @@
 import mongoose from "mongoose";
+import auditPlugin from "./plugins/audit.js";
 
 const productSchema = new mongoose.Schema(
   {
@@ -32,11 +33,64 @@ const productSchema = new mongoose.Schema(
       min: 0,
       default: 0,
     },
+    // Stock at or below this counts as low (per variant for products with
+    // variants). Unset uses the store default.
+    lowStockThreshold: {
+      type: Number,
+      min: 0,
+    },
+    // Shipping weight in kg, used by weight-based shipping tiers
+    weight: {
+      type: Number,
+      min: 0,
+    },
     sku: {
       type: String,
       unique: true,
     },
     features: [String],
+    // Option axes, e.g. { name: "Size", values: ["S", "M", "L"] }
+    options: [
+      {
+        name: {
+          type: String,
+          required: true,
+          trim: true,
+        },
+        values: [String],
+      },
+    ],
+    // One entry per option combination. When a product has variants its
+    // inventory is the sum of theirs.
+    variants: [
+      {
+        sku: {
+          type: String,
+          required: true,
+          trim: true,
+        },
+        options: {
+          type: Map,
+          of: String,
+        },
+        // Overrides the product price when set
+        price: {
+          type: Number,
+          min: 0,
+        },
+        inventory: {
+          type: Number,
+          required: true,
+          min: 0,
+          default: 0,
+        },
+        images: [String],
+        isActive: {
+          type: Boolean,
+          default: true,
+        },
+      },
+    ],
     specifications: {
       type: Map,
       of: String,
@@ -57,6 +111,11 @@ const productSchema = new mongoose.Schema(
       type: Boolean,
       default: true,
     },
+    // Kept in sync with name and SKU by searchTermsFor(); not sent to clients
+    searchTerms: {
+      type: [String],
+      select: false,
+    },
     isFeatured: {
       type: Boolean,
       default: false,
@@ -70,7 +129,15 @@ const productSchema = new mongoose.Schema(
       default: Date.now,
     },
   },
-  { timestamps: true }
+  {
+    timestamps: true,
+    toJSON: {
+      transform: (doc, ret) => {
+        delete ret.searchTerms;
+        return ret;
+      },
+    },
+  }
 );
 
 // Virtual for URL
@@ -81,6 +148,91 @@ productSchema.virtual("url").get(function () {
 // Index for text search
 productSchema.index({ name: "text", description: "text" });
 
+// Indexes for autocomplete (anchored prefixes of searchTerms) and faceted
+// search filters
+productSchema.index({ isPublished: 1, searchTerms: 1 });
+productSchema.index({ name: 1 });
+productSchema.index({ isPublished: 1, category: 1, price: 1 });
+
+// Variant SKUs are unique across the catalog
+productSchema.index({ "variants.sku": 1 }, { unique: true, sparse: true });
+
+// Text autocomplete matches by prefix, lowercased: the name from the start
+// of each of its words ("blue desk lamp", "desk lamp", "lamp") and the SKU
+export const searchTermsFor = ({ name, sku }) => {
+  const words = (name || "").toLowerCase().split(/\s+/).filter(Boolean);
+  const terms = words.map((word, index) => words.slice(index).join(" "));
+  if (sku) terms.push(sku.toLowerCase());
+  return [...new Set(terms)];
+};
+
+productSchema.pre("validate", function (next) {
+  if (this.isNew || this.isModified("name") || this.isModified("sku")) {
+    this.searchTerms = searchTermsFor(this);
+  }
+  next();
+});
+
+// Check that every variant picks one declared value per option axis and
+// that no combination repeats, then roll variant stock up into inventory
+productSchema.pre("validate", function (next) {
+  if (this.variants.length === 0) return next();
+
+  const combinations = new Set();
+  for (const variant of this.variants) {
+    const values = variant.options || new Map();
+
+    for (const option of this.options) {
+      if (!option.values.includes(values.get(option.name))) {
+        this.invalidate(
+          "variants",
+          `Variant ${variant.sku} needs a valid ${option.name}`
+        );
+        return next();
+      }
+    }
+
+    if (values.size !== this.options.length) {
+      this.invalidate(
+        "variants",
+        `Variant ${variant.sku} uses an option the product does not declare`
+      );
+      return next();
+    }
+
+    const combination = this.options
+      .map((option) => values.get(option.name))
+      .join("/");
+    if (combinations.has(combination)) {
+      this.invalidate(
+        "variants",
+        `More than one variant uses the combination ${combination || "(none)"}`
+      );
+      return next();
+    }
+    combinations.add(combination);
+  }
+
+  this.inventory = this.variants.reduce(
+    (sum, variant) => sum + variant.inventory,
+    0
+  );
+  next();
+});
+
+// Find an active variant by ID
+productSchema.methods.getVariant = function (variantId) {
+  const variant = variantId ? this.variants.id(variantId) : null;
+  return variant && variant.isActive ? variant : null;
+};
+
+// Price of the product, or of one of its variants
+productSchema.methods.priceOf = function (variant) {
+  return variant?.price ?? this.price;
+};
+
+productSchema.plugin(auditPlugin);
+
 const Product = mongoose.model("Product", productSchema);
 
 export default Product;
@@ -0,0 +1,88 @@
+import mongoose from "mongoose";
+
+const reviewSchema = new mongoose.Schema(
+  {
+    product: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Product",
+      required: true,
+    },
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    rating: {
+      type: Number,
+      required: true,
+      min: 1,
+      max: 5,
+    },
+    title: {
+      type: String,
+      trim: true,
+    },
+    comment: {
+      type: String,
+      trim: true,
+    },
+    // Moderation flags, only set by admins
+    isHidden: {
+      type: Boolean,
+      default: false,
+    },
+    isVerified: {
+      type: Boolean,
+      default: false,
+    },
+    moderatedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+  },
+  { timestamps: true }
+);
+
+// One review per customer per product
+reviewSchema.index({ product: 1, user: 1 }, { unique: true });
+
+// Recalculate a product's rating from its visible reviews
+reviewSchema.statics.updateProductRating = async function (productId) {
+  const [stats] = await this.aggregate([
+    { $match: { product: productId, isHidden: false } },
+    {
+      $group: {
+        _id: "$product",
+        average: { $avg: "$rating" },
+        count: { $sum: 1 },
+      },
+    },
+  ]);
+
+  await mongoose.model("Product").updateOne(
+    { _id: productId },
+    {
+      $set: {
+        "rating.average": stats ? Math.round(stats.average * 10) / 10 : 0,
+        "rating.count": stats ? stats.count : 0,
+      },
+    }
+  );
+};
+
+// Keep Product.rating in step with every review change
+reviewSchema.post("save", async function () {
+  await this.constructor.updateProductRating(this.product);
+});
+
+reviewSchema.post(
+  "deleteOne",
+  { document: true, query: false },
+  async function () {
+    await this.constructor.updateProductRating(this.product);
+  }
+);
+
+const Review = mongoose.model("Review", reviewSchema);
+
+export default Review;
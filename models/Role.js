@@ -0,0 +1,26 @@
+import mongoose from "mongoose";
+
+const roleSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: true,
+      unique: true,
+      lowercase: true,
+      trim: true,
+    },
+    description: String,
+    // Permission strings such as "orders:update_status"; "*" grants all
+    permissions: [String],
+    // Built-in roles cannot be deleted or renamed
+    isSystem: {
+      type: Boolean,
+      default: false,
+    },
+  },
+  { timestamps: true }
+);
+
+const Role = mongoose.model("Role", roleSchema);
+
+export default Role;
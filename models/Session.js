@@ -0,0 +1,40 @@
+import mongoose from "mongoose";
+
+// A signed-in session (refresh token family). The current refresh token is
+// stored hashed; tokens it replaced are kept to detect reuse.
+const sessionSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+      index: true,
+    },
+    tokenHash: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    usedTokenHashes: {
+      type: [String],
+      index: true,
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+    lastUsedAt: Date,
+    revokedAt: Date,
+    revokedReason: String,
+    ip: String,
+    userAgent: String,
+  },
+  { timestamps: true }
+);
+
+// Drop sessions once their refresh token can no longer be used
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const Session = mongoose.model("Session", sessionSchema);
+
+export default Session;
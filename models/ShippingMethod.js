@@ -0,0 +1,72 @@
+import mongoose from "mongoose";
+
+const shippingMethodSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    code: {
+      type: String,
+      required: true,
+      unique: true,
+      lowercase: true,
+      trim: true,
+    },
+    description: String,
+    // ISO country codes this method ships to; empty means everywhere
+    countries: {
+      type: [String],
+      set: (countries) => countries.map((code) => code.trim().toUpperCase()),
+    },
+    // Whether tiers are matched against the order subtotal or total weight
+    basis: {
+      type: String,
+      enum: ["price", "weight"],
+      default: "price",
+    },
+    // Cost for values from min (inclusive) up to max (exclusive)
+    tiers: [
+      {
+        min: {
+          type: Number,
+          default: 0,
+          min: 0,
+        },
+        max: {
+          type: Number,
+          min: 0,
+        },
+        cost: {
+          type: Number,
+          required: true,
+          min: 0,
+        },
+      },
+    ],
+    // Cost when no tier matches
+    baseCost: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+    freeShippingThreshold: {
+      type: Number,
+      min: 0,
+    },
+    isDefault: {
+      type: Boolean,
+      default: false,
+    },
+    isActive: {
+      type: Boolean,
+      default: true,
+    },
+  },
+  { timestamps: true }
+);
+
+const ShippingMethod = mongoose.model("ShippingMethod", shippingMethodSchema);
+
+export default ShippingMethod;
@@ -0,0 +1,48 @@
+import mongoose from "mongoose";
+
+const taxRuleSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    // ISO country code, matched against shippingAddress.country, or * for
+    // every country without a rule of its own
+    country: {
+      type: String,
+      required: true,
+      uppercase: true,
+      trim: true,
+    },
+    // Optional state/province; rules without one cover the whole country
+    state: {
+      type: String,
+      uppercase: true,
+      trim: true,
+    },
+    // Optional category the rate is limited to
+    category: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Category",
+    },
+    // Percentage, e.g. 8.25 for 8.25%
+    rate: {
+      type: Number,
+      required: true,
+      min: 0,
+      max: 100,
+    },
+    isActive: {
+      type: Boolean,
+      default: true,
+    },
+  },
+  { timestamps: true }
+);
+
+taxRuleSchema.index({ country: 1, state: 1, category: 1 });
+
+const TaxRule = mongoose.model("TaxRule", taxRuleSchema);
+
+export default TaxRule;
@@ -1,5 +1,6 @@
 import mongoose from 'mongoose';
 import bcrypt from 'bcryptjs';
+import auditPlugin from './plugins/audit.js';
 
 const userSchema = new mongoose.Schema({
   name: {
@@ -19,9 +20,11 @@ const userSchema = new mongoose.Schema({
     required: true,
     minlength: 6
   },
+  // Name of a Role; its permissions decide what the user may do
   role: {
     type: String,
-    enum: ['user', 'admin'],
+    lowercase: true,
+    trim: true,
     default: 'user'
   },
   address: {
@@ -33,6 +36,11 @@ const userSchema = new mongoose.Schema({
   },
   phone: String,
   avatar: String,
+  isEmailVerified: {
+    type: Boolean,
+    default: false
+  },
+  emailVerifiedAt: Date,
   createdAt: {
     type: Date,
     default: Date.now
@@ -68,6 +76,8 @@ userSchema.methods.toJSON = function() {
   return user;
 };
 
+userSchema.plugin(auditPlugin, { redactFields: ['password'] });
+
 const User = mongoose.model('User', userSchema);
 
 export default User;
\ No newline at end of file
@@ -0,0 +1,37 @@
+import mongoose from "mongoose";
+
+// Single-use tokens sent by email. Only a hash of the token is stored.
+const userTokenSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    type: {
+      type: String,
+      required: true,
+      enum: ["password_reset", "email_verification"],
+    },
+    tokenHash: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+    usedAt: Date,
+  },
+  { timestamps: true }
+);
+
+userTokenSchema.index({ user: 1, type: 1 });
+
+// Remove tokens once they have expired
+userTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const UserToken = mongoose.model("UserToken", userTokenSchema);
+
+export default UserToken;
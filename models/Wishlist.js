@@ -0,0 +1,58 @@
+import mongoose from "mongoose";
+
+const wishlistSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    name: {
+      type: String,
+      required: true,
+      trim: true,
+      default: "Wishlist",
+    },
+    // Every user has one default list, created on first use
+    isDefault: {
+      type: Boolean,
+      default: false,
+    },
+    items: [
+      {
+        product: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: "Product",
+          required: true,
+        },
+        variant: mongoose.Schema.Types.ObjectId,
+        addedAt: {
+          type: Date,
+          default: Date.now,
+        },
+      },
+    ],
+    // Public lists can be read by anyone with the share token
+    isPublic: {
+      type: Boolean,
+      default: false,
+    },
+    shareToken: {
+      type: String,
+      unique: true,
+      sparse: true,
+    },
+  },
+  { timestamps: true }
+);
+
+wishlistSchema.index({ user: 1, isDefault: -1, createdAt: 1 });
+wishlistSchema.index(
+  { user: 1 },
+  { unique: true, partialFilterExpression: { isDefault: true } }
+);
+wishlistSchema.index({ "items.product": 1 });
+
+const Wishlist = mongoose.model("Wishlist", wishlistSchema);
+
+export default Wishlist;
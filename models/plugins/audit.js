@@ -0,0 +1,160 @@
+import AuditLog from "../AuditLog.js";
+import { getRequestContext } from "../../utils/requestContext.js";
+
+const IGNORED_FIELDS = ["createdAt", "updatedAt", "__v"];
+
+// Only actions taken with a staff permission are audited
+const activeContext = () => {
+  const context = getRequestContext();
+  return context?.audit ? context : null;
+};
+
+const snapshot = (doc) =>
+  doc?.toObject
+    ? doc.toObject({ depopulate: true, flattenMaps: true })
+    : doc || null;
+
+const redact = (values, fields) => {
+  if (!values) return values;
+  const copy = { ...values };
+  for (const field of fields) {
+    if (copy[field] !== undefined) copy[field] = "[redacted]";
+  }
+  return copy;
+};
+
+// Keep only the fields that differ between two snapshots
+const diff = (before, after) => {
+  const changedBefore = {};
+  const changedAfter = {};
+  const keys = new Set([...Object.keys(before), ...Object.keys(after)]);
+
+  for (const key of keys) {
+    if (IGNORED_FIELDS.includes(key)) continue;
+    if (JSON.stringify(before[key]) !== JSON.stringify(after[key])) {
+      changedBefore[key] = before[key];
+      changedAfter[key] = after[key];
+    }
+  }
+
+  return Object.keys(changedAfter).length
+    ? { before: changedBefore, after: changedAfter }
+    : null;
+};
+
+// Record create, update and delete operations made during a staff request in
+// the audit log, with who made them and what changed. Writing the log never
+// fails the operation itself.
+const auditPlugin = (schema, { redactFields = [] } = {}) => {
+  const write = async (model, action, entityId, before, after) => {
+    const context = activeContext();
+    if (!context) return;
+
+    let values = { before, after };
+    if (action === "update") {
+      values = diff(before || {}, after || {});
+      if (!values) return;
+    }
+
+    try {
+      await AuditLog.create({
+        actor: context.user?._id,
+        actorEmail: context.user?.email,
+        action,
+        entity: model.modelName,
+        entityId,
+        before: redact(values.before, redactFields),
+        after: redact(values.after, redactFields),
+        ip: context.ip,
+        userAgent: context.userAgent,
+      });
+    } catch (error) {
+      console.error("Audit log error:", error);
+    }
+  };
+
+  // The stored state of a document about to be saved, read only when the
+  // save is audited so documents that are only loaded cost nothing
+  schema.pre("save", async function () {
+    this.$locals.auditWasNew = this.isNew;
+    if (this.isNew || !activeContext()) return;
+    this.$locals.auditBefore = snapshot(
+      await this.constructor.findById(this._id)
+    );
+  });
+
+  schema.post("save", async function () {
+    if (!activeContext()) return;
+
+    const after = snapshot(this);
+    if (this.$locals.auditWasNew) {
+      await write(this.constructor, "create", this._id, null, after);
+    } else {
+      await write(
+        this.constructor,
+        "update",
+        this._id,
+        this.$locals.auditBefore,
+        after
+      );
+    }
+  });
+
+  schema.post("deleteOne", { document: true, query: false }, async function () {
+    await write(this.constructor, "delete", this._id, snapshot(this), null);
+  });
+
+  // Query updates: read the document before and after the change
+  schema.pre(["findOneAndUpdate", "updateOne"], async function () {
+    if (!activeContext()) return;
+    this._auditBefore = await this.model
+      .findOne(this.getFilter())
+      .lean({ flattenMaps: true });
+  });
+
+  schema.post(["findOneAndUpdate", "updateOne"], async function () {
+    if (!this._auditBefore) return;
+    const after = await this.model
+      .findById(this._auditBefore._id)
+      .lean({ flattenMaps: true });
+    await write(
+      this.model,
+      "update",
+      this._auditBefore._id,
+      this._auditBefore,
+      after
+    );
+  });
+
+  // Bulk updates: one entry per document changed
+  schema.pre("updateMany", async function () {
+    if (!activeContext()) return;
+    this._auditBefore = await this.model
+      .find(this.getFilter())
+      .lean({ flattenMaps: true });
+  });
+
+  schema.post("updateMany", async function () {
+    if (!this._auditBefore?.length) return;
+    const after = await this.model
+      .find({ _id: { $in: this._auditBefore.map((doc) => doc._id) } })
+      .lean({ flattenMaps: true });
+    const afterById = new Map(after.map((doc) => [doc._id.toString(), doc]));
+
+    for (const before of this._auditBefore) {
+      await write(
+        this.model,
+        "update",
+        before._id,
+        before,
+        afterById.get(before._id.toString())
+      );
+    }
+  });
+
+  schema.post("findOneAndDelete", async function (doc) {
+    if (doc) await write(this.model, "delete", doc._id, snapshot(doc), null);
+  });
+};
+
+export default auditPlugin;
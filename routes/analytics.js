@@ -0,0 +1,109 @@
+import express from "express";
+import { authenticate, requirePermission } from "../middleware/auth.js";
+import {
+  MAX_PERIODS,
+  countPeriods,
+  getCustomerReport,
+  getMostWishlisted,
+  getSalesReport,
+  getStatusBreakdown,
+  getTopCategories,
+  getTopProducts,
+} from "../services/analyticsService.js";
+import { getLowStock } from "../services/inventoryService.js";
+import { validateLowStock, validateReport } from "../middleware/validation.js";
+import { asyncHandler } from "../middleware/errorHandler.js";
+import { ValidationError } from "../utils/errors.js";
+
+const router = express.Router();
+
+const DEFAULT_RANGE_DAYS = 30;
+
+// All analytics routes need the analytics:read permission
+router.use(authenticate, requirePermission("analytics:read"));
+
+// Build a handler for a report that takes the validated query. The date
+// range defaults to the last 30 days; reports with a series per period may
+// cover at most MAX_PERIODS of them.
+const report = (getReport, { series = false } = {}) => [
+  validateReport,
+  asyncHandler(async (req, res) => {
+    const { from: start, to = new Date(), interval, limit } = req.query;
+    const from =
+      start ||
+      new Date(to.getTime() - DEFAULT_RANGE_DAYS * 24 * 60 * 60 * 1000);
+
+    if (series && countPeriods({ from, to, interval }) > MAX_PERIODS) {
+      throw new ValidationError([
+        {
+          field: "from",
+          message: `The range can cover at most ${MAX_PERIODS} ${interval}s`,
+          location: "query",
+        },
+      ]);
+    }
+
+    res.json(await getReport({ from, to, interval, limit }));
+  }),
+];
+
+// Revenue, order count and average order value per day, week or month
+router.get("/sales", report(getSalesReport, { series: true }));
+
+// Best-selling products
+router.get(
+  "/top-products",
+  report(async (options) => ({
+    from: options.from,
+    to: options.to,
+    products: await getTopProducts(options),
+  }))
+);
+
+// Best-selling categories
+router.get(
+  "/top-categories",
+  report(async (options) => ({
+    from: options.from,
+    to: options.to,
+    categories: await getTopCategories(options),
+  }))
+);
+
+// New versus returning customers per day, week or month
+router.get("/customers", report(getCustomerReport, { series: true }));
+
+// Orders per status
+router.get(
+  "/status-breakdown",
+  report(async (options) => ({
+    from: options.from,
+    to: options.to,
+    statuses: await getStatusBreakdown(options),
+  }))
+);
+
+// Products and variants at or below their own low-stock threshold, or at or
+// below ?threshold= when given
+router.get(
+  "/low-stock",
+  validateLowStock,
+  asyncHandler(async (req, res) => {
+    const { threshold, limit } = req.query;
+
+    const products = await getLowStock({ threshold, limit });
+
+    res.json({ threshold, products });
+  })
+);
+
+// Products on the most customers' wishlists
+router.get(
+  "/most-wishlisted",
+  validateReport,
+  asyncHandler(async (req, res) => {
+    res.json({ products: await getMostWishlisted({ limit: req.query.limit }) });
+  })
+);
+
+export default router;
@@ -0,0 +1,41 @@
+import authRoutes from "./auth.js";
+import userRoutes from "./users.js";
+import productRoutes from "./products.js";
+import categoryRoutes from "./categories.js";
+import orderRoutes from "./orders.js";
+import taxRuleRoutes from "./taxRules.js";
+import shippingMethodRoutes from "./shippingMethods.js";
+import couponRoutes from "./coupons.js";
+import cartRoutes from "./cart.js";
+import reviewRoutes from "./reviews.js";
+import productImageRoutes from "./productImages.js";
+import roleRoutes from "./roles.js";
+import wishlistRoutes from "./wishlist.js";
+import sharedWishlistRoutes from "./sharedWishlists.js";
+import auditLogRoutes from "./auditLogs.js";
+import analyticsRoutes from "./analytics.js";
+import inventoryRoutes from "./inventory.js";
+import paymentRoutes from "./payments.js";
+
+// API routers by mount path, in matching order. The API docs are built
+// from the same list.
+export const apiRoutes = [
+  ["/api/auth", authRoutes],
+  ["/api/users/me/wishlist", wishlistRoutes],
+  ["/api/users", userRoutes],
+  ["/api/products/:id/reviews", reviewRoutes],
+  ["/api/products/:id/images", productImageRoutes],
+  ["/api/products", productRoutes],
+  ["/api/categories", categoryRoutes],
+  ["/api/orders", orderRoutes],
+  ["/api/tax-rules", taxRuleRoutes],
+  ["/api/shipping-methods", shippingMethodRoutes],
+  ["/api/coupons", couponRoutes],
+  ["/api/cart", cartRoutes],
+  ["/api/roles", roleRoutes],
+  ["/api/payments", paymentRoutes],
+  ["/api/shared-wishlists", sharedWishlistRoutes],
+  ["/api/admin/audit-logs", auditLogRoutes],
+  ["/api/admin/analytics", analyticsRoutes],
+  ["/api/admin/inventory", inventoryRoutes],
+];
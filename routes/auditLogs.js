@@ -0,0 +1,51 @@
+import express from "express";
+import AuditLog from "../models/AuditLog.js";
+import { authenticate, requirePermission } from "../middleware/auth.js";
+import { validateAuditLogList } from "../middleware/validation.js";
+import { asyncHandler } from "../middleware/errorHandler.js";
+
+const router = express.Router();
+
+// All audit log routes need the audit:read permission
+router.use(authenticate, requirePermission("audit:read"));
+
+// Get audit log entries, newest first. Filter by actor, entity, entityId,
+// action and a from/to date range.
+router.get(
+  "/",
+  validateAuditLogList,
+  asyncHandler(async (req, res) => {
+    const { page, limit } = req.query;
+    const skip = (page - 1) * limit;
+
+    const query = {};
+    for (const field of ["actor", "entity", "entityId", "action"]) {
+      if (req.query[field]) query[field] = req.query[field];
+    }
+
+    if (req.query.from || req.query.to) {
+      query.createdAt = {};
+      if (req.query.from) query.createdAt.$gte = req.query.from;
+      if (req.query.to) query.createdAt.$lte = req.query.to;
+    }
+
+    const auditLogs = await AuditLog.find(query)
+      .populate("actor", "name email")
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(limit);
+
+    const total = await AuditLog.countDocuments(query);
+
+    res.json({
+      auditLogs,
+      pagination: {
+        total,
+        page,
+        pages: Math.ceil(total / limit),
+      },
+    });
+  })
+);
+
+export default router;
@@ -1,89 +1,304 @@
 import express from "express";
-import jwt from "jsonwebtoken";
 import User from "../models/User.js";
+import { authenticate, optionalAuthenticate } from "../middleware/auth.js";
+import { rateLimit } from "../middleware/rateLimit.js";
 import {
   validateRegistration,
   validateLogin,
+  validateRefreshToken,
+  validateLogout,
+  validatePasswordChange,
+  validateForgotPassword,
+  validateResetPassword,
+  validateEmailVerification,
 } from "../middleware/validation.js";
+import { mergeGuestCart } from "../services/cartService.js";
+import {
+  requestPasswordReset,
+  resetPassword,
+  sendVerificationEmail,
+  verifyEmail,
+} from "../services/accountService.js";
+import {
+  createSession,
+  revokeRefreshToken,
+  revokeSession,
+  revokeUserSessions,
+  rotateSession,
+} from "../services/sessionService.js";
+import {
+  assertLoginAllowed,
+  clearLoginFailures,
+  recordLoginFailure,
+} from "../services/loginLockoutService.js";
+import { asyncHandler } from "../middleware/errorHandler.js";
+import {
+  BadRequestError,
+  ConflictError,
+  ForbiddenError,
+} from "../utils/errors.js";
 
 const router = express.Router();
 
-// Register a new user
-router.post("/register", validateRegistration, async (req, res) => {
+// Carry a guest's cart over to the account they signed in to. A failed
+// merge should not block the sign-in itself.
+const mergeCartOnSignIn = async (req, user) => {
+  const cartToken = req.headers["x-cart-token"] || req.body.cartToken;
+  if (!cartToken) return;
+
   try {
+    await mergeGuestCart(cartToken, user._id);
+  } catch (error) {
+    console.error("Cart merge error:", error.message);
+  }
+};
+
+// Set REQUIRE_EMAIL_VERIFICATION=true to block login until email is verified
+const requiresEmailVerification = () =>
+  process.env.REQUIRE_EMAIL_VERIFICATION === "true";
+
+const sessionInfo = (req) => ({
+  ip: req.ip,
+  userAgent: req.headers["user-agent"],
+});
+
+// Register a new user
+router.post(
+  "/register",
+  rateLimit("auth"),
+  validateRegistration,
+  asyncHandler(async (req, res) => {
     const { name, email, password } = req.body;
 
     // Check if user already exists
     const existingUser = await User.findOne({ email });
     if (existingUser) {
-      return res
-        .status(400)
-        .json({ message: "User with this email already exists" });
+      throw new ConflictError("User with this email already exists");
     }
 
     // Create and save new user
     const user = new User({ name, email, password });
     await user.save();
+    await mergeCartOnSignIn(req, user);
 
-    // Generate JWT token
-    const secret = process.env.JWT_SECRET || "your-secret-key";
-    const token = jwt.sign({ id: user._id, role: user.role }, secret, {
-      expiresIn: "7d",
-    });
+    // A failed email should not undo the registration; it can be resent
+    try {
+      await sendVerificationEmail(user);
+    } catch (error) {
+      console.error("Verification email error:", error.message);
+    }
+
+    const userData = {
+      id: user._id,
+      name: user.name,
+      email: user.email,
+      role: user.role,
+      isEmailVerified: user.isEmailVerified,
+    };
+
+    // No session until the address is confirmed when verification is required
+    if (requiresEmailVerification()) {
+      return res.status(201).json({
+        message:
+          "User registered successfully. Check your email to verify your account",
+        user: userData,
+      });
+    }
+
+    // Start a session with an access and refresh token
+    const tokens = await createSession(user, sessionInfo(req));
 
     res.status(201).json({
       message: "User registered successfully",
-      token,
-      user: {
-        id: user._id,
-        name: user.name,
-        email: user.email,
-        role: user.role,
-      },
+      ...tokens,
+      user: userData,
     });
-  } catch (error) {
-    console.error("Registration error:", error.message);
-    res.status(500).json({ message: "Server error during registration" });
-  }
-});
+  })
+);
 
 // Login user
-router.post("/login", validateLogin, async (req, res) => {
-  try {
+router.post(
+  "/login",
+  rateLimit("auth"),
+  validateLogin,
+  asyncHandler(async (req, res) => {
     const { email, password } = req.body;
 
+    // Refuse while the email is locked out after repeated failures
+    await assertLoginAllowed(email);
+
     // Find user by email
     const user = await User.findOne({ email });
     if (!user) {
-      return res.status(400).json({ message: "Invalid email or password" });
+      await recordLoginFailure(email);
+      throw new BadRequestError("Invalid email or password");
     }
 
     // Verify password
     const isMatch = await user.comparePassword(password);
     if (!isMatch) {
-      return res.status(400).json({ message: "Invalid email or password" });
+      await recordLoginFailure(email);
+      throw new BadRequestError("Invalid email or password");
     }
+    await clearLoginFailures(email);
 
-    // Generate JWT token
-    const secret = process.env.JWT_SECRET || "your-secret-key";
-    const token = jwt.sign({ id: user._id, role: user.role }, secret, {
-      expiresIn: "7d",
-    });
+    if (requiresEmailVerification() && !user.isEmailVerified) {
+      throw new ForbiddenError(
+        "Please verify your email address before logging in"
+      );
+    }
+
+    await mergeCartOnSignIn(req, user);
+
+    // Start a session with an access and refresh token
+    const tokens = await createSession(user, sessionInfo(req));
 
     res.json({
       message: "Login successful",
-      token,
+      ...tokens,
       user: {
         id: user._id,
         name: user.name,
         email: user.email,
         role: user.role,
+        isEmailVerified: user.isEmailVerified,
       },
     });
-  } catch (error) {
-    console.error("Login error:", error.message);
-    res.status(500).json({ message: "Server error during login" });
-  }
-});
+  })
+);
+
+// Exchange a refresh token for a new access/refresh token pair
+router.post(
+  "/refresh",
+  validateRefreshToken,
+  asyncHandler(async (req, res) => {
+    const { refreshToken } = req.body;
+
+    const tokens = await rotateSession(refreshToken);
+
+    res.json(tokens);
+  })
+);
+
+// Log out of the current session, identified by refresh token or access token
+router.post(
+  "/logout",
+  optionalAuthenticate,
+  validateLogout,
+  asyncHandler(async (req, res) => {
+    const { refreshToken } = req.body;
+
+    if (refreshToken) {
+      await revokeRefreshToken(refreshToken, "logout");
+    } else if (req.sessionId) {
+      await revokeSession(req.sessionId, "logout");
+    } else {
+      throw new BadRequestError("Refresh token or access token is required");
+    }
+
+    res.json({ message: "Logged out successfully" });
+  })
+);
+
+// Log out of every session of the current user
+router.post(
+  "/logout-all",
+  authenticate,
+  asyncHandler(async (req, res) => {
+    await revokeUserSessions(req.user._id, "logout_all");
+
+    res.json({ message: "Logged out of all sessions" });
+  })
+);
+
+// Email a password reset link. The response is the same whether or not the
+// email is registered.
+router.post(
+  "/forgot-password",
+  rateLimit("auth"),
+  validateForgotPassword,
+  asyncHandler(async (req, res) => {
+    await requestPasswordReset(req.body.email);
+
+    res.json({
+      message:
+        "If that email is registered, a password reset link is on its way",
+    });
+  })
+);
+
+// Set a new password with a reset token
+router.post(
+  "/reset-password",
+  rateLimit("auth"),
+  validateResetPassword,
+  asyncHandler(async (req, res) => {
+    const { token, password } = req.body;
+
+    const isReset = await resetPassword(token, password);
+    if (!isReset) {
+      throw new BadRequestError("Reset link is invalid or has expired");
+    }
+
+    res.json({ message: "Password reset successfully. Please log in" });
+  })
+);
+
+// Confirm an email address with a verification token
+router.post(
+  "/verify-email",
+  rateLimit("auth"),
+  validateEmailVerification,
+  asyncHandler(async (req, res) => {
+    const { token } = req.body;
+
+    const isVerified = await verifyEmail(token);
+    if (!isVerified) {
+      throw new BadRequestError("Verification link is invalid or has expired");
+    }
+
+    res.json({ message: "Email verified successfully" });
+  })
+);
+
+// Send a new verification email to the current user
+router.post(
+  "/resend-verification",
+  authenticate,
+  rateLimit("auth"),
+  asyncHandler(async (req, res) => {
+    if (req.user.isEmailVerified) {
+      throw new BadRequestError("Email is already verified");
+    }
+
+    await sendVerificationEmail(req.user);
+
+    res.json({ message: "Verification email sent" });
+  })
+);
+
+// Change password, ending every other session
+router.put(
+  "/password",
+  authenticate,
+  validatePasswordChange,
+  asyncHandler(async (req, res) => {
+    const { currentPassword, newPassword } = req.body;
+
+    const user = await User.findById(req.user._id);
+    const isMatch = await user.comparePassword(currentPassword);
+    if (!isMatch) {
+      throw new BadRequestError("Current password is incorrect");
+    }
+
+    user.password = newPassword;
+    await user.save();
+
+    await revokeUserSessions(user._id, "password_change");
+    const tokens = await createSession(user, sessionInfo(req));
+
+    res.json({ message: "Password changed successfully", ...tokens });
+  })
+);
 
 export default router;
@@ -0,0 +1,188 @@
+import express from "express";
+import { authenticate, optionalAuthenticate } from "../middleware/auth.js";
+import { rateLimit } from "../middleware/rateLimit.js";
+import {
+  validateCartItem,
+  validateCartLine,
+  validateCartMerge,
+  validateCartQuantity,
+  validateCheckout,
+} from "../middleware/validation.js";
+import {
+  addItem,
+  findCart,
+  mergeGuestCart,
+  serializeCart,
+  setItemQuantity,
+} from "../services/cartService.js";
+import { createOrder } from "../services/orderService.js";
+import { asyncHandler } from "../middleware/errorHandler.js";
+import { BadRequestError, NotFoundError } from "../utils/errors.js";
+
+const router = express.Router();
+
+// Signed-in users are identified by their token, guests by X-Cart-Token
+const cartOwner = (req) => ({
+  user: req.user?._id,
+  token: req.headers["x-cart-token"],
+});
+
+// Send a cart. A guest cart's token also goes out as X-Cart-Token, for the
+// client to send back with later requests.
+const sendCart = async (res, cart, status = 200) => {
+  if (!cart.user) res.set("X-Cart-Token", cart.token);
+  res.status(status).json(await serializeCart(cart));
+};
+
+// Get the current cart with live prices and stock
+router.get(
+  "/",
+  optionalAuthenticate,
+  asyncHandler(async (req, res) => {
+    const cart = await findCart(cartOwner(req));
+
+    // No cart is started until something is added, so no token is handed
+    // out that would not match a saved cart
+    if (!cart) {
+      return res.json({ items: [], itemCount: 0, subtotal: 0 });
+    }
+
+    await sendCart(res, cart);
+  })
+);
+
+// Add a product to the cart
+router.post(
+  "/items",
+  optionalAuthenticate,
+  validateCartItem,
+  asyncHandler(async (req, res) => {
+    const { product, variant, quantity } = req.body;
+
+    const cart = await findCart(cartOwner(req), { create: true });
+    await addItem(cart, product, quantity, variant);
+    await cart.save();
+
+    await sendCart(res, cart, 201);
+  })
+);
+
+// Change the quantity of a product in the cart (0 removes it). Variants are
+// picked with ?variant=<id>.
+router.patch(
+  "/items/:productId",
+  optionalAuthenticate,
+  validateCartQuantity,
+  asyncHandler(async (req, res) => {
+    const cart = await findCart(cartOwner(req));
+
+    if (!cart) {
+      throw new NotFoundError("Cart not found");
+    }
+
+    await setItemQuantity(
+      cart,
+      req.params.productId,
+      req.body.quantity,
+      req.query.variant
+    );
+    await cart.save();
+
+    await sendCart(res, cart);
+  })
+);
+
+// Remove a product (or one variant with ?variant=<id>) from the cart
+router.delete(
+  "/items/:productId",
+  optionalAuthenticate,
+  validateCartLine,
+  asyncHandler(async (req, res) => {
+    const cart = await findCart(cartOwner(req));
+
+    if (!cart) {
+      throw new NotFoundError("Cart not found");
+    }
+
+    await setItemQuantity(cart, req.params.productId, 0, req.query.variant);
+    await cart.save();
+
+    await sendCart(res, cart);
+  })
+);
+
+// Empty the cart
+router.delete(
+  "/",
+  optionalAuthenticate,
+  asyncHandler(async (req, res) => {
+    const cart = await findCart(cartOwner(req));
+
+    if (cart) {
+      cart.items = [];
+      await cart.save();
+    }
+
+    res.json({ message: "Cart cleared successfully" });
+  })
+);
+
+// Merge a guest cart (X-Cart-Token) into the signed-in user's cart
+router.post(
+  "/merge",
+  authenticate,
+  validateCartMerge,
+  asyncHandler(async (req, res) => {
+    const token = req.headers["x-cart-token"] || req.body.cartToken;
+
+    if (token) await mergeGuestCart(token, req.user._id);
+
+    const cart = await findCart({ user: req.user._id }, { create: true });
+
+    await sendCart(res, cart);
+  })
+);
+
+// Turn the signed-in user's cart into an order
+router.post(
+  "/checkout",
+  authenticate,
+  rateLimit("checkout"),
+  validateCheckout,
+  asyncHandler(async (req, res) => {
+    const {
+      shippingAddress,
+      shippingMethod,
+      couponCode,
+      paymentMethod,
+      notes,
+    } = req.body;
+
+    const cart = await findCart({ user: req.user._id });
+
+    if (!cart || cart.items.length === 0) {
+      throw new BadRequestError("Your cart is empty");
+    }
+
+    const order = await createOrder({
+      user: req.user._id,
+      items: cart.items.map((item) => ({
+        product: item.product,
+        variant: item.variant,
+        quantity: item.quantity,
+      })),
+      shippingAddress,
+      shippingMethod,
+      couponCode,
+      paymentMethod,
+      notes,
+    });
+
+    cart.items = [];
+    await cart.save();
+
+    res.status(201).json(order);
+  })
+);
+
+export default router;
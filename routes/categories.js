@@ -1,65 +1,59 @@
 import express from "express";
 import mongoose from "mongoose";
-import { authenticate, isAdmin } from "../middleware/auth.js";
+import Category from "../models/Category.js";
+import { authenticate, requirePermission } from "../middleware/auth.js";
+import { uploadFile } from "../middleware/upload.js";
+import {
+  IMAGE_MAX_SIZE,
+  IMAGE_TYPES,
+  deleteImageByUrl,
+  deleteOwnerImages,
+  storeImage,
+} from "../services/imageService.js";
+import {
+  getAncestors,
+  getCategoryTree,
+  getParentError,
+} from "../services/categoryService.js";
+import {
+  validateCategory,
+  validateCategoryId,
+  validateCategoryUpdate,
+} from "../middleware/validation.js";
+import { asyncHandler } from "../middleware/errorHandler.js";
+import {
+  BadRequestError,
+  ConflictError,
+  NotFoundError,
+} from "../utils/errors.js";
 
 const router = express.Router();
 
-// Define Category schema
-const categorySchema = new mongoose.Schema(
-  {
-    name: {
-      type: String,
-      required: true,
-      trim: true,
-      unique: true,
-    },
-    slug: {
-      type: String,
-      required: true,
-      unique: true,
-    },
-    description: String,
-    image: String,
-    parent: {
-      type: mongoose.Schema.Types.ObjectId,
-      ref: "Category",
-    },
-    isActive: {
-      type: Boolean,
-      default: true,
-    },
-    createdAt: {
-      type: Date,
-      default: Date.now,
-    },
-    updatedAt: {
-      type: Date,
-      default: Date.now,
-    },
-  },
-  { timestamps: true }
-);
-
-const Category = mongoose.model("Category", categorySchema);
-
 // Get all categories (public)
-router.get("/", async (req, res) => {
-  try {
+router.get(
+  "/",
+  asyncHandler(async (req, res) => {
     const categories = await Category.find({ isActive: true }).populate(
       "parent",
       "name slug"
     );
 
     res.json(categories);
-  } catch (error) {
-    console.error("Get categories error:", error);
-    res.status(500).json({ message: "Server error fetching categories" });
-  }
-});
-
-// Get category by ID or slug (public)
-router.get("/:idOrSlug", async (req, res) => {
-  try {
+  })
+);
+
+// Get active categories as a tree of nested children (public)
+router.get(
+  "/tree",
+  asyncHandler(async (req, res) => {
+    res.json(await getCategoryTree());
+  })
+);
+
+// Get category by ID or slug, with its ancestors and subcategories (public)
+router.get(
+  "/:idOrSlug",
+  asyncHandler(async (req, res) => {
     const { idOrSlug } = req.params;
     let category;
 
@@ -76,25 +70,36 @@ router.get("/:idOrSlug", async (req, res) => {
     }
 
     if (!category) {
-      return res.status(404).json({ message: "Category not found" });
+      throw new NotFoundError("Category not found");
     }
 
-    res.json(category);
-  } catch (error) {
-    console.error("Get category error:", error);
-    res.status(500).json({ message: "Server error fetching category" });
-  }
-});
+    const [ancestors, children] = await Promise.all([
+      getAncestors(category),
+      Category.find({ parent: category._id, isActive: true })
+        .select("name slug image")
+        .sort({ name: 1 }),
+    ]);
+
+    res.json({ ...category.toJSON(), ancestors, children });
+  })
+);
 
 // ADMIN ROUTES
 
 // Create category (admin only)
-router.post("/", authenticate, isAdmin, async (req, res) => {
-  try {
+router.post(
+  "/",
+  authenticate,
+  requirePermission("categories:write"),
+  validateCategory,
+  asyncHandler(async (req, res) => {
     const { name, description, image, parent, isActive } = req.body;
 
-    if (!name) {
-      return res.status(400).json({ message: "Category name is required" });
+    if (parent) {
+      const parentError = await getParentError(null, parent);
+      if (parentError) {
+        throw new BadRequestError(parentError);
+      }
     }
 
     // Generate slug from name
@@ -106,9 +111,7 @@ router.post("/", authenticate, isAdmin, async (req, res) => {
     // Check if slug already exists
     const existingCategory = await Category.findOne({ slug });
     if (existingCategory) {
-      return res
-        .status(400)
-        .json({ message: "Category with this name already exists" });
+      throw new ConflictError("Category with this name already exists");
     }
 
     const category = new Category({
@@ -123,15 +126,16 @@ router.post("/", authenticate, isAdmin, async (req, res) => {
     const savedCategory = await category.save();
 
     res.status(201).json(savedCategory);
-  } catch (error) {
-    console.error("Create category error:", error);
-    res.status(500).json({ message: "Server error creating category" });
-  }
-});
+  })
+);
 
 // Update category (admin only)
-router.put("/:id", authenticate, isAdmin, async (req, res) => {
-  try {
+router.put(
+  "/:id",
+  authenticate,
+  requirePermission("categories:write"),
+  validateCategoryUpdate,
+  asyncHandler(async (req, res) => {
     const { name, description, image, parent, isActive } = req.body;
     const updateData = {};
 
@@ -150,15 +154,21 @@ router.put("/:id", authenticate, isAdmin, async (req, res) => {
       });
 
       if (existingCategory) {
-        return res
-          .status(400)
-          .json({ message: "Category with this name already exists" });
+        throw new ConflictError("Category with this name already exists");
       }
     }
 
     if (description !== undefined) updateData.description = description;
     if (image !== undefined) updateData.image = image;
-    if (parent !== undefined) updateData.parent = parent || null;
+    if (parent !== undefined) {
+      if (parent) {
+        const parentError = await getParentError(req.params.id, parent);
+        if (parentError) {
+          throw new BadRequestError(parentError);
+        }
+      }
+      updateData.parent = parent || null;
+    }
     if (isActive !== undefined) updateData.isActive = isActive;
 
     const updatedCategory = await Category.findByIdAndUpdate(
@@ -168,51 +178,104 @@ router.put("/:id", authenticate, isAdmin, async (req, res) => {
     );
 
     if (!updatedCategory) {
-      return res.status(404).json({ message: "Category not found" });
+      throw new NotFoundError("Category not found");
     }
 
     res.json(updatedCategory);
-  } catch (error) {
-    console.error("Update category error:", error);
-    res.status(500).json({ message: "Server error updating category" });
-  }
-});
+  })
+);
+
+// Upload the category image, replacing any previous upload (admin only)
+router.put(
+  "/:id/image",
+  authenticate,
+  requirePermission("categories:write"),
+  validateCategoryId,
+  uploadFile("image", { maxSize: IMAGE_MAX_SIZE, types: IMAGE_TYPES }),
+  asyncHandler(async (req, res) => {
+    if (!req.file) {
+      throw new BadRequestError("Image file is required");
+    }
+
+    const category = await Category.findById(req.params.id);
+
+    if (!category) {
+      throw new NotFoundError("Category not found");
+    }
+
+    const image = await storeImage(req.file.buffer, {
+      ownerModel: "Category",
+      owner: category._id,
+      uploadedBy: req.user._id,
+    });
+
+    const previousImage = category.image;
+    category.image = image.url;
+    await category.save();
+    await deleteImageByUrl("Category", category._id, previousImage);
+
+    res.json(category);
+  })
+);
+
+// Remove the category image (admin only)
+router.delete(
+  "/:id/image",
+  authenticate,
+  requirePermission("categories:write"),
+  validateCategoryId,
+  asyncHandler(async (req, res) => {
+    const category = await Category.findById(req.params.id);
+
+    if (!category) {
+      throw new NotFoundError("Category not found");
+    }
+
+    const previousImage = category.image;
+    category.image = undefined;
+    await category.save();
+    await deleteImageByUrl("Category", category._id, previousImage);
+
+    res.json(category);
+  })
+);
 
 // Delete category (admin only)
-router.delete("/:id", authenticate, isAdmin, async (req, res) => {
-  try {
+router.delete(
+  "/:id",
+  authenticate,
+  requirePermission("categories:write"),
+  validateCategoryId,
+  asyncHandler(async (req, res) => {
     // Check if category has products
     const Product = mongoose.model("Product");
     const hasProducts = await Product.exists({ category: req.params.id });
 
     if (hasProducts) {
-      return res.status(400).json({
-        message:
-          "Cannot delete category that has products. Update or delete the products first.",
-      });
+      throw new BadRequestError(
+        "Cannot delete category that has products. Update or delete the products first."
+      );
     }
 
     // Check if category has subcategories
     const hasSubcategories = await Category.exists({ parent: req.params.id });
 
     if (hasSubcategories) {
-      return res.status(400).json({
-        message:
-          "Cannot delete category that has subcategories. Delete or reassign the subcategories first.",
-      });
+      throw new BadRequestError(
+        "Cannot delete category that has subcategories. Delete or reassign the subcategories first."
+      );
     }
 
     const category = await Category.findByIdAndDelete(req.params.id);
 
     if (!category) {
-      return res.status(404).json({ message: "Category not found" });
+      throw new NotFoundError("Category not found");
     }
 
+    await deleteOwnerImages("Category", category._id);
+
     res.json({ message: "Category deleted successfully" });
-  } catch (error) {
-    console.error("Delete category error:", error);
-    res.status(500).json({ message: "Server error deleting category" });
-  }
-});
+  })
+);
 
 export default router;
@@ -0,0 +1,188 @@
+import express from "express";
+import Coupon from "../models/Coupon.js";
+import { authenticate, requirePermission } from "../middleware/auth.js";
+import {
+  validateCoupon,
+  validateCouponId,
+  validateCouponList,
+  validateCouponUpdate,
+} from "../middleware/validation.js";
+import { asyncHandler } from "../middleware/errorHandler.js";
+import { ConflictError, NotFoundError } from "../utils/errors.js";
+
+const router = express.Router();
+
+// All coupon routes need the coupons:manage permission
+router.use(authenticate, requirePermission("coupons:manage"));
+
+// Get all coupons
+router.get(
+  "/",
+  validateCouponList,
+  asyncHandler(async (req, res) => {
+    const { page, limit } = req.query;
+    const skip = (page - 1) * limit;
+
+    const query = {};
+    if (req.query.active !== undefined) query.isActive = req.query.active;
+    if (req.query.code) query.code = req.query.code.toUpperCase();
+
+    const coupons = await Coupon.find(query)
+      .select("-redemptions")
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(limit);
+
+    const total = await Coupon.countDocuments(query);
+
+    res.json({
+      coupons,
+      pagination: {
+        total,
+        page,
+        pages: Math.ceil(total / limit),
+      },
+    });
+  })
+);
+
+// Get coupon by ID, including its redemptions
+router.get(
+  "/:id",
+  validateCouponId,
+  asyncHandler(async (req, res) => {
+    const { id } = req.params;
+
+    const coupon = await Coupon.findById(id)
+      .populate("products", "name sku")
+      .populate("categories", "name slug")
+      .populate("redemptions.user", "name email");
+
+    if (!coupon) {
+      throw new NotFoundError("Coupon not found");
+    }
+
+    res.json(coupon);
+  })
+);
+
+// Create coupon
+router.post(
+  "/",
+  validateCoupon,
+  asyncHandler(async (req, res) => {
+    const {
+      code,
+      description,
+      type,
+      value,
+      maxDiscount,
+      minSubtotal,
+      products,
+      categories,
+      startsAt,
+      expiresAt,
+      usageLimit,
+      perUserLimit,
+      isActive,
+    } = req.body;
+
+    const existingCoupon = await Coupon.findOne({
+      code: code.toUpperCase(),
+    });
+    if (existingCoupon) {
+      throw new ConflictError("Coupon with this code already exists");
+    }
+
+    const coupon = new Coupon({
+      code,
+      description,
+      type,
+      value,
+      maxDiscount,
+      minSubtotal,
+      products,
+      categories,
+      startsAt,
+      expiresAt,
+      usageLimit,
+      perUserLimit,
+      isActive,
+    });
+
+    const savedCoupon = await coupon.save();
+
+    res.status(201).json(savedCoupon);
+  })
+);
+
+// Update coupon. Usage counts are only changed by redemptions.
+router.put(
+  "/:id",
+  validateCouponUpdate,
+  asyncHandler(async (req, res) => {
+    const { id } = req.params;
+
+    const fields = [
+      "description",
+      "type",
+      "value",
+      "maxDiscount",
+      "minSubtotal",
+      "products",
+      "categories",
+      "startsAt",
+      "expiresAt",
+      "usageLimit",
+      "perUserLimit",
+      "isActive",
+    ];
+    const updateData = {};
+    for (const field of fields) {
+      if (req.body[field] !== undefined) updateData[field] = req.body[field];
+    }
+
+    if (req.body.code) {
+      updateData.code = req.body.code.toUpperCase();
+
+      const existingCoupon = await Coupon.findOne({
+        code: updateData.code,
+        _id: { $ne: id },
+      });
+      if (existingCoupon) {
+        throw new ConflictError("Coupon with this code already exists");
+      }
+    }
+
+    const updatedCoupon = await Coupon.findByIdAndUpdate(
+      id,
+      { $set: updateData },
+      { new: true, runValidators: true }
+    ).select("-redemptions");
+
+    if (!updatedCoupon) {
+      throw new NotFoundError("Coupon not found");
+    }
+
+    res.json(updatedCoupon);
+  })
+);
+
+// Delete coupon
+router.delete(
+  "/:id",
+  validateCouponId,
+  asyncHandler(async (req, res) => {
+    const { id } = req.params;
+
+    const coupon = await Coupon.findByIdAndDelete(id);
+
+    if (!coupon) {
+      throw new NotFoundError("Coupon not found");
+    }
+
+    res.json({ message: "Coupon deleted successfully" });
+  })
+);
+
+export default router;
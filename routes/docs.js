@@ -0,0 +1,95 @@
+import crypto from "crypto";
+import express from "express";
+import {
+  buildOpenApiDocument,
+  findUndocumentedRoutes,
+} from "../services/apiDocsService.js";
+
+// Swagger UI from the CDN, pinned to one release with Subresource Integrity
+// hashes so a changed file is refused. The hashes are of the files in the
+// swagger-ui-dist npm package; update them together with the version.
+const SWAGGER_UI = "https://unpkg.com/swagger-ui-dist@5.33.0";
+const SWAGGER_UI_CSS_INTEGRITY =
+  "sha384-Ov4/wv3j2bmct8cDc5X4ngJZohVPzEmc6uDPH8WeljUxO5vtoykvMEfbu9Vh6RaW";
+const SWAGGER_UI_BUNDLE_INTEGRITY =
+  "sha384-YDALVcy8kj8yltLBVi1vBiBAUqdxvus673gM8XKwiy6aDUJFXivF/KCufekjYbVf";
+
+// Swagger UI comes from the CDN; the inline script that starts it is
+// allowed by a nonce made for each response
+const docsContentSecurityPolicy = (nonce) =>
+  [
+    "default-src 'none'",
+    `script-src https://unpkg.com 'nonce-${nonce}'`,
+    "style-src https://unpkg.com 'unsafe-inline'",
+    "img-src 'self' data: https://unpkg.com",
+    "connect-src 'self'",
+    "frame-ancestors 'none'",
+    "base-uri 'none'",
+  ].join("; ");
+
+const docsPage = (specUrl, nonce) => `<!DOCTYPE html>
+<html lang="en">
+  <head>
+    <meta charset="utf-8" />
+    <title>Store API</title>
+    <link
+      rel="stylesheet"
+      href="${SWAGGER_UI}/swagger-ui.css"
+      integrity="${SWAGGER_UI_CSS_INTEGRITY}"
+      crossorigin="anonymous"
+    />
+  </head>
+  <body>
+    <div id="docs"></div>
+    <script
+      src="${SWAGGER_UI}/swagger-ui-bundle.js"
+      integrity="${SWAGGER_UI_BUNDLE_INTEGRITY}"
+      crossorigin="anonymous"
+    ></script>
+    <script nonce="${nonce}">
+      SwaggerUIBundle({
+        url: "${specUrl}",
+        dom_id: "#docs",
+        persistAuthorization: true,
+      });
+    </script>
+  </body>
+</html>
+`;
+
+// Serve the OpenAPI document for the given [mountPath, router] pairs and an
+// interactive docs page. The document is built on first request, once every
+// route is registered.
+export const createDocsRouter = (mounts) => {
+  const router = express.Router();
+  let document;
+
+  const getDocument = () => {
+    if (!document) {
+      // test/apiDocs.test.js fails on these; the warning is only a fallback
+      // for routes added without running the tests
+      const undocumented = findUndocumentedRoutes(mounts);
+      if (undocumented.length) {
+        console.warn(
+          `Routes missing from the API docs: ${undocumented.join(", ")}`
+        );
+      }
+      document = buildOpenApiDocument(mounts);
+    }
+    return document;
+  };
+
+  // OpenAPI 3.1 document (public)
+  router.get("/openapi.json", (req, res) => {
+    res.json(getDocument());
+  });
+
+  // Interactive docs (public)
+  router.get("/", (req, res) => {
+    const nonce = crypto.randomBytes(16).toString("base64");
+    res.set("Content-Security-Policy", docsContentSecurityPolicy(nonce));
+    res.type("html").send(docsPage(`${req.baseUrl}/openapi.json`, nonce));
+  });
+
+  return router;
+};
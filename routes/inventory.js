@@ -0,0 +1,105 @@
+import express from "express";
+import InventoryMovement from "../models/InventoryMovement.js";
+import { authenticate, requirePermission } from "../middleware/auth.js";
+import {
+  validateLowStock,
+  validateMovementList,
+  validateStockAdjustment,
+} from "../middleware/validation.js";
+import {
+  adjustStock,
+  getLowStock,
+  setStock,
+} from "../services/inventoryService.js";
+import { asyncHandler } from "../middleware/errorHandler.js";
+
+const router = express.Router();
+
+// All inventory routes need the inventory:manage permission
+router.use(authenticate, requirePermission("inventory:manage"));
+
+// Adjust the stock of a product or variant, either by a signed quantity or
+// to an absolute level, with a note saying why
+router.post(
+  "/adjustments",
+  validateStockAdjustment,
+  asyncHandler(async (req, res) => {
+    const { product, variant, quantity, level, note } = req.body;
+    const details = {
+      product,
+      variant,
+      reason: "adjustment",
+      actor: req.user._id,
+      note,
+    };
+
+    const result =
+      level !== undefined
+        ? await setStock({ ...details, level })
+        : await adjustStock({ ...details, quantity });
+
+    res.status(result.movement ? 201 : 200).json({
+      movement: result.movement,
+      inventory: result.product.inventory,
+      variants: result.product.variants.map(({ _id, sku, inventory }) => ({
+        _id,
+        sku,
+        inventory,
+      })),
+    });
+  })
+);
+
+// Get stock movements, newest first. Filter by product, variant, order,
+// reason and a from/to date range.
+router.get(
+  "/movements",
+  validateMovementList,
+  asyncHandler(async (req, res) => {
+    const { page, limit } = req.query;
+    const skip = (page - 1) * limit;
+
+    const query = {};
+    for (const field of ["product", "variant", "order", "reason"]) {
+      if (req.query[field]) query[field] = req.query[field];
+    }
+
+    if (req.query.from || req.query.to) {
+      query.createdAt = {};
+      if (req.query.from) query.createdAt.$gte = req.query.from;
+      if (req.query.to) query.createdAt.$lte = req.query.to;
+    }
+
+    const movements = await InventoryMovement.find(query)
+      .populate("product", "name sku")
+      .populate("actor", "name email")
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(limit);
+
+    const total = await InventoryMovement.countDocuments(query);
+
+    res.json({
+      movements,
+      pagination: {
+        total,
+        page,
+        pages: Math.ceil(total / limit),
+      },
+    });
+  })
+);
+
+// Products and variants at or below their own low-stock threshold, or at or
+// below ?threshold= when given
+router.get(
+  "/low-stock",
+  validateLowStock,
+  asyncHandler(async (req, res) => {
+    const { threshold, limit } = req.query;
+
+    res.json({ products: await getLowStock({ threshold, limit }) });
+  })
+);
+
+export default router;
@@ -1,16 +1,39 @@
 import express from "express";
 import Order from "../models/Order.js";
-import Product from "../models/Product.js";
-import { authenticate, isAdmin, isOwnerOrAdmin } from "../middleware/auth.js";
-import { validateOrder } from "../middleware/validation.js";
+import {
+  authenticate,
+  isOwnerOrPermitted,
+  requirePermission,
+} from "../middleware/auth.js";
+import { rateLimit } from "../middleware/rateLimit.js";
+import { hasPermission } from "../services/permissionService.js";
+import {
+  validateMyOrders,
+  validateOrder,
+  validateOrderCancellation,
+  validateOrderId,
+  validateOrderList,
+  validateOrderStatus,
+  validateRefund,
+} from "../middleware/validation.js";
+import {
+  createOrder,
+  saveOrder,
+  transitionOrder,
+} from "../services/orderService.js";
+import { cancelOrder, refundOrder } from "../services/refundService.js";
+import { asyncHandler } from "../middleware/errorHandler.js";
+import { NotFoundError } from "../utils/errors.js";
 
 const router = express.Router();
 
 // Get user's orders
-router.get("/my-orders", authenticate, async (req, res) => {
-  try {
-    const page = parseInt(req.query.page) || 1;
-    const limit = parseInt(req.query.limit) || 10;
+router.get(
+  "/my-orders",
+  authenticate,
+  validateMyOrders,
+  asyncHandler(async (req, res) => {
+    const { page, limit } = req.query;
     const skip = (page - 1) * limit;
 
     const orders = await Order.find({ user: req.user._id })
@@ -28,105 +51,91 @@ router.get("/my-orders", authenticate, async (req, res) => {
         pages: Math.ceil(total / limit),
       },
     });
-  } catch (error) {
-    console.error("Get user orders error:", error);
-    res.status(500).json({ message: "Server error fetching orders" });
-  }
-});
+  })
+);
 
 // Get specific order by ID (user can only see their own orders)
-router.get("/:id", authenticate, isOwnerOrAdmin(Order), async (req, res) => {
-  try {
-    const order = await Order.findById(req.params.id).populate(
-      "user",
-      "name email"
-    );
+router.get(
+  "/:id",
+  authenticate,
+  validateOrderId,
+  isOwnerOrPermitted(Order, "orders:read"),
+  asyncHandler(async (req, res) => {
+    const order = await Order.findById(req.params.id)
+      .populate("user", "name email")
+      .populate("statusHistory.changedBy", "name");
 
     if (!order) {
-      return res.status(404).json({ message: "Order not found" });
+      throw new NotFoundError("Order not found");
     }
 
     res.json(order);
-  } catch (error) {
-    console.error("Get order error:", error);
-    res.status(500).json({ message: "Server error fetching order" });
-  }
-});
+  })
+);
 
 // Create new order
-router.post("/", authenticate, validateOrder, async (req, res) => {
-  try {
-    const { items, shippingAddress, paymentMethod, paymentDetails, notes } =
-      req.body;
-
-    // Calculate prices and check inventory
-    let subtotal = 0;
-    const processedItems = [];
-
-    for (const item of items) {
-      const product = await Product.findById(item.product);
-
-      if (!product) {
-        return res
-          .status(400)
-          .json({ message: `Product with ID ${item.product} not found` });
-      }
-
-      if (product.inventory < item.quantity) {
-        return res.status(400).json({
-          message: `Not enough inventory for ${product.name}. Available: ${product.inventory}`,
-        });
-      }
-
-      // Reduce inventory
-      product.inventory -= item.quantity;
-      await product.save();
-
-      const itemPrice = product.price * item.quantity;
-      subtotal += itemPrice;
-
-      processedItems.push({
-        product: product._id,
-        name: product.name,
-        price: product.price,
-        quantity: item.quantity,
-      });
-    }
-
-    // Calculate tax and shipping (simplified)
-    const tax = subtotal * 0.1; // 10% tax
-    const shipping = subtotal > 100 ? 0 : 10; // Free shipping over $100
-    const total = subtotal + tax + shipping;
+router.post(
+  "/",
+  authenticate,
+  rateLimit("checkout"),
+  validateOrder,
+  asyncHandler(async (req, res) => {
+    const {
+      items,
+      shippingAddress,
+      shippingMethod,
+      couponCode,
+      paymentMethod,
+      notes,
+    } = req.body;
 
-    const order = new Order({
+    const savedOrder = await createOrder({
       user: req.user._id,
-      items: processedItems,
+      items,
       shippingAddress,
+      shippingMethod,
+      couponCode,
       paymentMethod,
-      paymentDetails,
-      subtotal,
-      tax,
-      shipping,
-      total,
       notes,
     });
 
-    const savedOrder = await order.save();
-
     res.status(201).json(savedOrder);
-  } catch (error) {
-    console.error("Create order error:", error);
-    res.status(500).json({ message: "Server error creating order" });
-  }
-});
+  })
+);
+
+// Cancel an order (customers: own pending orders; admins: pending or processing)
+router.post(
+  "/:id/cancel",
+  authenticate,
+  validateOrderCancellation,
+  isOwnerOrPermitted(Order, "orders:update_status"),
+  asyncHandler(async (req, res) => {
+    const order = await Order.findById(req.params.id);
+
+    if (!order) {
+      throw new NotFoundError("Order not found");
+    }
+
+    const cancelledOrder = await cancelOrder(order, {
+      actor: req.user._id,
+      reason: req.body.reason,
+      isStaff: await hasPermission(req.user, "orders:update_status"),
+    });
+
+    res.json(cancelledOrder);
+  })
+);
 
 // ADMIN ROUTES
 
 // Get all orders (admin only)
-router.get("/", authenticate, isAdmin, async (req, res) => {
-  try {
-    const page = parseInt(req.query.page) || 1;
-    const limit = parseInt(req.query.limit) || 10;
+router.get(
+  "/",
+  authenticate,
+  requirePermission("orders:read"),
+  validateOrderList,
+  asyncHandler(async (req, res) => {
+    const { page, limit } = req.query;
     const skip = (page - 1) * limit;
 
     // Build query based on filters
@@ -140,9 +149,8 @@ router.get("/", authenticate, isAdmin, async (req, res) => {
     // Filter by date range
     if (req.query.startDate || req.query.endDate) {
       query.createdAt = {};
-      if (req.query.startDate)
-        query.createdAt.$gte = new Date(req.query.startDate);
-      if (req.query.endDate) query.createdAt.$lte = new Date(req.query.endDate);
+      if (req.query.startDate) query.createdAt.$gte = req.query.startDate;
+      if (req.query.endDate) query.createdAt.$lte = req.query.endDate;
     }
 
     const orders = await Order.find(query)
@@ -161,50 +169,68 @@ router.get("/", authenticate, isAdmin, async (req, res) => {
         pages: Math.ceil(total / limit),
       },
     });
-  } catch (error) {
-    console.error("Get all orders error:", error);
-    res.status(500).json({ message: "Server error fetching orders" });
-  }
-});
+  })
+);
 
-// Update order status (admin only)
-router.patch("/:id/status", authenticate, isAdmin, async (req, res) => {
-  try {
-    const { status, trackingNumber } = req.body;
+// Refund an order, fully or per line (admin only)
+router.post(
+  "/:id/refunds",
+  authenticate,
+  requirePermission("orders:refund"),
+  validateRefund,
+  asyncHandler(async (req, res) => {
+    const { items, reason, restock } = req.body;
 
-    if (!status) {
-      return res.status(400).json({ message: "Status is required" });
-    }
+    const order = await Order.findById(req.params.id);
 
-    const validStatuses = [
-      "pending",
-      "processing",
-      "shipped",
-      "delivered",
-      "cancelled",
-    ];
-    if (!validStatuses.includes(status)) {
-      return res.status(400).json({ message: "Invalid status value" });
+    if (!order) {
+      throw new NotFoundError("Order not found");
     }
 
-    const updateData = { status };
-    if (trackingNumber) updateData.trackingNumber = trackingNumber;
+    const refundedOrder = await refundOrder(order, {
+      actor: req.user._id,
+      items,
+      reason,
+      restock,
+    });
+
+    res.json(refundedOrder);
+  })
+);
+
+// Update order status (admin only)
+router.patch(
+  "/:id/status",
+  authenticate,
+  requirePermission("orders:update_status"),
+  validateOrderStatus,
+  asyncHandler(async (req, res) => {
+    const { status, trackingNumber, note } = req.body;
 
-    const order = await Order.findByIdAndUpdate(
-      req.params.id,
-      { $set: updateData },
-      { new: true }
-    );
+    const order = await Order.findById(req.params.id);
 
     if (!order) {
-      return res.status(404).json({ message: "Order not found" });
+      throw new NotFoundError("Order not found");
     }
 
+    // Cancellation restocks and refunds, so it goes through the refund flow
+    if (status === "cancelled") {
+      const cancelledOrder = await cancelOrder(order, {
+        actor: req.user._id,
+        reason: note || req.body.reason,
+        isStaff: true,
+      });
+
+      return res.json(cancelledOrder);
+    }
+
+    transitionOrder(order, status, { actor: req.user._id, note });
+    if (trackingNumber) order.trackingNumber = trackingNumber;
+
+    await saveOrder(order);
+
     res.json(order);
-  } catch (error) {
-    console.error("Update order status error:", error);
-    res.status(500).json({ message: "Server error updating order status" });
-  }
-});
+  })
+);
 
 export default router;
@@ -0,0 +1,84 @@
+import express from "express";
+import Order from "../models/Order.js";
+import { authenticate } from "../middleware/auth.js";
+import { rateLimit } from "../middleware/rateLimit.js";
+import {
+  confirmPayment,
+  createPaymentIntent,
+  handleWebhook,
+} from "../services/paymentService.js";
+import {
+  validatePaymentConfirmation,
+  validatePaymentIntent,
+} from "../middleware/validation.js";
+import { asyncHandler } from "../middleware/errorHandler.js";
+import { NotFoundError } from "../utils/errors.js";
+
+const router = express.Router();
+
+// Start paying for one of the user's orders
+router.post(
+  "/intents",
+  authenticate,
+  rateLimit("checkout"),
+  validatePaymentIntent,
+  asyncHandler(async (req, res) => {
+    const { order: orderId } = req.body;
+
+    const order = await Order.findOne({ _id: orderId, user: req.user._id });
+
+    if (!order) {
+      throw new NotFoundError("Order not found");
+    }
+
+    const { intentId, clientSecret } = await createPaymentIntent(order);
+
+    res.status(201).json({
+      order: order._id,
+      intentId,
+      clientSecret,
+      amount: order.total,
+      currency: order.paymentDetails.currency,
+    });
+  })
+);
+
+// Confirm a payment. The result arrives by webhook, so the order's payment
+// status is still pending in the response.
+router.post(
+  "/intents/:intentId/confirm",
+  authenticate,
+  rateLimit("checkout"),
+  validatePaymentConfirmation,
+  asyncHandler(async (req, res) => {
+    const order = await Order.findOne({
+      "paymentDetails.intentId": req.params.intentId,
+      user: req.user._id,
+    });
+
+    if (!order) {
+      throw new NotFoundError("Payment not found");
+    }
+
+    const result = await confirmPayment(order, {
+      paymentMethod: req.body.paymentMethod,
+    });
+
+    res.status(202).json({ order: order._id, ...result });
+  })
+);
+
+// Payment provider callbacks, signed with the webhook secret
+router.post(
+  "/webhook",
+  asyncHandler(async (req, res) => {
+    const result = await handleWebhook(
+      req.rawBody,
+      req.get("X-Payment-Signature")
+    );
+
+    res.json(result);
+  })
+);
+
+export default router;
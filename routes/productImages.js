@@ -0,0 +1,158 @@
+import express from "express";
+import Product from "../models/Product.js";
+import Image from "../models/Image.js";
+import { authenticate, requirePermission } from "../middleware/auth.js";
+import { uploadFile } from "../middleware/upload.js";
+import {
+  IMAGE_MAX_SIZE,
+  IMAGE_TYPES,
+  deleteImage,
+  getGallery,
+  storeImage,
+} from "../services/imageService.js";
+import {
+  validateImageId,
+  validateImageOrder,
+  validateImageUpload,
+  validateProductId,
+} from "../middleware/validation.js";
+import { asyncHandler } from "../middleware/errorHandler.js";
+import {
+  BadRequestError,
+  NotFoundError,
+  ValidationError,
+} from "../utils/errors.js";
+
+// Mounted under /api/products/:id/images
+const router = express.Router({ mergeParams: true });
+
+// Reject malformed product IDs up front
+router.use(validateProductId);
+
+// Get a product's gallery with thumbnails (public)
+router.get(
+  "/",
+  asyncHandler(async (req, res) => {
+    const product = await Product.findById(req.params.id);
+
+    if (!product) {
+      throw new NotFoundError("Product not found");
+    }
+
+    res.json(await getGallery(product));
+  })
+);
+
+// Upload an image to the gallery, at the end or at ?position= (admin only)
+router.post(
+  "/",
+  authenticate,
+  requirePermission("products:write"),
+  uploadFile("image", { maxSize: IMAGE_MAX_SIZE, types: IMAGE_TYPES }),
+  validateImageUpload,
+  asyncHandler(async (req, res) => {
+    if (!req.file) {
+      throw new BadRequestError("Image file is required");
+    }
+
+    const product = await Product.findById(req.params.id);
+
+    if (!product) {
+      throw new NotFoundError("Product not found");
+    }
+
+    // validateImageUpload made position a whole number of at least 0; it
+    // can be at most the gallery size. Checked before any file is written.
+    const location = req.query.position !== undefined ? "query" : "body";
+    const position = req[location].position ?? product.images.length;
+    if (position > product.images.length) {
+      throw new ValidationError([
+        {
+          field: "position",
+          message: `position must be at most ${product.images.length}`,
+          location,
+        },
+      ]);
+    }
+
+    const image = await storeImage(req.file.buffer, {
+      ownerModel: "Product",
+      owner: product._id,
+      uploadedBy: req.user._id,
+    });
+
+    product.images.splice(position, 0, image.url);
+
+    try {
+      await product.save();
+    } catch (error) {
+      await deleteImage(image);
+      throw error;
+    }
+
+    res.status(201).json(await getGallery(product));
+  })
+);
+
+// Reorder the gallery. Body: { images: [url, ...] } with every current image
+// URL exactly once. (admin only)
+router.put(
+  "/order",
+  authenticate,
+  requirePermission("products:write"),
+  validateImageOrder,
+  asyncHandler(async (req, res) => {
+    const { images } = req.body;
+    const product = await Product.findById(req.params.id);
+
+    if (!product) {
+      throw new NotFoundError("Product not found");
+    }
+
+    const current = [...product.images].sort();
+    if (
+      images.length !== current.length ||
+      [...images].sort().some((url, index) => url !== current[index])
+    ) {
+      throw new BadRequestError(
+        "Images must list every image of the product exactly once"
+      );
+    }
+
+    product.images = images;
+    await product.save();
+
+    res.json(await getGallery(product));
+  })
+);
+
+// Delete an uploaded image and its files (admin only)
+router.delete(
+  "/:imageId",
+  authenticate,
+  requirePermission("products:write"),
+  validateImageId,
+  asyncHandler(async (req, res) => {
+    const image = await Image.findOne({
+      _id: req.params.imageId,
+      ownerModel: "Product",
+      owner: req.params.id,
+    });
+
+    if (!image) {
+      throw new NotFoundError("Image not found");
+    }
+
+    const product = await Product.findById(req.params.id);
+    if (product) {
+      product.images.pull(image.url);
+      await product.save();
+    }
+
+    await deleteImage(image);
+
+    res.json({ message: "Image deleted successfully" });
+  })
+);
+
+export default router;
@@ -1,28 +1,78 @@
 import express from "express";
-import mongoose from "mongoose";
 import Product from "../models/Product.js";
-import { authenticate, isAdmin } from "../middleware/auth.js";
-import { validateProduct } from "../middleware/validation.js";
+import { authenticate, requirePermission } from "../middleware/auth.js";
+import { rateLimit } from "../middleware/rateLimit.js";
+import {
+  validateAutocomplete,
+  validateProduct,
+  validateProductExport,
+  validateProductId,
+  validateProductImport,
+  validateProductList,
+  validateProductSearch,
+  validateProductUpdate,
+} from "../middleware/validation.js";
+import { uploadFile } from "../middleware/upload.js";
+import {
+  exportProducts,
+  importProducts,
+  parseImportFile,
+} from "../services/catalogService.js";
+import { deleteOwnerImages } from "../services/imageService.js";
+import { getDescendantIds } from "../services/categoryService.js";
+import {
+  recordStockChanges,
+  stockLevels,
+} from "../services/inventoryService.js";
+import {
+  autocompleteProducts,
+  searchProducts,
+} from "../services/searchService.js";
+import { asyncHandler } from "../middleware/errorHandler.js";
+import { BadRequestError, NotFoundError } from "../utils/errors.js";
 
 const router = express.Router();
 
+const IMPORT_MAX_SIZE = 10 * 1024 * 1024;
+const TRANSFER_FORMATS = ["csv", "json"];
+
 // Get all products (public)
-router.get("/", async (req, res) => {
-  try {
-    const page = parseInt(req.query.page) || 1;
-    const limit = parseInt(req.query.limit) || 12;
+router.get(
+  "/",
+  rateLimit("catalog"),
+  validateProductList,
+  asyncHandler(async (req, res) => {
+    const { page, limit } = req.query;
     const skip = (page - 1) * limit;
 
     let query = { isPublished: true };
 
-    if (req.query.category) query.category = req.query.category;
-    if (req.query.minPrice || req.query.maxPrice) {
+    // A category matches its products and those of all its subcategories
+    if (req.query.category) {
+      query.category = { $in: await getDescendantIds(req.query.category) };
+    }
+    if (req.query.minPrice !== undefined || req.query.maxPrice !== undefined) {
       query.price = {};
-      if (req.query.minPrice) query.price.$gte = parseFloat(req.query.minPrice);
-      if (req.query.maxPrice) query.price.$lte = parseFloat(req.query.maxPrice);
+      if (req.query.minPrice !== undefined)
+        query.price.$gte = req.query.minPrice;
+      if (req.query.maxPrice !== undefined)
+        query.price.$lte = req.query.maxPrice;
     }
     if (req.query.search) query.$text = { $search: req.query.search };
-    if (req.query.featured === "true") query.isFeatured = true;
+    if (req.query.featured) query.isFeatured = true;
+
+    // Variant options, e.g. ?options=Size:M,Color:Red|Blue
+    if (req.query.options) {
+      const variantMatch = { isActive: true };
+      for (const pair of req.query.options.split(",")) {
+        const [name, values] = pair.split(":");
+        if (!name || !values || !/^[\w -]+$/.test(name)) continue;
+        variantMatch[`options.${name.trim()}`] = {
+          $in: values.split("|").map((value) => value.trim()),
+        };
+      }
+      query.variants = { $elemMatch: variantMatch };
+    }
 
     let sort = {};
     switch (req.query.sort) {
@@ -58,37 +108,122 @@ router.get("/", async (req, res) => {
         pages: Math.ceil(total / limit),
       },
     });
-  } catch (error) {
-    console.error("Get products error:", error.stack);
-    res.status(500).json({ message: "Server error fetching products" });
-  }
-});
+  })
+);
 
-// Get product by ID (public)
-router.get("/:id", async (req, res) => {
-  try {
-    const { id } = req.params;
+// Faceted search (public). Filters: q, category, price (ranges like 25-50),
+// minPrice/maxPrice, minRating, inStock and specs (Key:Value|Value); comma
+// separated values of one filter match any of them.
+router.get(
+  "/search",
+  rateLimit("catalog"),
+  validateProductSearch,
+  asyncHandler(async (req, res) => {
+    const result = await searchProducts(req.query);
+    if (result.error) {
+      throw new BadRequestError(result.error);
+    }
 
-    if (!mongoose.Types.ObjectId.isValid(id)) {
-      return res.status(400).json({ message: "Invalid product ID" });
+    res.json(result);
+  })
+);
+
+// Name and SKU suggestions for a prefix, e.g. ?q=blu (public)
+router.get(
+  "/autocomplete",
+  rateLimit("catalog"),
+  validateAutocomplete,
+  asyncHandler(async (req, res) => {
+    const { q: prefix, limit } = req.query;
+    if (prefix.length < 2) {
+      return res.json([]);
     }
 
-    const product = await Product.findById(id).populate("category", "name");
+    res.json(await autocompleteProducts(prefix.slice(0, 100), limit));
+  })
+);
+
+// Export the whole catalog as CSV or JSON (admin only)
+router.get(
+  "/export",
+  authenticate,
+  requirePermission("products:write"),
+  validateProductExport,
+  asyncHandler(async (req, res) => {
+    const { format } = req.query;
+
+    const data = await exportProducts(format);
+    const date = new Date().toISOString().slice(0, 10);
+
+    res.attachment(`products-${date}.${format}`);
+    if (format === "csv") {
+      res.type("text/csv").send(data);
+    } else {
+      res.json(data);
+    }
+  })
+);
+
+// Import products from an uploaded CSV or JSON file, creating or updating
+// them by SKU. ?dryRun=true validates every row without saving. (admin only)
+router.post(
+  "/import",
+  authenticate,
+  requirePermission("products:write"),
+  uploadFile("file", { maxSize: IMPORT_MAX_SIZE }),
+  validateProductImport,
+  asyncHandler(async (req, res) => {
+    if (!req.file) {
+      throw new BadRequestError("Import file is required");
+    }
+
+    const format =
+      req.query.format || req.file.originalname.split(".").pop().toLowerCase();
+    if (!TRANSFER_FORMATS.includes(format)) {
+      throw new BadRequestError("Import file must be a .csv or .json file");
+    }
+
+    let rows;
+    try {
+      rows = parseImportFile(req.file.buffer, format);
+    } catch (error) {
+      throw new BadRequestError(`Could not read import file: ${error.message}`);
+    }
+
+    const report = await importProducts(rows, {
+      dryRun: Boolean(req.query.dryRun ?? req.body.dryRun),
+      actor: req.user._id,
+    });
+
+    res.json(report);
+  })
+);
+
+// Get product by ID (public)
+router.get(
+  "/:id",
+  validateProductId,
+  asyncHandler(async (req, res) => {
+    const product = await Product.findById(req.params.id).populate(
+      "category",
+      "name"
+    );
 
     if (!product) {
-      return res.status(404).json({ message: "Product not found" });
+      throw new NotFoundError("Product not found");
     }
 
     res.json(product);
-  } catch (error) {
-    console.error("Get product error:", error.stack);
-    res.status(500).json({ message: "Server error fetching product" });
-  }
-});
+  })
+);
 
 // Create product (admin only)
-router.post("/", authenticate, isAdmin, validateProduct, async (req, res) => {
-  try {
+router.post(
+  "/",
+  authenticate,
+  requirePermission("products:write"),
+  validateProduct,
+  asyncHandler(async (req, res) => {
     const {
       name,
       description,
@@ -97,9 +232,13 @@ router.post("/", authenticate, isAdmin, validateProduct, async (req, res) => {
       images,
       category,
       inventory,
+      weight,
+      lowStockThreshold,
       sku,
       features,
       specifications,
+      options,
+      variants,
       isFeatured,
       isPublished,
     } = req.body;
@@ -112,105 +251,79 @@ router.post("/", authenticate, isAdmin, validateProduct, async (req, res) => {
       images,
       category,
       inventory,
+      weight,
+      lowStockThreshold,
       sku,
       features,
       specifications: specifications
         ? new Map(Object.entries(specifications))
         : undefined,
+      options,
+      variants,
       isFeatured,
       isPublished,
     });
 
     const savedProduct = await product.save();
+    await recordStockChanges(new Map(), savedProduct, {
+      reason: "adjustment",
+      actor: req.user._id,
+      note: "Initial stock",
+    });
 
     res.status(201).json(savedProduct);
-  } catch (error) {
-    console.error("Create product error:", error.stack);
-    res.status(500).json({ message: "Server error creating product" });
-  }
-});
-
-// Update product (admin only)
-router.put("/:id", authenticate, isAdmin, validateProduct, async (req, res) => {
-  try {
-    const { id } = req.params;
-    const {
-      name,
-      description,
-      price,
-      comparePrice,
-      images,
-      category,
-      inventory,
-      sku,
-      features,
-      specifications,
-      isFeatured,
-      isPublished,
-    } = req.body;
-
-    if (!mongoose.Types.ObjectId.isValid(id)) {
-      return res.status(400).json({ message: "Invalid product ID" });
-    }
+  })
+);
 
-    const updateData = {};
-    if (name) updateData.name = name;
-    if (description) updateData.description = description;
-    if (price !== undefined) updateData.price = price;
-    if (comparePrice !== undefined) updateData.comparePrice = comparePrice;
-    if (images) updateData.images = images;
-    if (category) updateData.category = category;
-    if (inventory !== undefined) updateData.inventory = inventory;
-    if (sku) updateData.sku = sku;
-    if (features) updateData.features = features;
+// Update product (admin only). Only the fields sent are changed.
+router.put(
+  "/:id",
+  authenticate,
+  requirePermission("products:write"),
+  validateProductUpdate,
+  asyncHandler(async (req, res) => {
+    const { specifications, ...updateData } = req.body;
     if (specifications) {
-      if (typeof specifications !== "object") {
-        return res
-          .status(400)
-          .json({ message: "Invalid specifications format" });
-      }
       updateData.specifications = new Map(Object.entries(specifications));
     }
-    if (isFeatured !== undefined) updateData.isFeatured = isFeatured;
-    if (isPublished !== undefined) updateData.isPublished = isPublished;
 
-    const updatedProduct = await Product.findByIdAndUpdate(
-      id,
-      { $set: updateData },
-      { new: true, runValidators: true }
-    );
+    // Saved as a document so variant rules run against the merged product
+    const product = await Product.findById(req.params.id);
 
-    if (!updatedProduct) {
-      return res.status(404).json({ message: "Product not found" });
+    if (!product) {
+      throw new NotFoundError("Product not found");
     }
 
+    const stockBefore = stockLevels(product);
+    product.set(updateData);
+    const updatedProduct = await product.save();
+    await recordStockChanges(stockBefore, updatedProduct, {
+      reason: "adjustment",
+      actor: req.user._id,
+      note: "Product update",
+    });
+
     res.json(updatedProduct);
-  } catch (error) {
-    console.error("Update product error:", error.stack);
-    res.status(500).json({ message: "Server error updating product" });
-  }
-});
+  })
+);
 
 // Delete product (admin only)
-router.delete("/:id", authenticate, isAdmin, async (req, res) => {
-  try {
-    const { id } = req.params;
-
-    if (!mongoose.Types.ObjectId.isValid(id)) {
-      return res.status(400).json({ message: "Invalid product ID" });
-    }
-
-    const product = await Product.findByIdAndDelete(id);
+router.delete(
+  "/:id",
+  authenticate,
+  requirePermission("products:write"),
+  validateProductId,
+  asyncHandler(async (req, res) => {
+    const product = await Product.findByIdAndDelete(req.params.id);
 
     if (!product) {
-      return res.status(404).json({ message: "Product not found" });
+      throw new NotFoundError("Product not found");
     }
 
+    await deleteOwnerImages("Product", product._id);
+
     res.json({ message: "Product deleted successfully" });
-  } catch (error) {
-    console.error("Delete product error:", error.stack);
-    res.status(500).json({ message: "Server error deleting product" });
-  }
-});
+  })
+);
 
 export default router;
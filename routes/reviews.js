@@ -0,0 +1,207 @@
+import express from "express";
+import Review from "../models/Review.js";
+import Product from "../models/Product.js";
+import Order from "../models/Order.js";
+import {
+  authenticate,
+  optionalAuthenticate,
+  requirePermission,
+} from "../middleware/auth.js";
+import { hasPermission } from "../services/permissionService.js";
+import {
+  validateProductId,
+  validateReview,
+  validateReviewId,
+  validateReviewList,
+  validateReviewModeration,
+  validateReviewUpdate,
+} from "../middleware/validation.js";
+import { asyncHandler } from "../middleware/errorHandler.js";
+import {
+  ConflictError,
+  ForbiddenError,
+  NotFoundError,
+} from "../utils/errors.js";
+
+// Mounted under /api/products/:id/reviews
+const router = express.Router({ mergeParams: true });
+
+// Reject malformed product IDs up front
+router.use(validateProductId);
+
+const findProductReview = (req) =>
+  Review.findOne({ _id: req.params.reviewId, product: req.params.id });
+
+// Get reviews for a product (public; moderators may include hidden reviews)
+router.get(
+  "/",
+  optionalAuthenticate,
+  validateReviewList,
+  asyncHandler(async (req, res) => {
+    const { page, limit } = req.query;
+    const skip = (page - 1) * limit;
+
+    const query = { product: req.params.id };
+    const showHidden =
+      req.query.includeHidden &&
+      (await hasPermission(req.user, "reviews:moderate"));
+    if (!showHidden) query.isHidden = false;
+    if (req.query.verified) query.isVerified = true;
+
+    let sort = {};
+    switch (req.query.sort) {
+      case "rating_desc":
+        sort = { rating: -1, createdAt: -1 };
+        break;
+      case "rating_asc":
+        sort = { rating: 1, createdAt: -1 };
+        break;
+      default:
+        sort = { createdAt: -1 };
+    }
+
+    const reviews = await Review.find(query)
+      .populate("user", "name avatar")
+      .sort(sort)
+      .skip(skip)
+      .limit(limit);
+
+    const total = await Review.countDocuments(query);
+
+    res.json({
+      reviews,
+      pagination: {
+        total,
+        page,
+        pages: Math.ceil(total / limit),
+      },
+    });
+  })
+);
+
+// Create a review (customers with a delivered order containing the product)
+router.post(
+  "/",
+  authenticate,
+  validateReview,
+  asyncHandler(async (req, res) => {
+    const { rating, title, comment } = req.body;
+    const productId = req.params.id;
+
+    const product = await Product.exists({ _id: productId });
+    if (!product) {
+      throw new NotFoundError("Product not found");
+    }
+
+    const hasPurchased = await Order.exists({
+      user: req.user._id,
+      status: "delivered",
+      "items.product": productId,
+    });
+    if (!hasPurchased) {
+      throw new ForbiddenError(
+        "You can only review products from your delivered orders"
+      );
+    }
+
+    const existingReview = await Review.exists({
+      product: productId,
+      user: req.user._id,
+    });
+    if (existingReview) {
+      throw new ConflictError("You have already reviewed this product");
+    }
+
+    const review = new Review({
+      product: productId,
+      user: req.user._id,
+      rating,
+      title,
+      comment,
+    });
+
+    const savedReview = await review.save();
+
+    res.status(201).json(savedReview);
+  })
+);
+
+// Edit own review
+router.put(
+  "/:reviewId",
+  authenticate,
+  validateReviewUpdate,
+  asyncHandler(async (req, res) => {
+    const { rating, title, comment } = req.body;
+
+    const review = await findProductReview(req);
+
+    if (!review) {
+      throw new NotFoundError("Review not found");
+    }
+
+    if (review.user.toString() !== req.user._id.toString()) {
+      throw new ForbiddenError("Access denied. Not authorized");
+    }
+
+    if (rating !== undefined) review.rating = rating;
+    if (title !== undefined) review.title = title;
+    if (comment !== undefined) review.comment = comment;
+
+    const updatedReview = await review.save();
+
+    res.json(updatedReview);
+  })
+);
+
+// Delete a review (author or moderator)
+router.delete(
+  "/:reviewId",
+  authenticate,
+  validateReviewId,
+  asyncHandler(async (req, res) => {
+    const review = await findProductReview(req);
+
+    if (!review) {
+      throw new NotFoundError("Review not found");
+    }
+
+    const isAuthor = review.user.toString() === req.user._id.toString();
+    if (!isAuthor && !(await hasPermission(req.user, "reviews:moderate"))) {
+      throw new ForbiddenError("Access denied. Not authorized");
+    }
+
+    await review.deleteOne();
+
+    res.json({ message: "Review deleted successfully" });
+  })
+);
+
+// ADMIN ROUTES
+
+// Hide/unhide or verify a review (moderators only)
+router.patch(
+  "/:reviewId/moderation",
+  authenticate,
+  requirePermission("reviews:moderate"),
+  validateReviewModeration,
+  asyncHandler(async (req, res) => {
+    const { isHidden, isVerified } = req.body;
+
+    const review = await findProductReview(req);
+
+    if (!review) {
+      throw new NotFoundError("Review not found");
+    }
+
+    if (isHidden !== undefined) review.isHidden = isHidden;
+    if (isVerified !== undefined) review.isVerified = isVerified;
+    review.moderatedBy = req.user._id;
+
+    const moderatedReview = await review.save();
+
+    res.json(moderatedReview);
+  })
+);
+
+export default router;
@@ -0,0 +1,170 @@
+import express from "express";
+import Role from "../models/Role.js";
+import User from "../models/User.js";
+import { authenticate, requirePermission } from "../middleware/auth.js";
+import {
+  validateRole,
+  validateRoleId,
+  validateRoleUpdate,
+} from "../middleware/validation.js";
+import {
+  clearPermissionCache,
+  holdsPermissions,
+  PERMISSIONS,
+} from "../services/permissionService.js";
+import { asyncHandler } from "../middleware/errorHandler.js";
+import {
+  BadRequestError,
+  ConflictError,
+  ForbiddenError,
+  NotFoundError,
+} from "../utils/errors.js";
+
+const router = express.Router();
+
+// Roles can only be given permissions the user editing them holds, so
+// roles:manage cannot be used to gain or hand out more access
+const assertCanGrant = async (user, permissions) => {
+  if (!(await holdsPermissions(user, permissions))) {
+    throw new ForbiddenError(
+      "Access denied. You can only grant permissions you hold"
+    );
+  }
+};
+
+// All role routes need the roles:manage permission
+router.use(authenticate, requirePermission("roles:manage"));
+
+// List every permission that can be granted
+router.get("/permissions", (req, res) => {
+  res.json(
+    Object.entries(PERMISSIONS).map(([name, description]) => ({
+      name,
+      description,
+    }))
+  );
+});
+
+// Get all roles
+router.get(
+  "/",
+  asyncHandler(async (req, res) => {
+    const roles = await Role.find().sort({ name: 1 });
+
+    res.json(roles);
+  })
+);
+
+// Create role
+router.post(
+  "/",
+  validateRole,
+  asyncHandler(async (req, res) => {
+    const { name, description, permissions } = req.body;
+
+    const existingRole = await Role.findOne({ name: name.toLowerCase() });
+    if (existingRole) {
+      throw new ConflictError("Role with this name already exists");
+    }
+
+    await assertCanGrant(req.user, permissions || []);
+
+    const role = new Role({ name, description, permissions });
+    const savedRole = await role.save();
+
+    res.status(201).json(savedRole);
+  })
+);
+
+// Update role
+router.put(
+  "/:id",
+  validateRoleUpdate,
+  asyncHandler(async (req, res) => {
+    const { id } = req.params;
+    const { name, description, permissions } = req.body;
+
+    const role = await Role.findById(id);
+
+    if (!role) {
+      throw new NotFoundError("Role not found");
+    }
+
+    // Built-in roles apply to every customer (user) or grant everything
+    // (admin), so only holders of every permission may change them
+    if (role.isSystem && !(await holdsPermissions(req.user, ["*"]))) {
+      throw new ForbiddenError(
+        "Access denied. Built-in roles can only be changed by a user with every permission"
+      );
+    }
+
+    // Editing a role with more access than the user's own could take it
+    // away from users who rightly hold it
+    await assertCanGrant(req.user, role.permissions);
+    if (permissions) await assertCanGrant(req.user, permissions);
+
+    if (role.isSystem && name && name.toLowerCase() !== role.name) {
+      throw new BadRequestError("Built-in roles cannot be renamed");
+    }
+
+    if (role.name === "admin" && permissions) {
+      throw new BadRequestError("The admin role always has every permission");
+    }
+
+    if (name && name.toLowerCase() !== role.name) {
+      const existingRole = await Role.findOne({ name: name.toLowerCase() });
+      if (existingRole) {
+        throw new ConflictError("Role with this name already exists");
+      }
+
+      // Keep users on the role when it is renamed
+      await User.updateMany(
+        { role: role.name },
+        { $set: { role: name.toLowerCase() } }
+      );
+      role.name = name;
+    }
+    if (description !== undefined) role.description = description;
+    if (permissions) role.permissions = permissions;
+
+    const updatedRole = await role.save();
+    clearPermissionCache();
+
+    res.json(updatedRole);
+  })
+);
+
+// Delete role
+router.delete(
+  "/:id",
+  validateRoleId,
+  asyncHandler(async (req, res) => {
+    const { id } = req.params;
+
+    const role = await Role.findById(id);
+
+    if (!role) {
+      throw new NotFoundError("Role not found");
+    }
+
+    if (role.isSystem) {
+      throw new BadRequestError("Built-in roles cannot be deleted");
+    }
+
+    await assertCanGrant(req.user, role.permissions);
+
+    const hasUsers = await User.exists({ role: role.name });
+    if (hasUsers) {
+      throw new BadRequestError(
+        "Cannot delete a role that is assigned to users. Reassign the users first."
+      );
+    }
+
+    await role.deleteOne();
+    clearPermissionCache();
+
+    res.json({ message: "Role deleted successfully" });
+  })
+);
+
+export default router;
@@ -0,0 +1,28 @@
+import express from "express";
+import Wishlist from "../models/Wishlist.js";
+import { serializeWishlist } from "../services/wishlistService.js";
+import { validateShareToken } from "../middleware/validation.js";
+import { asyncHandler } from "../middleware/errorHandler.js";
+import { NotFoundError } from "../utils/errors.js";
+
+const router = express.Router();
+
+// Get a publicly shared wishlist by its share token (public, read-only)
+router.get(
+  "/:token",
+  validateShareToken,
+  asyncHandler(async (req, res) => {
+    const wishlist = await Wishlist.findOne({
+      shareToken: req.params.token,
+      isPublic: true,
+    });
+
+    if (!wishlist) {
+      throw new NotFoundError("Wishlist not found");
+    }
+
+    res.json(await serializeWishlist(wishlist, { isOwner: false }));
+  })
+);
+
+export default router;
@@ -0,0 +1,162 @@
+import express from "express";
+import ShippingMethod from "../models/ShippingMethod.js";
+import { authenticate, requirePermission } from "../middleware/auth.js";
+import {
+  validateShippingMethod,
+  validateShippingMethodId,
+  validateShippingMethodList,
+  validateShippingMethodUpdate,
+} from "../middleware/validation.js";
+import { asyncHandler } from "../middleware/errorHandler.js";
+import { ConflictError, NotFoundError } from "../utils/errors.js";
+
+const router = express.Router();
+
+// Get active shipping methods, optionally only those shipping to a country (public)
+router.get(
+  "/",
+  validateShippingMethodList,
+  asyncHandler(async (req, res) => {
+    const query = { isActive: true };
+    if (req.query.country) {
+      const country = req.query.country.toUpperCase();
+      query.$or = [{ countries: country }, { countries: { $size: 0 } }];
+    }
+
+    const methods = await ShippingMethod.find(query).sort({
+      isDefault: -1,
+      name: 1,
+    });
+
+    res.json(methods);
+  })
+);
+
+// ADMIN ROUTES
+
+// Create shipping method (admin only)
+router.post(
+  "/",
+  authenticate,
+  requirePermission("shipping:manage"),
+  validateShippingMethod,
+  asyncHandler(async (req, res) => {
+    const {
+      name,
+      code,
+      description,
+      countries,
+      basis,
+      tiers,
+      baseCost,
+      freeShippingThreshold,
+      isDefault,
+      isActive,
+    } = req.body;
+
+    const existingMethod = await ShippingMethod.findOne({
+      code: code.toLowerCase(),
+    });
+    if (existingMethod) {
+      throw new ConflictError("Shipping method with this code already exists");
+    }
+
+    const method = new ShippingMethod({
+      name,
+      code,
+      description,
+      countries,
+      basis,
+      tiers,
+      baseCost,
+      freeShippingThreshold,
+      isDefault,
+      isActive,
+    });
+
+    const savedMethod = await method.save();
+
+    res.status(201).json(savedMethod);
+  })
+);
+
+// Update shipping method (admin only)
+router.put(
+  "/:id",
+  authenticate,
+  requirePermission("shipping:manage"),
+  validateShippingMethodUpdate,
+  asyncHandler(async (req, res) => {
+    const { id } = req.params;
+    const {
+      name,
+      code,
+      description,
+      countries,
+      basis,
+      tiers,
+      baseCost,
+      freeShippingThreshold,
+      isDefault,
+      isActive,
+    } = req.body;
+
+    const updateData = {};
+    if (name) updateData.name = name;
+    if (code) {
+      updateData.code = code.toLowerCase();
+
+      const existingMethod = await ShippingMethod.findOne({
+        code: updateData.code,
+        _id: { $ne: id },
+      });
+      if (existingMethod) {
+        throw new ConflictError(
+          "Shipping method with this code already exists"
+        );
+      }
+    }
+    if (description !== undefined) updateData.description = description;
+    if (countries) updateData.countries = countries;
+    if (basis) updateData.basis = basis;
+    if (tiers) updateData.tiers = tiers;
+    if (baseCost !== undefined) updateData.baseCost = baseCost;
+    if (freeShippingThreshold !== undefined)
+      updateData.freeShippingThreshold = freeShippingThreshold;
+    if (isDefault !== undefined) updateData.isDefault = isDefault;
+    if (isActive !== undefined) updateData.isActive = isActive;
+
+    const updatedMethod = await ShippingMethod.findByIdAndUpdate(
+      id,
+      { $set: updateData },
+      { new: true, runValidators: true }
+    );
+
+    if (!updatedMethod) {
+      throw new NotFoundError("Shipping method not found");
+    }
+
+    res.json(updatedMethod);
+  })
+);
+
+// Delete shipping method (admin only)
+router.delete(
+  "/:id",
+  authenticate,
+  requirePermission("shipping:manage"),
+  validateShippingMethodId,
+  asyncHandler(async (req, res) => {
+    const { id } = req.params;
+
+    const method = await ShippingMethod.findByIdAndDelete(id);
+
+    if (!method) {
+      throw new NotFoundError("Shipping method not found");
+    }
+
+    res.json({ message: "Shipping method deleted successfully" });
+  })
+);
+
+export default router;
@@ -0,0 +1,112 @@
+import express from "express";
+import TaxRule from "../models/TaxRule.js";
+import { authenticate, requirePermission } from "../middleware/auth.js";
+import {
+  validateTaxRule,
+  validateTaxRuleId,
+  validateTaxRuleList,
+  validateTaxRuleUpdate,
+} from "../middleware/validation.js";
+import { asyncHandler } from "../middleware/errorHandler.js";
+import { NotFoundError } from "../utils/errors.js";
+
+const router = express.Router();
+
+// All tax rule routes need the tax:manage permission
+router.use(authenticate, requirePermission("tax:manage"));
+
+// Get all tax rules
+router.get(
+  "/",
+  validateTaxRuleList,
+  asyncHandler(async (req, res) => {
+    const query = {};
+    if (req.query.country) query.country = req.query.country.toUpperCase();
+    if (req.query.state) query.state = req.query.state.toUpperCase();
+
+    const taxRules = await TaxRule.find(query)
+      .populate("category", "name slug")
+      .sort({ country: 1, state: 1 });
+
+    res.json(taxRules);
+  })
+);
+
+// Create tax rule
+router.post(
+  "/",
+  validateTaxRule,
+  asyncHandler(async (req, res) => {
+    const { name, country, state, category, rate, isActive } = req.body;
+
+    const taxRule = new TaxRule({
+      name,
+      country,
+      state,
+      category: category || undefined,
+      rate,
+      isActive,
+    });
+
+    const savedTaxRule = await taxRule.save();
+
+    res.status(201).json(savedTaxRule);
+  })
+);
+
+// Update tax rule
+router.put(
+  "/:id",
+  validateTaxRuleUpdate,
+  asyncHandler(async (req, res) => {
+    const { id } = req.params;
+    const { name, country, state, category, rate, isActive } = req.body;
+
+    const updateData = {};
+    const unsetData = {};
+    if (name) updateData.name = name;
+    if (country) updateData.country = country;
+    if (rate !== undefined) updateData.rate = rate;
+    if (isActive !== undefined) updateData.isActive = isActive;
+    // An empty state or category widens the rule again
+    if (state !== undefined) {
+      if (state) updateData.state = state;
+      else unsetData.state = "";
+    }
+    if (category !== undefined) {
+      if (category) updateData.category = category;
+      else unsetData.category = "";
+    }
+
+    const updatedTaxRule = await TaxRule.findByIdAndUpdate(
+      id,
+      { $set: updateData, $unset: unsetData },
+      { new: true, runValidators: true }
+    );
+
+    if (!updatedTaxRule) {
+      throw new NotFoundError("Tax rule not found");
+    }
+
+    res.json(updatedTaxRule);
+  })
+);
+
+// Delete tax rule
+router.delete(
+  "/:id",
+  validateTaxRuleId,
+  asyncHandler(async (req, res) => {
+    const { id } = req.params;
+
+    const taxRule = await TaxRule.findByIdAndDelete(id);
+
+    if (!taxRule) {
+      throw new NotFoundError("Tax rule not found");
+    }
+
+    res.json({ message: "Tax rule deleted successfully" });
+  })
+);
+
+export default router;
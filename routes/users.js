@@ -1,27 +1,71 @@
 import express from "express";
 import User from "../models/User.js";
-import { authenticate, isAdmin } from "../middleware/auth.js";
+import { authenticate, requirePermission } from "../middleware/auth.js";
+import { revokeUserSessions } from "../services/sessionService.js";
+import {
+  emailChangeFields,
+  sendVerificationEmail,
+} from "../services/accountService.js";
+import {
+  assertCanAssignRole,
+  assertCanManageUser,
+  hasPermission,
+} from "../services/permissionService.js";
+import { uploadFile } from "../middleware/upload.js";
+import {
+  IMAGE_MAX_SIZE,
+  IMAGE_TYPES,
+  deleteImageByUrl,
+  deleteOwnerImages,
+  storeImage,
+} from "../services/imageService.js";
+import {
+  validateProfile,
+  validateRoleAssignment,
+  validateUserId,
+  validateUserList,
+  validateUserUpdate,
+} from "../middleware/validation.js";
+import { asyncHandler } from "../middleware/errorHandler.js";
+import {
+  BadRequestError,
+  ForbiddenError,
+  NotFoundError,
+} from "../utils/errors.js";
 
 const router = express.Router();
 
-// Get current user profile
-router.get("/me", authenticate, async (req, res) => {
+// Ask for the new address to be confirmed after an email change. A failed
+// email should not undo the change; the user can request another.
+const verifyChangedEmail = async (user) => {
   try {
-    res.json(req.user);
+    await sendVerificationEmail(user);
   } catch (error) {
-    console.error("Get profile error:", error);
-    res.status(500).json({ message: "Server error fetching user profile" });
+    console.error("Verification email error:", error.message);
   }
-});
+};
+
+// Get current user profile
+router.get(
+  "/me",
+  authenticate,
+  asyncHandler(async (req, res) => {
+    res.json(req.user);
+  })
+);
 
 // Update user profile
-router.put("/me", authenticate, async (req, res) => {
-  try {
+router.put(
+  "/me",
+  authenticate,
+  validateProfile,
+  asyncHandler(async (req, res) => {
     const { name, email, phone, address } = req.body;
     const updateData = {};
+    const emailChanged = email && email !== req.user.email;
 
     if (name) updateData.name = name;
-    if (email) updateData.email = email;
+    if (emailChanged) Object.assign(updateData, emailChangeFields(email));
     if (phone) updateData.phone = phone;
     if (address) updateData.address = address;
 
@@ -31,20 +75,67 @@ router.put("/me", authenticate, async (req, res) => {
       { new: true, runValidators: true }
     ).select("-password");
 
+    if (emailChanged) await verifyChangedEmail(updatedUser);
+
     res.json(updatedUser);
-  } catch (error) {
-    console.error("Update profile error:", error);
-    res.status(500).json({ message: "Server error updating user profile" });
-  }
-});
+  })
+);
+
+// Upload an avatar, replacing the current one
+router.put(
+  "/me/avatar",
+  authenticate,
+  uploadFile("avatar", { maxSize: IMAGE_MAX_SIZE, types: IMAGE_TYPES }),
+  asyncHandler(async (req, res) => {
+    if (!req.file) {
+      throw new BadRequestError("Avatar file is required");
+    }
+
+    const image = await storeImage(req.file.buffer, {
+      ownerModel: "User",
+      owner: req.user._id,
+      uploadedBy: req.user._id,
+    });
+
+    const previousAvatar = req.user.avatar;
+    const updatedUser = await User.findByIdAndUpdate(
+      req.user._id,
+      { $set: { avatar: image.url } },
+      { new: true }
+    ).select("-password");
+    await deleteImageByUrl("User", req.user._id, previousAvatar);
+
+    res.json(updatedUser);
+  })
+);
+
+// Remove the avatar
+router.delete(
+  "/me/avatar",
+  authenticate,
+  asyncHandler(async (req, res) => {
+    const previousAvatar = req.user.avatar;
+    const updatedUser = await User.findByIdAndUpdate(
+      req.user._id,
+      { $unset: { avatar: "" } },
+      { new: true }
+    ).select("-password");
+    await deleteImageByUrl("User", req.user._id, previousAvatar);
+
+    res.json(updatedUser);
+  })
+);
 
 // ADMIN ROUTES
 
 // Get all users (admin only)
-router.get("/", authenticate, isAdmin, async (req, res) => {
-  try {
-    const page = parseInt(req.query.page) || 1;
-    const limit = parseInt(req.query.limit) || 10;
+router.get(
+  "/",
+  authenticate,
+  requirePermission("users:read"),
+  validateUserList,
+  asyncHandler(async (req, res) => {
+    const { page, limit } = req.query;
     const skip = (page - 1) * limit;
 
     const users = await User.find()
@@ -63,37 +154,58 @@ router.get("/", authenticate, isAdmin, async (req, res) => {
         pages: Math.ceil(total / limit),
       },
     });
-  } catch (error) {
-    console.error("Get users error:", error);
-    res.status(500).json({ message: "Server error fetching users" });
-  }
-});
+  })
+);
 
 // Get user by ID (admin only)
-router.get("/:id", authenticate, isAdmin, async (req, res) => {
-  try {
+router.get(
+  "/:id",
+  authenticate,
+  requirePermission("users:read"),
+  validateUserId,
+  asyncHandler(async (req, res) => {
     const user = await User.findById(req.params.id).select("-password");
 
     if (!user) {
-      return res.status(404).json({ message: "User not found" });
+      throw new NotFoundError("User not found");
     }
 
     res.json(user);
-  } catch (error) {
-    console.error("Get user error:", error);
-    res.status(500).json({ message: "Server error fetching user" });
-  }
-});
+  })
+);
 
 // Update user (admin only)
-router.put("/:id", authenticate, isAdmin, async (req, res) => {
-  try {
+router.put(
+  "/:id",
+  authenticate,
+  requirePermission("users:write"),
+  validateUserUpdate,
+  asyncHandler(async (req, res) => {
     const { name, email, role, phone, address } = req.body;
     const updateData = {};
 
+    const existingUser = await User.findById(req.params.id).select(
+      "email role"
+    );
+    if (!existingUser) {
+      throw new NotFoundError("User not found");
+    }
+    await assertCanManageUser(req.user, existingUser);
+    const emailChanged = email && email !== existingUser.email;
+
+    // Changing a role is a separate permission from editing the account
+    if (role) {
+      if (!(await hasPermission(req.user, "roles:assign"))) {
+        throw new ForbiddenError(
+          "Access denied. Requires roles:assign permission"
+        );
+      }
+      await assertCanAssignRole(req.user, existingUser, role);
+      updateData.role = role;
+    }
+
     if (name) updateData.name = name;
-    if (email) updateData.email = email;
-    if (role) updateData.role = role;
+    if (emailChanged) Object.assign(updateData, emailChangeFields(email));
     if (phone) updateData.phone = phone;
     if (address) updateData.address = address;
 
@@ -104,30 +216,76 @@ router.put("/:id", authenticate, isAdmin, async (req, res) => {
     ).select("-password");
 
     if (!updatedUser) {
-      return res.status(404).json({ message: "User not found" });
+      throw new NotFoundError("User not found");
     }
 
+    // Make a role change take effect on every device right away
+    if (role) await revokeUserSessions(updatedUser._id, "role_change");
+    if (emailChanged) await verifyChangedEmail(updatedUser);
+
     res.json(updatedUser);
-  } catch (error) {
-    console.error("Update user error:", error);
-    res.status(500).json({ message: "Server error updating user" });
-  }
-});
+  })
+);
+
+// Assign a role to a user
+router.patch(
+  "/:id/role",
+  authenticate,
+  requirePermission("roles:assign"),
+  validateRoleAssignment,
+  asyncHandler(async (req, res) => {
+    const { role } = req.body;
+
+    const user = await User.findById(req.params.id).select("role");
+    if (!user) {
+      throw new NotFoundError("User not found");
+    }
+
+    await assertCanAssignRole(req.user, user, role);
+
+    const updatedUser = await User.findByIdAndUpdate(
+      req.params.id,
+      { $set: { role } },
+      { new: true, runValidators: true }
+    ).select("-password");
+
+    if (!updatedUser) {
+      throw new NotFoundError("User not found");
+    }
+
+    await revokeUserSessions(updatedUser._id, "role_change");
+
+    res.json(updatedUser);
+  })
+);
 
 // Delete user (admin only)
-router.delete("/:id", authenticate, isAdmin, async (req, res) => {
-  try {
+router.delete(
+  "/:id",
+  authenticate,
+  requirePermission("users:delete"),
+  validateUserId,
+  asyncHandler(async (req, res) => {
+    const target = await User.findById(req.params.id).select("role");
+    if (!target) {
+      throw new NotFoundError("User not found");
+    }
+    if (target._id.equals(req.user._id)) {
+      throw new ForbiddenError("You cannot delete your own account here");
+    }
+    await assertCanManageUser(req.user, target);
+
     const user = await User.findByIdAndDelete(req.params.id);
 
     if (!user) {
-      return res.status(404).json({ message: "User not found" });
+      throw new NotFoundError("User not found");
     }
 
+    await revokeUserSessions(user._id, "user_deleted");
+    await deleteOwnerImages("User", user._id);
+
     res.json({ message: "User deleted successfully" });
-  } catch (error) {
-    console.error("Delete user error:", error);
-    res.status(500).json({ message: "Server error deleting user" });
-  }
-});
+  })
+);
 
 export default router;
@@ -0,0 +1,188 @@
+import express from "express";
+import Wishlist from "../models/Wishlist.js";
+import { authenticate } from "../middleware/auth.js";
+import {
+  validateMoveToCart,
+  validateWishlist,
+  validateWishlistId,
+  validateWishlistItem,
+  validateWishlistLine,
+  validateWishlistQuery,
+  validateWishlistUpdate,
+} from "../middleware/validation.js";
+import { serializeCart } from "../services/cartService.js";
+import {
+  addWishlistItem,
+  createWishlist,
+  findWishlist,
+  getOrderItems,
+  moveToCart,
+  removeWishlistItem,
+  serializeWishlist,
+  updateWishlist,
+} from "../services/wishlistService.js";
+import { asyncHandler } from "../middleware/errorHandler.js";
+import { BadRequestError, NotFoundError } from "../utils/errors.js";
+
+// Mounted under /api/users/me/wishlist. Routes work on the default list
+// unless another list is picked with ?list=<id> (or list in the body).
+const router = express.Router();
+
+router.use(authenticate);
+
+const listId = (req) => req.query.list || req.body?.list;
+
+// Get a wishlist with live prices and stock
+router.get(
+  "/",
+  validateWishlistQuery,
+  asyncHandler(async (req, res) => {
+    const wishlist = await findWishlist(req.user._id, listId(req));
+
+    res.json(await serializeWishlist(wishlist));
+  })
+);
+
+// Save a product (or a variant) to a wishlist
+router.post(
+  "/items",
+  validateWishlistItem,
+  asyncHandler(async (req, res) => {
+    const { product, variant } = req.body;
+
+    const wishlist = await findWishlist(req.user._id, listId(req));
+    await addWishlistItem(wishlist, product, variant);
+    await wishlist.save();
+
+    res.status(201).json(await serializeWishlist(wishlist));
+  })
+);
+
+// Remove a product (or one variant with ?variant=<id>) from a wishlist
+router.delete(
+  "/items/:productId",
+  validateWishlistLine,
+  asyncHandler(async (req, res) => {
+    const wishlist = await findWishlist(req.user._id, listId(req));
+    removeWishlistItem(wishlist, req.params.productId, req.query.variant);
+    await wishlist.save();
+
+    res.json(await serializeWishlist(wishlist));
+  })
+);
+
+// Items that can be bought now, as the items of a POST /api/orders payload
+router.get(
+  "/order-items",
+  validateWishlistQuery,
+  asyncHandler(async (req, res) => {
+    const wishlist = await findWishlist(req.user._id, listId(req));
+
+    res.json({ items: await getOrderItems(wishlist) });
+  })
+);
+
+// Move items into the cart. Body: { products?: [id], keep?: boolean }; no
+// products means the whole list.
+router.post(
+  "/move-to-cart",
+  validateMoveToCart,
+  asyncHandler(async (req, res) => {
+    const { products, keep } = req.body;
+
+    const wishlist = await findWishlist(req.user._id, listId(req));
+    const result = await moveToCart(wishlist, req.user._id, {
+      products,
+      keep,
+    });
+
+    res.json({
+      moved: result.moved,
+      failed: result.failed,
+      cart: await serializeCart(result.cart),
+      wishlist: await serializeWishlist(wishlist),
+    });
+  })
+);
+
+// Get all of the user's lists
+router.get(
+  "/lists",
+  asyncHandler(async (req, res) => {
+    // Make sure the default list exists so it is always listed
+    await findWishlist(req.user._id);
+
+    const wishlists = await Wishlist.find({ user: req.user._id }).sort({
+      isDefault: -1,
+      createdAt: 1,
+    });
+
+    res.json(
+      wishlists.map((wishlist) => ({
+        _id: wishlist._id,
+        name: wishlist.name,
+        isDefault: wishlist.isDefault,
+        isPublic: wishlist.isPublic,
+        shareToken: wishlist.shareToken,
+        itemCount: wishlist.items.length,
+        updatedAt: wishlist.updatedAt,
+      }))
+    );
+  })
+);
+
+// Create a named list
+router.post(
+  "/lists",
+  validateWishlist,
+  asyncHandler(async (req, res) => {
+    const { name, isPublic } = req.body;
+
+    const wishlist = await createWishlist(req.user._id, {
+      name,
+      isPublic,
+    });
+
+    res.status(201).json(await serializeWishlist(wishlist));
+  })
+);
+
+// Rename a list or share it publicly (isPublic: true gives it a share token)
+router.patch(
+  "/lists/:listId",
+  validateWishlistUpdate,
+  asyncHandler(async (req, res) => {
+    const { name, isPublic } = req.body;
+
+    const wishlist = await findWishlist(req.user._id, req.params.listId);
+    updateWishlist(wishlist, { name, isPublic });
+    await wishlist.save();
+
+    res.json(await serializeWishlist(wishlist));
+  })
+);
+
+// Delete a named list (the default list cannot be deleted)
+router.delete(
+  "/lists/:listId",
+  validateWishlistId,
+  asyncHandler(async (req, res) => {
+    const wishlist = await Wishlist.findOne({
+      _id: req.params.listId,
+      user: req.user._id,
+    });
+
+    if (!wishlist) {
+      throw new NotFoundError("Wishlist not found");
+    }
+    if (wishlist.isDefault) {
+      throw new BadRequestError("The default wishlist cannot be deleted");
+    }
+
+    await wishlist.deleteOne();
+
+    res.json({ message: "Wishlist deleted successfully" });
+  })
+);
+
+export default router;
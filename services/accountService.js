@@ -0,0 +1,123 @@
+import crypto from "crypto";
+import User from "../models/User.js";
+import UserToken from "../models/UserToken.js";
+import { sendMail } from "./mailer.js";
+import { revokeUserSessions } from "./sessionService.js";
+
+const PASSWORD_RESET_TTL_MINUTES = 60;
+const EMAIL_VERIFICATION_TTL_HOURS = 24;
+
+const appUrl = () => process.env.APP_URL || "http://localhost:3000";
+
+const hashToken = (token) =>
+  crypto.createHash("sha256").update(token).digest("hex");
+
+// Issue a fresh token of a type, invalidating the user's earlier unused ones
+const createUserToken = async (user, type, ttlMs) => {
+  await UserToken.deleteMany({ user: user._id, type, usedAt: null });
+
+  const token = crypto.randomBytes(32).toString("hex");
+  await UserToken.create({
+    user: user._id,
+    type,
+    tokenHash: hashToken(token),
+    expiresAt: new Date(Date.now() + ttlMs),
+  });
+
+  return token;
+};
+
+// Mark a token used, returning its user ID, or null when it is unknown,
+// expired or already used. Marking happens in one update so a token can only
+// be redeemed once.
+const consumeUserToken = async (token, type) => {
+  const userToken = await UserToken.findOneAndUpdate(
+    {
+      tokenHash: hashToken(token),
+      type,
+      usedAt: null,
+      expiresAt: { $gt: new Date() },
+    },
+    { $set: { usedAt: new Date() } }
+  );
+
+  return userToken ? userToken.user : null;
+};
+
+export const sendVerificationEmail = async (user) => {
+  const token = await createUserToken(
+    user,
+    "email_verification",
+    EMAIL_VERIFICATION_TTL_HOURS * 60 * 60 * 1000
+  );
+  const link = `${appUrl()}/verify-email?token=${token}`;
+
+  await sendMail({
+    to: user.email,
+    subject: "Verify your email address",
+    text: `Hi ${user.name},\n\nConfirm your email address by opening this link:\n${link}\n\nThe link expires in ${EMAIL_VERIFICATION_TTL_HOURS} hours.`,
+  });
+};
+
+// Fields that move an account to a new email address. The new address has
+// to be verified again, so an account cannot keep its verified status on an
+// address its owner does not control.
+export const emailChangeFields = (email) => ({
+  email,
+  isEmailVerified: false,
+  emailVerifiedAt: null,
+});
+
+// Send a reset link if the email belongs to a user. Callers respond the same
+// way either way so accounts cannot be discovered.
+export const requestPasswordReset = async (email) => {
+  const user = await User.findOne({ email: email.toLowerCase().trim() });
+  if (!user) return;
+
+  const token = await createUserToken(
+    user,
+    "password_reset",
+    PASSWORD_RESET_TTL_MINUTES * 60 * 1000
+  );
+  const link = `${appUrl()}/reset-password?token=${token}`;
+
+  await sendMail({
+    to: user.email,
+    subject: "Reset your password",
+    text: `Hi ${user.name},\n\nReset your password by opening this link:\n${link}\n\nThe link expires in ${PASSWORD_RESET_TTL_MINUTES} minutes. If you did not ask for this, you can ignore this email.`,
+  });
+};
+
+// Set a new password from a reset token and end every existing session.
+// Returns false when the token is invalid.
+export const resetPassword = async (token, password) => {
+  const userId = await consumeUserToken(token, "password_reset");
+  if (!userId) return false;
+
+  const user = await User.findById(userId);
+  if (!user) return false;
+
+  user.password = password;
+  // Receiving the reset email proves the address works
+  if (!user.isEmailVerified) {
+    user.isEmailVerified = true;
+    user.emailVerifiedAt = new Date();
+  }
+  await user.save();
+  await revokeUserSessions(user._id, "password_reset");
+
+  return true;
+};
+
+// Mark the token's user as verified. Returns false when the token is invalid.
+export const verifyEmail = async (token) => {
+  const userId = await consumeUserToken(token, "email_verification");
+  if (!userId) return false;
+
+  const result = await User.updateOne(
+    { _id: userId },
+    { $set: { isEmailVerified: true, emailVerifiedAt: new Date() } }
+  );
+
+  return result.matchedCount === 1;
+};
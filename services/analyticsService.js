@@ -0,0 +1,376 @@
+import Order, { STATUS_TRANSITIONS } from "../models/Order.js";
+import Product from "../models/Product.js";
+import Category from "../models/Category.js";
+import Wishlist from "../models/Wishlist.js";
+import { roundCurrency } from "../utils/currency.js";
+
+export const INTERVALS = ["day", "week", "month"];
+
+// Most periods one report series may cover, e.g. a year of days
+export const MAX_PERIODS = 366;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Payment states where the money was taken, even if some or all of it was
+// refunded since. Orders still awaiting payment or whose payment failed are
+// not sales.
+const CAPTURED_STATUSES = ["completed", "partially_refunded", "refunded"];
+
+// Revenue is what was kept: the order total less anything refunded.
+// Cancelled and unpaid orders never count.
+const REVENUE = {
+  $subtract: ["$total", { $ifNull: ["$refundedAmount", 0] }],
+};
+
+// Units sold on a line, less any refunded
+const UNITS = {
+  $subtract: ["$items.quantity", { $ifNull: ["$items.refundedQuantity", 0] }],
+};
+
+// Line value after its share of the discount, for the units kept
+const LINE_REVENUE = {
+  $multiply: [
+    UNITS,
+    {
+      $subtract: [
+        "$items.price",
+        {
+          $divide: [{ $ifNull: ["$items.discount", 0] }, "$items.quantity"],
+        },
+      ],
+    },
+  ],
+};
+
+const SOLD = {
+  status: { $ne: "cancelled" },
+  "paymentDetails.status": { $in: CAPTURED_STATUSES },
+};
+
+const matchOrders = ({ from, to }) => ({
+  $match: { ...SOLD, createdAt: { $gte: from, $lte: to } },
+});
+
+// Weeks start on Monday, matching startOfPeriod below
+const truncateDate = (date, interval) => ({
+  $dateTrunc:
+    interval === "week"
+      ? { date, unit: interval, startOfWeek: "monday" }
+      : { date, unit: interval },
+});
+
+// Start of the UTC day, week (Monday) or month containing a date
+const startOfPeriod = (date, interval) => {
+  const start = new Date(date);
+  start.setUTCHours(0, 0, 0, 0);
+  if (interval === "week") {
+    start.setUTCDate(start.getUTCDate() - ((start.getUTCDay() + 6) % 7));
+  } else if (interval === "month") {
+    start.setUTCDate(1);
+  }
+  return start;
+};
+
+const nextPeriod = (date, interval) => {
+  const next = new Date(date);
+  if (interval === "day") next.setUTCDate(next.getUTCDate() + 1);
+  else if (interval === "week") next.setUTCDate(next.getUTCDate() + 7);
+  else next.setUTCMonth(next.getUTCMonth() + 1);
+  return next;
+};
+
+// Number of periods a range covers, counting partial ones at either end
+export const countPeriods = ({ from, to, interval }) => {
+  const start = startOfPeriod(from, interval);
+  if (to < start) return 0;
+  if (interval === "month") {
+    return (
+      (to.getUTCFullYear() - start.getUTCFullYear()) * 12 +
+      to.getUTCMonth() -
+      start.getUTCMonth() +
+      1
+    );
+  }
+  const days = Math.floor((to - start) / DAY_MS) + 1;
+  return interval === "week" ? Math.ceil(days / 7) : days;
+};
+
+// One entry per period in the range, so charts get zeros instead of gaps.
+// Stops after MAX_PERIODS; routes reject longer ranges up front.
+const fillPeriods = ({ from, to, interval }, rows, toEntry) => {
+  const byPeriod = new Map(rows.map((row) => [row._id.getTime(), row]));
+  const series = [];
+
+  for (
+    let period = startOfPeriod(from, interval);
+    period <= to && series.length < MAX_PERIODS;
+    period = nextPeriod(period, interval)
+  ) {
+    series.push({ period, ...toEntry(byPeriod.get(period.getTime())) });
+  }
+
+  return series;
+};
+
+const averageOrderValue = (revenue, orders) =>
+  orders ? roundCurrency(revenue / orders) : 0;
+
+// Revenue, order count and average order value per period
+export const getSalesReport = async ({ from, to, interval }) => {
+  const rows = await Order.aggregate([
+    matchOrders({ from, to }),
+    {
+      $group: {
+        _id: truncateDate("$createdAt", interval),
+        revenue: { $sum: REVENUE },
+        orders: { $sum: 1 },
+      },
+    },
+  ]);
+
+  const series = fillPeriods({ from, to, interval }, rows, (row) => {
+    const revenue = roundCurrency(row?.revenue || 0);
+    const orders = row?.orders || 0;
+    return {
+      revenue,
+      orders,
+      averageOrderValue: averageOrderValue(revenue, orders),
+    };
+  });
+
+  const revenue = roundCurrency(
+    series.reduce((sum, entry) => sum + entry.revenue, 0)
+  );
+  const orders = series.reduce((sum, entry) => sum + entry.orders, 0);
+
+  return {
+    from,
+    to,
+    interval,
+    totals: {
+      revenue,
+      orders,
+      averageOrderValue: averageOrderValue(revenue, orders),
+    },
+    series,
+  };
+};
+
+// Best-selling products by units sold
+export const getTopProducts = async ({ from, to, limit }) => {
+  const rows = await Order.aggregate([
+    matchOrders({ from, to }),
+    { $unwind: "$items" },
+    {
+      $group: {
+        _id: "$items.product",
+        name: { $last: "$items.name" },
+        unitsSold: { $sum: UNITS },
+        revenue: { $sum: LINE_REVENUE },
+        orders: { $sum: 1 },
+      },
+    },
+    { $match: { unitsSold: { $gt: 0 } } },
+    { $sort: { unitsSold: -1, revenue: -1 } },
+    { $limit: limit },
+    {
+      $lookup: {
+        from: Product.collection.name,
+        localField: "_id",
+        foreignField: "_id",
+        as: "product",
+      },
+    },
+  ]);
+
+  return rows.map((row) => ({
+    product: row._id,
+    name: row.product[0]?.name || row.name,
+    sku: row.product[0]?.sku,
+    unitsSold: row.unitsSold,
+    revenue: roundCurrency(row.revenue),
+    orders: row.orders,
+  }));
+};
+
+// Best-selling categories by revenue, using each product's current category
+export const getTopCategories = async ({ from, to, limit }) => {
+  const rows = await Order.aggregate([
+    matchOrders({ from, to }),
+    { $unwind: "$items" },
+    {
+      $lookup: {
+        from: Product.collection.name,
+        localField: "items.product",
+        foreignField: "_id",
+        pipeline: [{ $project: { category: 1 } }],
+        as: "product",
+      },
+    },
+    {
+      $group: {
+        _id: { $first: "$product.category" },
+        unitsSold: { $sum: UNITS },
+        revenue: { $sum: LINE_REVENUE },
+        orders: { $addToSet: "$_id" },
+      },
+    },
+    { $match: { unitsSold: { $gt: 0 } } },
+    { $sort: { revenue: -1 } },
+    { $limit: limit },
+    {
+      $lookup: {
+        from: Category.collection.name,
+        localField: "_id",
+        foreignField: "_id",
+        as: "category",
+      },
+    },
+  ]);
+
+  return rows.map((row) => ({
+    category: row._id || null,
+    name: row.category[0]?.name || "Uncategorized",
+    slug: row.category[0]?.slug,
+    unitsSold: row.unitsSold,
+    revenue: roundCurrency(row.revenue),
+    orders: row.orders.length,
+  }));
+};
+
+// Customers ordering in each period, split into those placing their first
+// order in that period and those who had ordered before
+export const getCustomerReport = async ({ from, to, interval }) => {
+  const [result] = await Order.aggregate([
+    { $match: { ...SOLD, createdAt: { $lte: to } } },
+    {
+      $group: {
+        _id: "$user",
+        firstOrderAt: { $min: "$createdAt" },
+        orders: { $push: "$createdAt" },
+      },
+    },
+    { $unwind: "$orders" },
+    { $match: { orders: { $gte: from } } },
+    {
+      $facet: {
+        series: [
+          {
+            $group: {
+              _id: {
+                period: truncateDate("$orders", interval),
+                user: "$_id",
+              },
+              firstOrderAt: { $first: "$firstOrderAt" },
+            },
+          },
+          {
+            $group: {
+              _id: "$_id.period",
+              newCustomers: {
+                $sum: {
+                  $cond: [{ $gte: ["$firstOrderAt", "$_id.period"] }, 1, 0],
+                },
+              },
+              returningCustomers: {
+                $sum: {
+                  $cond: [{ $lt: ["$firstOrderAt", "$_id.period"] }, 1, 0],
+                },
+              },
+            },
+          },
+        ],
+        totals: [
+          {
+            $group: { _id: "$_id", firstOrderAt: { $first: "$firstOrderAt" } },
+          },
+          {
+            $group: {
+              _id: null,
+              newCustomers: {
+                $sum: { $cond: [{ $gte: ["$firstOrderAt", from] }, 1, 0] },
+              },
+              returningCustomers: {
+                $sum: { $cond: [{ $lt: ["$firstOrderAt", from] }, 1, 0] },
+              },
+            },
+          },
+        ],
+      },
+    },
+  ]);
+
+  const totals = result.totals[0] || {};
+
+  return {
+    from,
+    to,
+    interval,
+    totals: {
+      newCustomers: totals.newCustomers || 0,
+      returningCustomers: totals.returningCustomers || 0,
+    },
+    series: fillPeriods({ from, to, interval }, result.series, (row) => ({
+      newCustomers: row?.newCustomers || 0,
+      returningCustomers: row?.returningCustomers || 0,
+    })),
+  };
+};
+
+// Order count and value for every status, including cancelled orders
+export const getStatusBreakdown = async ({ from, to }) => {
+  const rows = await Order.aggregate([
+    { $match: { createdAt: { $gte: from, $lte: to } } },
+    {
+      $group: {
+        _id: "$status",
+        orders: { $sum: 1 },
+        total: { $sum: "$total" },
+      },
+    },
+  ]);
+
+  const byStatus = new Map(rows.map((row) => [row._id, row]));
+  return Object.keys(STATUS_TRANSITIONS).map((status) => ({
+    status,
+    orders: byStatus.get(status)?.orders || 0,
+    total: roundCurrency(byStatus.get(status)?.total || 0),
+  }));
+};
+
+// Products saved to the most wishlists, counting each customer once
+export const getMostWishlisted = async ({ limit }) => {
+  const rows = await Wishlist.aggregate([
+    { $unwind: "$items" },
+    {
+      $group: {
+        _id: "$items.product",
+        users: { $addToSet: "$user" },
+        lastAddedAt: { $max: "$items.addedAt" },
+      },
+    },
+    { $project: { customers: { $size: "$users" }, lastAddedAt: 1 } },
+    { $sort: { customers: -1, lastAddedAt: -1 } },
+    { $limit: limit },
+    {
+      $lookup: {
+        from: Product.collection.name,
+        localField: "_id",
+        foreignField: "_id",
+        pipeline: [{ $project: { name: 1, sku: 1, price: 1, inventory: 1 } }],
+        as: "product",
+      },
+    },
+    { $unwind: "$product" },
+  ]);
+
+  return rows.map((row) => ({
+    product: row._id,
+    name: row.product.name,
+    sku: row.product.sku,
+    price: row.product.price,
+    inventory: row.product.inventory,
+    customers: row.customers,
+    lastAddedAt: row.lastAddedAt,
+  }));
+};
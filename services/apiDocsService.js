@@ -0,0 +1,340 @@
+import fs from "fs";
+import { authenticate, optionalAuthenticate } from "../middleware/auth.js";
+import { toJsonSchema } from "../utils/schema.js";
+import { OPERATIONS, SCHEMAS } from "./apiOperations.js";
+import Product from "../models/Product.js";
+import Category from "../models/Category.js";
+import Order from "../models/Order.js";
+import Review from "../models/Review.js";
+import Coupon from "../models/Coupon.js";
+import TaxRule from "../models/TaxRule.js";
+import ShippingMethod from "../models/ShippingMethod.js";
+import Role from "../models/Role.js";
+import User from "../models/User.js";
+import Image from "../models/Image.js";
+import InventoryMovement from "../models/InventoryMovement.js";
+
+const { version } = JSON.parse(
+  fs.readFileSync(new URL("../package.json", import.meta.url), "utf8")
+);
+
+// Response schemas generated from the models. Fields removed from API
+// responses are left out.
+const MODEL_SCHEMAS = {
+  Product,
+  Category,
+  Order,
+  Review,
+  Coupon,
+  TaxRule,
+  ShippingMethod,
+  Role,
+  User,
+  Image,
+  InventoryMovement,
+};
+const HIDDEN_FIELDS = { User: ["password"], Product: ["searchTerms"] };
+
+const ERROR_RESPONSES = {
+  400: ["BadRequest", "The request is invalid; details lists every problem"],
+  401: ["Unauthorized", "Missing, invalid or expired access token"],
+  403: ["Forbidden", "The user lacks the required permission"],
+  404: ["NotFound", "The resource does not exist"],
+  409: ["Conflict", "The resource conflicts with an existing one"],
+  429: [
+    "TooManyRequests",
+    "Rate limit reached; retry after the number of seconds in Retry-After",
+  ],
+  500: ["ServerError", "Unexpected server error"],
+};
+
+const errorSchema = {
+  type: "object",
+  required: ["code", "message", "requestId"],
+  properties: {
+    code: { type: "string", examples: ["VALIDATION_ERROR"] },
+    message: { type: "string" },
+    details: {
+      type: "array",
+      items: {
+        type: "object",
+        properties: {
+          field: { type: "string" },
+          message: { type: "string" },
+          location: { enum: ["params", "query", "body"] },
+        },
+      },
+    },
+    requestId: { type: "string" },
+  },
+};
+
+const joinPaths = (mountPath, routePath) =>
+  routePath === "/" ? mountPath : `${mountPath}${routePath}`;
+
+// Express path parameters (:id) in OpenAPI form ({id})
+const toOpenApiPath = (path) => path.replace(/:(\w+)/g, "{$1}");
+
+const operationKey = ({ method, path }) => `${method.toUpperCase()} ${path}`;
+
+// Every route of the mounted routers as { method, path, handlers }, where
+// handlers include the router-level middleware that runs before the route
+export const listRoutes = (mounts) => {
+  const routes = [];
+
+  for (const [mountPath, router] of mounts) {
+    const shared = [];
+    for (const layer of router.stack) {
+      if (!layer.route) {
+        shared.push(layer.handle);
+        continue;
+      }
+      const handlers = [
+        ...shared,
+        ...layer.route.stack.map((routeLayer) => routeLayer.handle),
+      ];
+      const path = toOpenApiPath(joinPaths(mountPath, layer.route.path));
+      for (const method of Object.keys(layer.route.methods)) {
+        routes.push({ method, path, handlers });
+      }
+    }
+  }
+
+  return routes;
+};
+
+// Documentation entries by "METHOD /path", with the tag they are listed under
+const operationEntries = () => {
+  const entries = new Map();
+  for (const [tag, operations] of Object.entries(OPERATIONS)) {
+    for (const [key, entry] of Object.entries(operations)) {
+      entries.set(key, {
+        tag,
+        ...(typeof entry === "string" ? { summary: entry } : entry),
+      });
+    }
+  }
+  return entries;
+};
+
+// Routes without an entry in OPERATIONS
+export const findUndocumentedRoutes = (mounts) => {
+  const entries = operationEntries();
+  return listRoutes(mounts)
+    .map(operationKey)
+    .filter((key) => !entries.has(key));
+};
+
+// What the middleware of a route tells about it: authentication,
+// permissions, request schemas, file uploads and rate limits
+const inspectHandlers = (handlers) => {
+  const info = {
+    auth: null,
+    permissions: [],
+    params: {},
+    file: null,
+    rateLimited: false,
+  };
+
+  for (const handler of handlers) {
+    if (handler === authenticate) info.auth = "required";
+    if (handler === optionalAuthenticate) info.auth ??= "optional";
+    if (handler.permission) info.permissions.push(handler);
+    if (handler.file) info.file = handler.file;
+    if (handler.rateLimit) info.rateLimited = true;
+    if (handler.schemas) {
+      const { params, query, body } = handler.schemas;
+      if (params) Object.assign(info.params, params.shape);
+      if (query) info.query = query;
+      if (body) info.body = body;
+    }
+  }
+
+  return info;
+};
+
+const isRequired = (field) =>
+  field.isRequired && field.defaultValue === undefined;
+
+const describeAccess = ({ auth, permissions }) => {
+  if (!auth) return "Public.";
+  const lines = permissions.map(({ permission, ownerAllowed }) =>
+    ownerAllowed
+      ? `The owner, or a user with the \`${permission}\` permission.`
+      : `Requires the \`${permission}\` permission.`
+  );
+  if (auth === "optional") {
+    lines.unshift("Works for guests and signed-in users.");
+  }
+  return lines.join(" ") || "Requires a signed-in user.";
+};
+
+const buildRequestBody = ({ body, file }) => {
+  if (file) {
+    const schema = body ? toJsonSchema(body) : { type: "object" };
+    schema.properties = {
+      [file.field]: { type: "string", format: "binary" },
+      ...schema.properties,
+    };
+    schema.required = [file.field, ...(schema.required || [])];
+    const types = file.types.length ? ` (${file.types.join(", ")})` : "";
+    return {
+      required: true,
+      description: `A file of at most ${file.maxSize} bytes${types}`,
+      content: { "multipart/form-data": { schema } },
+    };
+  }
+  if (!body) return undefined;
+
+  return {
+    required: Object.values(body.shape || {}).some(isRequired),
+    content: { "application/json": { schema: toJsonSchema(body) } },
+  };
+};
+
+const buildOperation = (route, entry = {}) => {
+  const info = inspectHandlers(route.handlers);
+  const pathParams = [...route.path.matchAll(/\{(\w+)\}/g)].map(
+    (match) => match[1]
+  );
+
+  const parameters = [
+    ...pathParams.map((name) => ({
+      name,
+      in: "path",
+      required: true,
+      schema: info.params[name]
+        ? toJsonSchema(info.params[name])
+        : { type: "string" },
+    })),
+    ...Object.entries(info.query?.shape || {}).map(([name, field]) => ({
+      name,
+      in: "query",
+      required: isRequired(field),
+      schema: toJsonSchema(field),
+    })),
+    ...(entry.headers || []).map((header) => ({ in: "header", ...header })),
+  ];
+
+  const responses = {
+    [entry.status || 200]: {
+      description: "Success",
+      content: {
+        "application/json": { schema: entry.response || { type: "object" } },
+      },
+    },
+  };
+  const errors = new Set(entry.errors);
+  if (info.query || info.body || info.file || pathParams.length) {
+    errors.add(400);
+  }
+  if (info.auth === "required") errors.add(401);
+  if (info.permissions.length) errors.add(403);
+  if (pathParams.length) errors.add(404);
+  if (info.rateLimited) errors.add(429);
+  errors.add(500);
+  for (const code of [...errors].sort()) {
+    responses[code] = {
+      $ref: `#/components/responses/${ERROR_RESPONSES[code][0]}`,
+    };
+  }
+
+  const security = {
+    required: [{ bearerAuth: [] }],
+    optional: [{}, { bearerAuth: [] }],
+  }[info.auth];
+
+  return {
+    tags: entry.tag ? [entry.tag] : [],
+    summary: entry.summary || operationKey(route),
+    description: [entry.description, describeAccess(info)]
+      .filter(Boolean)
+      .join("\n\n"),
+    parameters: parameters.length ? parameters : undefined,
+    requestBody: buildRequestBody(info),
+    responses,
+    security: security || [],
+  };
+};
+
+const modelSchema = (name, model) => {
+  const schema = model.schema.toJSONSchema();
+  for (const field of HIDDEN_FIELDS[name] || []) {
+    delete schema.properties[field];
+    schema.required = schema.required?.filter((key) => key !== field);
+  }
+  return schema;
+};
+
+// Build the OpenAPI 3.1 document for the mounted routers
+export const buildOpenApiDocument = (mounts) => {
+  const entries = operationEntries();
+  const paths = {};
+
+  for (const route of listRoutes(mounts)) {
+    paths[route.path] ??= {};
+    paths[route.path][route.method] = buildOperation(
+      route,
+      entries.get(operationKey(route))
+    );
+  }
+
+  // Round-tripped through JSON to leave out fields that are undefined
+  return JSON.parse(
+    JSON.stringify({
+      openapi: "3.1.0",
+      info: {
+        title: "Store API",
+        version,
+        description:
+          "Errors share one shape: a code, a message, details for invalid " +
+          "requests and the request ID (also sent as X-Request-Id). " +
+          "Requests are rate limited per client; responses carry " +
+          "RateLimit-Limit, RateLimit-Remaining and RateLimit-Reset headers " +
+          "and a 429 comes with Retry-After.",
+      },
+      tags: Object.keys(OPERATIONS).map((name) => ({ name })),
+      paths,
+      components: {
+        securitySchemes: {
+          bearerAuth: { type: "http", scheme: "bearer", bearerFormat: "JWT" },
+        },
+        schemas: {
+          Error: errorSchema,
+          Pagination: {
+            type: "object",
+            properties: {
+              total: { type: "integer" },
+              page: { type: "integer" },
+              pages: { type: "integer" },
+            },
+          },
+          Message: {
+            type: "object",
+            properties: { message: { type: "string" } },
+          },
+          ...Object.fromEntries(
+            Object.entries(MODEL_SCHEMAS).map(([name, model]) => [
+              name,
+              modelSchema(name, model),
+            ])
+          ),
+          ...SCHEMAS,
+        },
+        responses: Object.fromEntries(
+          Object.values(ERROR_RESPONSES).map(([name, description]) => [
+            name,
+            {
+              description,
+              content: {
+                "application/json": {
+                  schema: { $ref: "#/components/schemas/Error" },
+                },
+              },
+            },
+          ])
+        ),
+      },
+    })
+  );
+};
@@ -0,0 +1,726 @@
+// Summaries and response shapes for the API docs, by tag and then by
+// "METHOD /path" as listed in the OpenAPI document. Parameters, request
+// bodies, authentication and error responses are read from the routes
+// themselves; every route needs an entry here (see findUndocumentedRoutes).
+//
+// An entry is a summary, or { summary, description, status, response,
+// errors, headers } where status is the success status (200 by default) and
+// errors adds error responses the routes cannot tell about, such as 409.
+
+const ref = (name) => ({ $ref: `#/components/schemas/${name}` });
+const list = (name) => ({ type: "array", items: ref(name) });
+const page = (key, name) => ({
+  type: "object",
+  properties: { [key]: list(name), pagination: ref("Pagination") },
+});
+const object = (properties) => ({ type: "object", properties });
+const MESSAGE = ref("Message");
+
+const CART_TOKEN = {
+  name: "X-Cart-Token",
+  description: "Identifies a guest cart",
+  schema: { type: "string" },
+};
+
+const line = {
+  product: { type: "string" },
+  variant: { type: ["string", "null"] },
+  sku: { type: "string" },
+  variantOptions: { type: "object", additionalProperties: { type: "string" } },
+  name: { type: "string" },
+  image: { type: "string" },
+  price: { type: "number" },
+  inventory: { type: "integer" },
+  isAvailable: { type: "boolean" },
+};
+
+// Response shapes that are not documents of one model
+export const SCHEMAS = {
+  AuthTokens: object({
+    message: { type: "string" },
+    token: { type: "string", description: "Access token (JWT)" },
+    refreshToken: { type: "string" },
+    expiresIn: { type: "string" },
+    user: object({
+      id: { type: "string" },
+      name: { type: "string" },
+      email: { type: "string" },
+      role: { type: "string" },
+      isEmailVerified: { type: "boolean" },
+    }),
+  }),
+  Cart: object({
+    _id: { type: "string" },
+    token: { type: "string", description: "Guest carts only" },
+    items: {
+      type: "array",
+      items: object({
+        ...line,
+        quantity: { type: "integer" },
+        lineTotal: { type: "number" },
+      }),
+    },
+    itemCount: { type: "integer" },
+    subtotal: { type: "number" },
+    updatedAt: { type: "string", format: "date-time" },
+  }),
+  Wishlist: object({
+    _id: { type: "string" },
+    name: { type: "string" },
+    isDefault: { type: "boolean" },
+    isPublic: { type: "boolean" },
+    shareToken: { type: "string" },
+    items: {
+      type: "array",
+      items: object({
+        ...line,
+        comparePrice: { type: ["number", "null"] },
+        inStock: { type: "boolean" },
+        needsVariant: { type: "boolean" },
+        addedAt: { type: "string", format: "date-time" },
+      }),
+    },
+    itemCount: { type: "integer" },
+    updatedAt: { type: "string", format: "date-time" },
+  }),
+  GalleryImage: object({
+    _id: { type: "string" },
+    position: { type: "integer" },
+    url: { type: "string" },
+    thumbnails: { type: "object", additionalProperties: { type: "string" } },
+    width: { type: "integer" },
+    height: { type: "integer" },
+  }),
+  StockLevels: object({
+    movement: ref("InventoryMovement"),
+    inventory: { type: "integer" },
+    variants: {
+      type: "array",
+      items: object({
+        _id: { type: "string" },
+        sku: { type: "string" },
+        inventory: { type: "integer" },
+      }),
+    },
+  }),
+};
+
+// Analytics reports: the date range and a list of rows. Reports per
+// interval also carry totals.
+const report = (key, { series = false } = {}) =>
+  object({
+    from: { type: "string", format: "date-time" },
+    to: { type: "string", format: "date-time" },
+    ...(series && {
+      interval: { enum: ["day", "week", "month"] },
+      totals: { type: "object" },
+    }),
+    [key]: { type: "array", items: { type: "object" } },
+  });
+
+export const OPERATIONS = {
+  Auth: {
+    "POST /api/auth/register": {
+      summary: "Register an account",
+      description:
+        "Starts a session unless email verification is required. A guest " +
+        "cart (X-Cart-Token or cartToken) is merged into the new account.",
+      status: 201,
+      response: ref("AuthTokens"),
+      errors: [409],
+      headers: [CART_TOKEN],
+    },
+    "POST /api/auth/login": {
+      summary: "Log in",
+      description:
+        "After repeated failed attempts for an email, logging in to it is " +
+        "locked for a while, longer with every further failure.",
+      response: ref("AuthTokens"),
+      headers: [CART_TOKEN],
+    },
+    "POST /api/auth/refresh": {
+      summary: "Exchange a refresh token for a new token pair",
+      response: ref("AuthTokens"),
+    },
+    "POST /api/auth/logout": {
+      summary: "Log out of the current session",
+      description: "The session is picked by refresh token or access token.",
+      response: MESSAGE,
+    },
+    "POST /api/auth/logout-all": {
+      summary: "Log out of every session",
+      response: MESSAGE,
+    },
+    "POST /api/auth/forgot-password": {
+      summary: "Email a password reset link",
+      description:
+        "The response is the same whether or not the email is registered.",
+      response: MESSAGE,
+    },
+    "POST /api/auth/reset-password": {
+      summary: "Set a new password with a reset token",
+      response: MESSAGE,
+    },
+    "POST /api/auth/verify-email": {
+      summary: "Confirm an email address",
+      response: MESSAGE,
+    },
+    "POST /api/auth/resend-verification": {
+      summary: "Send a new verification email",
+      response: MESSAGE,
+    },
+    "PUT /api/auth/password": {
+      summary: "Change the password",
+      response: MESSAGE,
+    },
+  },
+
+  Users: {
+    "GET /api/users/me": { summary: "Get my profile", response: ref("User") },
+    "PUT /api/users/me": {
+      summary: "Update my profile",
+      description:
+        "A new email address is marked unverified and sent a verification link.",
+      response: ref("User"),
+    },
+    "PUT /api/users/me/avatar": {
+      summary: "Upload my avatar",
+      response: ref("User"),
+    },
+    "DELETE /api/users/me/avatar": {
+      summary: "Remove my avatar",
+      response: ref("User"),
+    },
+    "GET /api/users": {
+      summary: "List users",
+      response: page("users", "User"),
+    },
+    "GET /api/users/{id}": { summary: "Get a user", response: ref("User") },
+    "PUT /api/users/{id}": {
+      summary: "Update a user",
+      description:
+        "Only users whose permissions you hold can be edited. " +
+        "Changing the role also needs `roles:assign`. A new email address " +
+        "is marked unverified and sent a verification link.",
+      response: ref("User"),
+    },
+    "PATCH /api/users/{id}/role": {
+      summary: "Assign a role to a user",
+      description:
+        "Only roles whose permissions you hold can be given, only to users " +
+        "whose current permissions you hold, and not to yourself.",
+      response: ref("User"),
+    },
+    "DELETE /api/users/{id}": {
+      summary: "Delete a user",
+      description:
+        "Only users whose permissions you hold can be deleted, and " +
+        "not your own account.",
+      response: MESSAGE,
+    },
+  },
+
+  Wishlists: {
+    "GET /api/users/me/wishlist": {
+      summary: "Get a wishlist",
+      description: "The default list unless another is picked with ?list=.",
+      response: ref("Wishlist"),
+    },
+    "POST /api/users/me/wishlist/items": {
+      summary: "Save a product to a wishlist",
+      status: 201,
+      response: ref("Wishlist"),
+    },
+    "DELETE /api/users/me/wishlist/items/{productId}": {
+      summary: "Remove a product from a wishlist",
+      response: ref("Wishlist"),
+    },
+    "GET /api/users/me/wishlist/order-items": {
+      summary: "Wishlist items that can be ordered now",
+      response: object({
+        items: {
+          type: "array",
+          items: object({
+            product: { type: "string" },
+            variant: { type: "string" },
+            quantity: { type: "integer" },
+          }),
+        },
+      }),
+    },
+    "POST /api/users/me/wishlist/move-to-cart": {
+      summary: "Move wishlist items into the cart",
+      description: "Without products, the whole list is moved.",
+      response: object({
+        moved: { type: "array", items: { type: "object" } },
+        failed: { type: "array", items: { type: "object" } },
+        cart: ref("Cart"),
+        wishlist: ref("Wishlist"),
+      }),
+    },
+    "GET /api/users/me/wishlist/lists": {
+      summary: "List my wishlists",
+      response: { type: "array", items: { type: "object" } },
+    },
+    "POST /api/users/me/wishlist/lists": {
+      summary: "Create a named wishlist",
+      status: 201,
+      response: ref("Wishlist"),
+    },
+    "PATCH /api/users/me/wishlist/lists/{listId}": {
+      summary: "Rename or share a wishlist",
+      description: "Making a list public gives it a share token.",
+      response: ref("Wishlist"),
+    },
+    "DELETE /api/users/me/wishlist/lists/{listId}": {
+      summary: "Delete a named wishlist",
+      response: MESSAGE,
+    },
+    "GET /api/shared-wishlists/{token}": {
+      summary: "Get a publicly shared wishlist",
+      response: ref("Wishlist"),
+    },
+  },
+
+  Products: {
+    "GET /api/products": {
+      summary: "List published products",
+      description:
+        "A category also matches its subcategories. options filters by " +
+        "variant options, e.g. Size:M,Color:Red|Blue.",
+      response: page("products", "Product"),
+    },
+    "GET /api/products/search": {
+      summary: "Faceted product search",
+      description:
+        "price takes ranges like 25-50 or 1000-, specs takes " +
+        "Key:Value|Value; comma-separated values of one filter match any " +
+        "of them. Facet counts apply every filter except their own.",
+      response: {
+        type: "object",
+        properties: {
+          products: list("Product"),
+          pagination: ref("Pagination"),
+          facets: { type: "object" },
+        },
+      },
+    },
+    "GET /api/products/autocomplete": {
+      summary: "Name and SKU suggestions for a prefix",
+      response: { type: "array", items: { type: "object" } },
+    },
+    "GET /api/products/export": {
+      summary: "Export the catalog as CSV or JSON",
+      response: { type: "array", items: { type: "object" } },
+    },
+    "POST /api/products/import": {
+      summary: "Import products from a CSV or JSON file",
+      description:
+        "Products are created or updated by SKU. With dryRun, every row is " +
+        "validated without saving.",
+      response: object({
+        dryRun: { type: "boolean" },
+        summary: { type: "object" },
+        rows: { type: "array", items: { type: "object" } },
+      }),
+    },
+    "GET /api/products/{id}": {
+      summary: "Get a product",
+      response: ref("Product"),
+    },
+    "POST /api/products": {
+      summary: "Create a product",
+      status: 201,
+      response: ref("Product"),
+      errors: [409],
+    },
+    "PUT /api/products/{id}": {
+      summary: "Update a product",
+      description: "Only the fields sent are changed.",
+      response: ref("Product"),
+      errors: [409],
+    },
+    "DELETE /api/products/{id}": {
+      summary: "Delete a product",
+      response: MESSAGE,
+    },
+  },
+
+  "Product images": {
+    "GET /api/products/{id}/images": {
+      summary: "Get a product's gallery",
+      response: list("GalleryImage"),
+    },
+    "POST /api/products/{id}/images": {
+      summary: "Upload a gallery image",
+      description: "Added at the end, or at the given position.",
+      status: 201,
+      response: list("GalleryImage"),
+    },
+    "PUT /api/products/{id}/images/order": {
+      summary: "Reorder the gallery",
+      description: "images must list every current image URL exactly once.",
+      response: list("GalleryImage"),
+    },
+    "DELETE /api/products/{id}/images/{imageId}": {
+      summary: "Delete a gallery image",
+      response: MESSAGE,
+    },
+  },
+
+  Reviews: {
+    "GET /api/products/{id}/reviews": {
+      summary: "List a product's reviews",
+      description: "Moderators may include hidden reviews.",
+      response: page("reviews", "Review"),
+    },
+    "POST /api/products/{id}/reviews": {
+      summary: "Review a product",
+      description: "Only for products from the user's delivered orders.",
+      status: 201,
+      response: ref("Review"),
+      errors: [409],
+    },
+    "PUT /api/products/{id}/reviews/{reviewId}": {
+      summary: "Edit my review",
+      response: ref("Review"),
+    },
+    "DELETE /api/products/{id}/reviews/{reviewId}": {
+      summary: "Delete a review",
+      description: "The author, or a user with `reviews:moderate`.",
+      response: MESSAGE,
+    },
+    "PATCH /api/products/{id}/reviews/{reviewId}/moderation": {
+      summary: "Hide or verify a review",
+      response: ref("Review"),
+    },
+  },
+
+  Categories: {
+    "GET /api/categories": {
+      summary: "List active categories",
+      response: list("Category"),
+    },
+    "GET /api/categories/tree": {
+      summary: "Active categories as a tree",
+      response: { type: "array", items: { type: "object" } },
+    },
+    "GET /api/categories/{idOrSlug}": {
+      summary: "Get a category by ID or slug",
+      description: "Includes its ancestors and subcategories.",
+      response: ref("Category"),
+    },
+    "POST /api/categories": {
+      summary: "Create a category",
+      status: 201,
+      response: ref("Category"),
+      errors: [409],
+    },
+    "PUT /api/categories/{id}": {
+      summary: "Update a category",
+      response: ref("Category"),
+      errors: [409],
+    },
+    "PUT /api/categories/{id}/image": {
+      summary: "Upload the category image",
+      response: ref("Category"),
+    },
+    "DELETE /api/categories/{id}/image": {
+      summary: "Remove the category image",
+      response: ref("Category"),
+    },
+    "DELETE /api/categories/{id}": {
+      summary: "Delete a category",
+      description: "Only categories without products or subcategories.",
+      response: MESSAGE,
+    },
+  },
+
+  Orders: {
+    "GET /api/orders/my-orders": {
+      summary: "List my orders",
+      response: page("orders", "Order"),
+    },
+    "GET /api/orders/{id}": { summary: "Get an order", response: ref("Order") },
+    "POST /api/orders": {
+      summary: "Place an order",
+      status: 201,
+      response: ref("Order"),
+    },
+    "POST /api/orders/{id}/cancel": {
+      summary: "Cancel an order",
+      description:
+        "Customers can cancel pending orders, staff pending or processing " +
+        "ones. Stock is put back and a captured payment is refunded.",
+      response: ref("Order"),
+    },
+    "GET /api/orders": {
+      summary: "List all orders",
+      response: page("orders", "Order"),
+    },
+    "POST /api/orders/{id}/refunds": {
+      summary: "Refund an order",
+      description: "The whole order, or the given lines and quantities.",
+      response: ref("Order"),
+    },
+    "PATCH /api/orders/{id}/status": {
+      summary: "Change an order's status",
+      response: ref("Order"),
+    },
+  },
+
+  Cart: {
+    "GET /api/cart": {
+      summary: "Get the cart",
+      description:
+        "Guests are identified by X-Cart-Token. Without a cart, an empty one " +
+        "is returned without a token.",
+      response: ref("Cart"),
+      headers: [CART_TOKEN],
+    },
+    "POST /api/cart/items": {
+      summary: "Add a product to the cart",
+      description:
+        "A guest without a cart gets a new one. Its token is returned in " +
+        "the X-Cart-Token header and the body.",
+      status: 201,
+      response: ref("Cart"),
+      headers: [CART_TOKEN],
+    },
+    "PATCH /api/cart/items/{productId}": {
+      summary: "Change a cart line's quantity",
+      description: "A quantity of 0 removes the line.",
+      response: ref("Cart"),
+      headers: [CART_TOKEN],
+    },
+    "DELETE /api/cart/items/{productId}": {
+      summary: "Remove a product from the cart",
+      response: ref("Cart"),
+      headers: [CART_TOKEN],
+    },
+    "DELETE /api/cart": {
+      summary: "Empty the cart",
+      response: MESSAGE,
+      headers: [CART_TOKEN],
+    },
+    "POST /api/cart/merge": {
+      summary: "Merge a guest cart into my cart",
+      response: ref("Cart"),
+      headers: [CART_TOKEN],
+    },
+    "POST /api/cart/checkout": {
+      summary: "Turn my cart into an order",
+      status: 201,
+      response: ref("Order"),
+    },
+  },
+
+  Payments: {
+    "POST /api/payments/intents": {
+      summary: "Start paying for an order",
+      description:
+        "Refused once a payment is under way. If the provider has lost the " +
+        "order's earlier payment, a new one is started.",
+      status: 201,
+      response: object({
+        order: { type: "string" },
+        intentId: { type: "string" },
+        clientSecret: { type: "string" },
+        amount: { type: "number" },
+        currency: { type: "string" },
+      }),
+      errors: [409],
+    },
+    "POST /api/payments/intents/{intentId}/confirm": {
+      summary: "Confirm a payment",
+      description:
+        "The result arrives by webhook, so the payment is still pending in " +
+        "the response. A payment the provider has lost gets a 409; start a " +
+        "new one for the order.",
+      status: 202,
+      errors: [409],
+    },
+    "POST /api/payments/webhook": {
+      summary: "Payment provider callback",
+      description: "Signed with the webhook secret.",
+      headers: [
+        {
+          name: "X-Payment-Signature",
+          required: true,
+          schema: { type: "string" },
+        },
+      ],
+      errors: [400],
+    },
+  },
+
+  "Tax rules": {
+    "GET /api/tax-rules": {
+      summary: "List tax rules",
+      response: list("TaxRule"),
+    },
+    "POST /api/tax-rules": {
+      summary: "Create a tax rule",
+      description:
+        "A rule for country `*` covers every country without a rule of " +
+        "its own.",
+      status: 201,
+      response: ref("TaxRule"),
+    },
+    "PUT /api/tax-rules/{id}": {
+      summary: "Update a tax rule",
+      description: "An empty state or category widens the rule again.",
+      response: ref("TaxRule"),
+    },
+    "DELETE /api/tax-rules/{id}": {
+      summary: "Delete a tax rule",
+      response: MESSAGE,
+    },
+  },
+
+  "Shipping methods": {
+    "GET /api/shipping-methods": {
+      summary: "List active shipping methods",
+      response: list("ShippingMethod"),
+    },
+    "POST /api/shipping-methods": {
+      summary: "Create a shipping method",
+      status: 201,
+      response: ref("ShippingMethod"),
+      errors: [409],
+    },
+    "PUT /api/shipping-methods/{id}": {
+      summary: "Update a shipping method",
+      response: ref("ShippingMethod"),
+      errors: [409],
+    },
+    "DELETE /api/shipping-methods/{id}": {
+      summary: "Delete a shipping method",
+      response: MESSAGE,
+    },
+  },
+
+  Coupons: {
+    "GET /api/coupons": {
+      summary: "List coupons",
+      response: page("coupons", "Coupon"),
+    },
+    "GET /api/coupons/{id}": {
+      summary: "Get a coupon with its redemptions",
+      response: ref("Coupon"),
+    },
+    "POST /api/coupons": {
+      summary: "Create a coupon",
+      status: 201,
+      response: ref("Coupon"),
+      errors: [409],
+    },
+    "PUT /api/coupons/{id}": {
+      summary: "Update a coupon",
+      response: ref("Coupon"),
+      errors: [409],
+    },
+    "DELETE /api/coupons/{id}": {
+      summary: "Delete a coupon",
+      response: MESSAGE,
+    },
+  },
+
+  Roles: {
+    "GET /api/roles/permissions": {
+      summary: "List grantable permissions",
+      response: {
+        type: "array",
+        items: object({
+          name: { type: "string" },
+          description: { type: "string" },
+        }),
+      },
+    },
+    "GET /api/roles": { summary: "List roles", response: list("Role") },
+    "POST /api/roles": {
+      summary: "Create a role",
+      description: "Only permissions you hold can be granted.",
+      status: 201,
+      response: ref("Role"),
+      errors: [409],
+    },
+    "PUT /api/roles/{id}": {
+      summary: "Update a role",
+      description:
+        "Only roles whose permissions you hold can be changed, and only to " +
+        "permissions you hold. Built-in roles need the `*` permission.",
+      response: ref("Role"),
+      errors: [409],
+    },
+    "DELETE /api/roles/{id}": { summary: "Delete a role", response: MESSAGE },
+  },
+
+  Admin: {
+    "GET /api/admin/audit-logs": {
+      summary: "List audit log entries",
+      response: {
+        type: "object",
+        properties: {
+          auditLogs: { type: "array", items: { type: "object" } },
+          pagination: ref("Pagination"),
+        },
+      },
+    },
+    "GET /api/admin/analytics/sales": {
+      summary: "Sales per day, week or month",
+      description:
+        "Orders whose payment was taken, less refunds. The date range " +
+        "defaults to the last 30 days and covers at most 366 periods.",
+      response: report("series", { series: true }),
+    },
+    "GET /api/admin/analytics/top-products": {
+      summary: "Best-selling products",
+      response: report("products"),
+    },
+    "GET /api/admin/analytics/top-categories": {
+      summary: "Best-selling categories",
+      response: report("categories"),
+    },
+    "GET /api/admin/analytics/customers": {
+      summary: "New versus returning customers",
+      description: "The date range covers at most 366 periods.",
+      response: report("series", { series: true }),
+    },
+    "GET /api/admin/analytics/status-breakdown": {
+      summary: "Orders per status",
+      response: report("statuses"),
+    },
+    "GET /api/admin/analytics/low-stock": {
+      summary: "Products and variants low on stock",
+      response: object({
+        threshold: { type: "integer" },
+        products: { type: "array", items: { type: "object" } },
+      }),
+    },
+    "GET /api/admin/analytics/most-wishlisted": {
+      summary: "Products on the most wishlists",
+      response: object({
+        products: { type: "array", items: { type: "object" } },
+      }),
+    },
+    "POST /api/admin/inventory/adjustments": {
+      summary: "Adjust stock",
+      description:
+        "By a signed quantity or to an absolute level. 201 when stock " +
+        "changed, 200 when it was already at that level.",
+      status: 201,
+      response: ref("StockLevels"),
+    },
+    "GET /api/admin/inventory/movements": {
+      summary: "List stock movements",
+      response: page("movements", "InventoryMovement"),
+    },
+    "GET /api/admin/inventory/low-stock": {
+      summary: "Products and variants low on stock",
+      response: object({
+        products: { type: "array", items: { type: "object" } },
+      }),
+    },
+  },
+};
@@ -0,0 +1,187 @@
+import crypto from "crypto";
+import mongoose from "mongoose";
+import Cart from "../models/Cart.js";
+import Product from "../models/Product.js";
+import { roundCurrency } from "../utils/currency.js";
+import { AppError } from "../utils/errors.js";
+
+// Error for cart problems the client can fix (unknown product, low stock)
+export class CartError extends AppError {
+  constructor(message, status = 400) {
+    super(message, status);
+  }
+}
+
+const generateCartToken = () => crypto.randomBytes(24).toString("hex");
+
+// Find the cart of a signed-in user or a guest token. With create, a new cart
+// is started when none exists; guests always get a server-generated token.
+export const findCart = async ({ user, token }, { create = false } = {}) => {
+  let cart = null;
+  if (user) cart = await Cart.findOne({ user });
+  else if (token) cart = await Cart.findOne({ token });
+
+  if (!cart && create) {
+    cart = new Cart(user ? { user } : { token: generateCartToken() });
+  }
+
+  return cart;
+};
+
+// Find the cart line for a product (and variant)
+const findLine = (cart, productId, variantId) =>
+  cart.items.find(
+    (item) =>
+      item.product.toString() === productId.toString() &&
+      (item.variant?.toString() || null) === (variantId?.toString() || null)
+  );
+
+// Load a product, and the variant when it has them, that may be put in a cart
+const findPurchasable = async (productId, variantId) => {
+  if (
+    !mongoose.Types.ObjectId.isValid(productId) ||
+    (variantId && !mongoose.Types.ObjectId.isValid(variantId))
+  ) {
+    throw new CartError("Invalid product ID");
+  }
+
+  const product = await Product.findById(productId);
+  if (!product || !product.isPublished) {
+    throw new CartError("Product not found", 404);
+  }
+
+  if (product.variants.length === 0) {
+    if (variantId) throw new CartError(`${product.name} has no variants`);
+    return { product, variant: null };
+  }
+
+  if (!variantId) {
+    throw new CartError(`Please choose a variant of ${product.name}`);
+  }
+  const variant = product.getVariant(variantId);
+  if (!variant) {
+    throw new CartError("Variant not found", 404);
+  }
+
+  return { product, variant };
+};
+
+// Set a product's quantity in the cart, checking it against current stock.
+// A quantity of zero removes the line.
+export const setItemQuantity = async (cart, productId, quantity, variantId) => {
+  const line = findLine(cart, productId, variantId);
+
+  if (quantity === 0) {
+    if (line) cart.items.pull(line._id);
+    return cart;
+  }
+
+  const { product, variant } = await findPurchasable(productId, variantId);
+  const available = variant ? variant.inventory : product.inventory;
+  if (available < quantity) {
+    throw new CartError(
+      `Not enough inventory for ${product.name}. Available: ${available}`
+    );
+  }
+
+  if (line) line.quantity = quantity;
+  else
+    cart.items.push({ product: product._id, variant: variant?._id, quantity });
+
+  return cart;
+};
+
+// Add to whatever quantity of the product is already in the cart
+export const addItem = (cart, productId, quantity, variantId) => {
+  const line = findLine(cart, productId, variantId);
+  return setItemQuantity(
+    cart,
+    productId,
+    (line ? line.quantity : 0) + quantity,
+    variantId
+  );
+};
+
+// Cart contents with live price and stock. Lines whose product has been
+// deleted are dropped from the cart.
+export const serializeCart = async (cart) => {
+  await cart.populate(
+    "items.product",
+    "name sku price images inventory variants isPublished"
+  );
+
+  const missing = cart.items.filter((item) => !item.product);
+  if (missing.length) {
+    missing.forEach((item) => cart.items.pull(item._id));
+    await cart.save();
+  }
+
+  let subtotal = 0;
+  let itemCount = 0;
+  const items = cart.items.map((item) => {
+    const product = item.product;
+    const variant = item.variant ? product.getVariant(item.variant) : null;
+    const inventory = item.variant
+      ? variant?.inventory || 0
+      : product.inventory;
+    const price = product.priceOf(variant);
+    const isAvailable =
+      product.isPublished &&
+      (!item.variant || Boolean(variant)) &&
+      inventory >= item.quantity;
+    const lineTotal = roundCurrency(price * item.quantity);
+
+    if (isAvailable) {
+      subtotal += lineTotal;
+      itemCount += item.quantity;
+    }
+
+    return {
+      product: product._id,
+      variant: item.variant,
+      sku: variant ? variant.sku : product.sku,
+      variantOptions: variant?.options,
+      name: product.name,
+      image: variant?.images?.[0] || product.images?.[0],
+      price,
+      quantity: item.quantity,
+      inventory,
+      isAvailable,
+      lineTotal,
+    };
+  });
+
+  return {
+    _id: cart._id,
+    token: cart.user ? undefined : cart.token,
+    items,
+    itemCount,
+    subtotal: roundCurrency(subtotal),
+    updatedAt: cart.updatedAt,
+  };
+};
+
+// Move a guest cart's items into the user's cart, then delete the guest cart
+export const mergeGuestCart = async (token, user) => {
+  const guestCart = await Cart.findOne({ token, user: { $exists: false } });
+  if (!guestCart) return null;
+
+  const cart = await findCart({ user }, { create: true });
+  for (const guestItem of guestCart.items) {
+    const line = findLine(cart, guestItem.product, guestItem.variant);
+    if (line) {
+      line.quantity += guestItem.quantity;
+    } else {
+      cart.items.push({
+        product: guestItem.product,
+        variant: guestItem.variant,
+        quantity: guestItem.quantity,
+      });
+    }
+  }
+
+  await cart.save();
+  await guestCart.deleteOne();
+
+  return cart;
+};
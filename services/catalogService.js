@@ -0,0 +1,264 @@
+import mongoose from "mongoose";
+import Product from "../models/Product.js";
+import Category from "../models/Category.js";
+import {
+  productSchema,
+  productUpdateSchema,
+} from "../middleware/validation.js";
+import { validateValue } from "../utils/schema.js";
+import { parseCsv, toCsv } from "../utils/csv.js";
+import { recordStockChanges, stockLevels } from "./inventoryService.js";
+
+export const EXPORT_COLUMNS = [
+  "sku",
+  "name",
+  "description",
+  "price",
+  "comparePrice",
+  "category",
+  "inventory",
+  "weight",
+  "lowStockThreshold",
+  "images",
+  "features",
+  "specifications",
+  "options",
+  "variants",
+  "isFeatured",
+  "isPublished",
+];
+
+// In CSV, lists of strings are joined with "|" and nested values are JSON
+const LIST_SEPARATOR = "|";
+const LIST_COLUMNS = ["images", "features"];
+const JSON_COLUMNS = ["specifications", "options", "variants"];
+const NUMBER_COLUMNS = [
+  "price",
+  "comparePrice",
+  "inventory",
+  "weight",
+  "lowStockThreshold",
+];
+const BOOLEAN_COLUMNS = ["isFeatured", "isPublished"];
+
+// The import format: the fields of a product, with its category as a slug
+const toExportRow = (product) => ({
+  sku: product.sku,
+  name: product.name,
+  description: product.description,
+  price: product.price,
+  comparePrice: product.comparePrice,
+  category: product.category?.slug,
+  inventory: product.inventory,
+  weight: product.weight,
+  lowStockThreshold: product.lowStockThreshold,
+  images: product.images,
+  features: product.features,
+  specifications: product.specifications || {},
+  options: (product.options || []).map(({ name, values }) => ({
+    name,
+    values,
+  })),
+  variants: (product.variants || []).map(
+    ({ sku, options, price, inventory, images, isActive }) => ({
+      sku,
+      options,
+      price,
+      inventory,
+      images,
+      isActive,
+    })
+  ),
+  isFeatured: product.isFeatured,
+  isPublished: product.isPublished,
+});
+
+const toCsvRow = (row) => {
+  const csvRow = { ...row };
+  for (const column of LIST_COLUMNS) {
+    csvRow[column] = (row[column] || []).join(LIST_SEPARATOR);
+  }
+  for (const column of JSON_COLUMNS) {
+    csvRow[column] = JSON.stringify(row[column]);
+  }
+  return csvRow;
+};
+
+// Every product as CSV text or a JSON-ready array
+export const exportProducts = async (format) => {
+  const products = await Product.find()
+    .populate("category", "slug")
+    .sort({ sku: 1 })
+    .lean();
+  const rows = products.map(toExportRow);
+
+  return format === "csv" ? toCsv(EXPORT_COLUMNS, rows.map(toCsvRow)) : rows;
+};
+
+// Turn a CSV record (all strings) into product fields
+const fromCsvRow = (record) => {
+  const row = {};
+
+  for (const column of EXPORT_COLUMNS) {
+    const value = record[column]?.trim();
+    if (value === undefined || value === "") continue;
+
+    if (NUMBER_COLUMNS.includes(column)) {
+      row[column] = Number(value);
+    } else if (LIST_COLUMNS.includes(column)) {
+      row[column] = value
+        .split(LIST_SEPARATOR)
+        .map((item) => item.trim())
+        .filter(Boolean);
+    } else if (JSON_COLUMNS.includes(column)) {
+      try {
+        row[column] = JSON.parse(value);
+      } catch {
+        throw new Error(`Invalid JSON in the ${column} column`);
+      }
+    } else if (BOOLEAN_COLUMNS.includes(column)) {
+      if (!["true", "false"].includes(value.toLowerCase())) {
+        throw new Error(`${column} must be true or false`);
+      }
+      row[column] = value.toLowerCase() === "true";
+    } else {
+      row[column] = value;
+    }
+  }
+
+  return row;
+};
+
+// Read an uploaded CSV or JSON file into rows. JSON may be an array of
+// products or { products: [...] }.
+export const parseImportFile = (buffer, format) => {
+  const text = buffer.toString("utf8");
+
+  if (format === "csv") {
+    return parseCsv(text).map((record) => ({ record, fromCsv: true }));
+  }
+
+  const data = JSON.parse(text);
+  const products = Array.isArray(data) ? data : data?.products;
+  if (!Array.isArray(products)) {
+    throw new Error("JSON must be an array of products");
+  }
+  return products.map((record) => ({ record, fromCsv: false }));
+};
+
+// Keep the ids of variants whose SKU is unchanged, so carts and orders that
+// point at them stay valid
+const keepVariantIds = (product, variants) =>
+  variants.map((variant) => {
+    const existing = product.variants.find((v) => v.sku === variant.sku);
+    return existing ? { ...variant, _id: existing._id } : variant;
+  });
+
+const describeError = (error) =>
+  error.code === 11000
+    ? "SKU is already used by another product or variant"
+    : error.message;
+
+// Create or update one product per row, matched by SKU. Rows are handled
+// independently; a failing row is reported and the rest still run. With
+// dryRun, rows are validated but nothing is saved (so SKUs clashing with
+// another product's variants only show up on the real run). Row numbers
+// count data rows from 1, not the CSV header.
+export const importProducts = async (rows, { dryRun = false, actor } = {}) => {
+  const categories = await Category.find({}, "slug");
+  const categoryBySlug = new Map(
+    categories.map((category) => [category.slug, category._id])
+  );
+  const categoryIds = new Set(
+    categories.map((category) => category._id.toString())
+  );
+
+  const seen = new Map();
+  const results = [];
+
+  for (const [index, { record, fromCsv }] of rows.entries()) {
+    const result = { row: index + 1, sku: record?.sku };
+
+    try {
+      if (!record || typeof record !== "object") {
+        throw new Error("Row must be an object");
+      }
+
+      const data = fromCsv
+        ? fromCsvRow(record)
+        : Object.fromEntries(
+            EXPORT_COLUMNS.filter((column) => record[column] !== undefined).map(
+              (column) => [column, record[column]]
+            )
+          );
+
+      if (!data.sku || typeof data.sku !== "string") {
+        throw new Error("SKU is required");
+      }
+      result.sku = data.sku;
+      if (seen.has(data.sku)) {
+        throw new Error(`Duplicate SKU, already in row ${seen.get(data.sku)}`);
+      }
+      seen.set(data.sku, result.row);
+
+      // Categories are given by slug, or by ID
+      if (data.category) {
+        const category =
+          categoryBySlug.get(data.category) ||
+          (mongoose.Types.ObjectId.isValid(data.category) &&
+            categoryIds.has(data.category.toString()) &&
+            data.category);
+        if (!category) {
+          throw new Error(`Category ${data.category} not found`);
+        }
+        data.category = category;
+      }
+
+      // Rows for existing products only need the columns they change
+      const existing = await Product.findOne({ sku: data.sku });
+      const { value: fields, errors } = validateValue(
+        existing ? productUpdateSchema : productSchema,
+        data
+      );
+      if (errors.length) {
+        throw new Error(errors.map((error) => error.message).join("; "));
+      }
+
+      const product = existing || new Product();
+
+      if (fields.specifications) {
+        fields.specifications = new Map(Object.entries(fields.specifications));
+      }
+      if (fields.variants && existing) {
+        fields.variants = keepVariantIds(existing, fields.variants);
+      }
+
+      const stockBefore = existing ? stockLevels(existing) : new Map();
+      product.set(fields);
+      if (dryRun) {
+        await product.validate();
+      } else {
+        await product.save();
+        await recordStockChanges(stockBefore, product, {
+          reason: "import",
+          actor,
+        });
+      }
+
+      result.status = existing ? "updated" : "created";
+      if (existing || !dryRun) result.product = product._id;
+    } catch (error) {
+      result.status = "failed";
+      result.message = describeError(error);
+    }
+
+    results.push(result);
+  }
+
+  const summary = { total: results.length };
+  for (const status of ["created", "updated", "failed"]) {
+    summary[status] = results.filter((r) => r.status === status).length;
+  }
+
+  return { dryRun, summary, rows: results };
+};
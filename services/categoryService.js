@@ -0,0 +1,90 @@
+import mongoose from "mongoose";
+import Category from "../models/Category.js";
+
+// Nested categories, each with its children sorted by name. Inactive
+// categories, and everything under them, are left out unless asked for.
+export const getCategoryTree = async ({ includeInactive = false } = {}) => {
+  const categories = await Category.find(
+    includeInactive ? {} : { isActive: true }
+  )
+    .sort({ name: 1 })
+    .lean();
+
+  const nodes = new Map(
+    categories.map((category) => [
+      category._id.toString(),
+      { ...category, children: [] },
+    ])
+  );
+
+  const roots = [];
+  for (const node of nodes.values()) {
+    const parent = node.parent && nodes.get(node.parent.toString());
+    if (parent) parent.children.push(node);
+    else if (!node.parent) roots.push(node);
+  }
+
+  return roots;
+};
+
+// A category's ancestors from the root down to its parent, for breadcrumbs
+export const getAncestors = async (category) => {
+  const [result] = await Category.aggregate([
+    { $match: { _id: category._id } },
+    {
+      $graphLookup: {
+        from: Category.collection.name,
+        startWith: "$parent",
+        connectFromField: "parent",
+        connectToField: "_id",
+        as: "ancestors",
+        depthField: "depth",
+      },
+    },
+  ]);
+
+  return (result?.ancestors || [])
+    .sort((a, b) => b.depth - a.depth)
+    .map(({ _id, name, slug }) => ({ _id, name, slug }));
+};
+
+// IDs of a category and every category below it
+export const getDescendantIds = async (categoryId) => {
+  if (!mongoose.Types.ObjectId.isValid(categoryId)) return [];
+
+  const [result] = await Category.aggregate([
+    { $match: { _id: new mongoose.Types.ObjectId(categoryId) } },
+    {
+      $graphLookup: {
+        from: Category.collection.name,
+        startWith: "$_id",
+        connectFromField: "_id",
+        connectToField: "parent",
+        as: "descendants",
+      },
+    },
+    { $project: { descendants: "$descendants._id" } },
+  ]);
+
+  return result ? [result._id, ...result.descendants] : [];
+};
+
+// Why a parent cannot be set on a category (it does not exist, or is the
+// category itself or one of its descendants), or null when it can.
+// Pass no categoryId for a new category.
+export const getParentError = async (categoryId, parentId) => {
+  if (!mongoose.Types.ObjectId.isValid(parentId)) {
+    return "Invalid parent category ID";
+  }
+  if (!(await Category.exists({ _id: parentId }))) {
+    return "Parent category not found";
+  }
+  if (!categoryId) return null;
+
+  const descendantIds = await getDescendantIds(categoryId);
+  if (descendantIds.some((id) => id.toString() === parentId.toString())) {
+    return "A category cannot be moved under itself or one of its subcategories";
+  }
+
+  return null;
+};
@@ -0,0 +1,146 @@
+import Coupon from "../models/Coupon.js";
+import { roundCurrency } from "../utils/currency.js";
+
+const normalizeCode = (code) => code.toString().trim().toUpperCase();
+
+// Whether the coupon's product/category restrictions cover a line
+const isEligibleLine = (coupon, line) => {
+  const restrictsProducts = coupon.products.length > 0;
+  const restrictsCategories = coupon.categories.length > 0;
+  if (!restrictsProducts && !restrictsCategories) return true;
+
+  const matchesProduct =
+    restrictsProducts &&
+    coupon.products.some((id) => id.toString() === line.product.toString());
+  const matchesCategory =
+    restrictsCategories &&
+    line.category &&
+    coupon.categories.some((id) => id.toString() === line.category.toString());
+
+  return matchesProduct || matchesCategory;
+};
+
+const countUserRedemptions = (coupon, user) =>
+  coupon.redemptions.filter(
+    (redemption) => redemption.user?.toString() === user.toString()
+  ).length;
+
+export const findCoupon = (code) =>
+  Coupon.findOne({ code: normalizeCode(code) });
+
+// Check whether a coupon can be used for these lines ({ product, category,
+// price, quantity }). Returns the reason it cannot, or null when it can.
+export const checkCoupon = (coupon, { user, lines, now = new Date() }) => {
+  if (!coupon || !coupon.isActive) return "Invalid coupon code";
+  if (coupon.startsAt && coupon.startsAt > now) {
+    return "This coupon is not active yet";
+  }
+  if (coupon.expiresAt && coupon.expiresAt <= now) {
+    return "This coupon has expired";
+  }
+  if (coupon.usageLimit && coupon.usedCount >= coupon.usageLimit) {
+    return "This coupon has reached its usage limit";
+  }
+  if (
+    coupon.perUserLimit &&
+    countUserRedemptions(coupon, user) >= coupon.perUserLimit
+  ) {
+    return "You have already used this coupon";
+  }
+
+  const subtotal = lines.reduce(
+    (sum, line) => sum + line.price * line.quantity,
+    0
+  );
+  if (subtotal < coupon.minSubtotal) {
+    return `This coupon requires a minimum subtotal of ${coupon.minSubtotal}`;
+  }
+  if (!lines.some((line) => isEligibleLine(coupon, line))) {
+    return "This coupon does not apply to any items in the order";
+  }
+
+  return null;
+};
+
+// Split a coupon's discount over the eligible lines in proportion to their
+// value. Returns one discount amount per line; free-shipping coupons discount
+// no lines.
+export const calculateLineDiscounts = (coupon, lines) => {
+  const eligible = lines.map((line) => isEligibleLine(coupon, line));
+  const eligibleTotal = lines.reduce(
+    (sum, line, index) =>
+      eligible[index] ? sum + line.price * line.quantity : sum,
+    0
+  );
+
+  let discount = 0;
+  if (coupon.type === "percentage") {
+    discount = (eligibleTotal * coupon.value) / 100;
+    if (coupon.maxDiscount !== undefined && coupon.maxDiscount !== null) {
+      discount = Math.min(discount, coupon.maxDiscount);
+    }
+  } else if (coupon.type === "fixed") {
+    discount = Math.min(coupon.value, eligibleTotal);
+  }
+  discount = roundCurrency(discount);
+
+  if (!discount) return lines.map(() => 0);
+
+  // Give any rounding remainder to the last eligible line
+  const lastEligible = eligible.lastIndexOf(true);
+  let allocated = 0;
+  return lines.map((line, index) => {
+    if (!eligible[index]) return 0;
+    if (index === lastEligible) return roundCurrency(discount - allocated);
+
+    const share = roundCurrency(
+      (discount * line.price * line.quantity) / eligibleTotal
+    );
+    allocated += share;
+    return share;
+  });
+};
+
+// Count a redemption, but only while the total and per-user limits still
+// allow it. The check and the increment happen in one update, so concurrent
+// checkouts cannot push a coupon past its limits. Returns false if a limit
+// was reached in the meantime.
+export const redeemCoupon = async (coupon, { user, order }) => {
+  const limits = [];
+  if (coupon.usageLimit) {
+    limits.push({ $lt: ["$usedCount", "$usageLimit"] });
+  }
+  if (coupon.perUserLimit) {
+    limits.push({
+      $lt: [
+        {
+          $size: {
+            $filter: {
+              input: "$redemptions",
+              cond: { $eq: ["$$this.user", user] },
+            },
+          },
+        },
+        "$perUserLimit",
+      ],
+    });
+  }
+
+  const filter = { _id: coupon._id, isActive: true };
+  if (limits.length) filter.$expr = { $and: limits };
+
+  const result = await Coupon.updateOne(filter, {
+    $inc: { usedCount: 1 },
+    $push: { redemptions: { user, order } },
+  });
+
+  return result.modifiedCount === 1;
+};
+
+// Undo the redemption made for an order
+export const releaseCoupon = async (couponId, order) => {
+  await Coupon.updateOne(
+    { _id: couponId, "redemptions.order": order },
+    { $inc: { usedCount: -1 }, $pull: { redemptions: { order } } }
+  );
+};
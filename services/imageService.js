@@ -0,0 +1,137 @@
+import crypto from "crypto";
+import sharp from "sharp";
+import Image from "../models/Image.js";
+import { getStorage } from "./storage.js";
+import { AppError } from "../utils/errors.js";
+
+export const IMAGE_TYPES = [
+  "image/jpeg",
+  "image/png",
+  "image/webp",
+  "image/gif",
+];
+export const IMAGE_MAX_SIZE = 5 * 1024 * 1024;
+
+// Formats sharp must detect in the file itself; the declared MIME type alone
+// is not trusted
+const IMAGE_FORMATS = ["jpeg", "png", "webp", "gif"];
+
+// Longest side of each stored size, in pixels. Images are never enlarged.
+const SIZES = {
+  large: 1600,
+  medium: 600,
+  small: 200,
+};
+
+// Error for images the client can fix (not an image, unsupported format)
+export class ImageError extends AppError {
+  constructor(message, status = 400) {
+    super(message, status);
+  }
+}
+
+const folderFor = (ownerModel) =>
+  ({ Product: "products", Category: "categories", User: "avatars" }[
+    ownerModel
+  ]);
+
+const removeFiles = (keys) =>
+  Promise.all(keys.map((key) => getStorage().remove(key)));
+
+// Check an uploaded image, store it in every size as WebP and record it
+// against its owner
+export const storeImage = async (buffer, { ownerModel, owner, uploadedBy }) => {
+  let metadata;
+  try {
+    metadata = await sharp(buffer).metadata();
+  } catch {
+    throw new ImageError("File is not a valid image");
+  }
+  if (!IMAGE_FORMATS.includes(metadata.format)) {
+    throw new ImageError(
+      `Image format must be one of: ${IMAGE_FORMATS.join(", ")}`
+    );
+  }
+
+  const name = crypto.randomBytes(8).toString("hex");
+  const prefix = `${folderFor(ownerModel)}/${owner}/${name}`;
+  const keys = [];
+  const urls = {};
+
+  try {
+    for (const [size, maxSide] of Object.entries(SIZES)) {
+      const output = await sharp(buffer)
+        .rotate()
+        .resize(maxSide, maxSide, { fit: "inside", withoutEnlargement: true })
+        .webp()
+        .toBuffer();
+
+      const key = `${prefix}-${size}.webp`;
+      urls[size] = await getStorage().save(key, output, {
+        contentType: "image/webp",
+      });
+      keys.push(key);
+    }
+
+    return await Image.create({
+      owner,
+      ownerModel,
+      url: urls.large,
+      thumbnails: { medium: urls.medium, small: urls.small },
+      keys,
+      width: metadata.width,
+      height: metadata.height,
+      uploadedBy,
+    });
+  } catch (error) {
+    await removeFiles(keys);
+    throw error;
+  }
+};
+
+// Delete an image's files and its record
+export const deleteImage = async (image) => {
+  await removeFiles(image.keys);
+  await image.deleteOne();
+};
+
+// Delete every uploaded image of an owner, e.g. when it is deleted.
+// Failures are logged rather than thrown, since the owner is already gone.
+export const deleteOwnerImages = async (ownerModel, owner) => {
+  try {
+    const images = await Image.find({ ownerModel, owner });
+    for (const image of images) await deleteImage(image);
+  } catch (error) {
+    console.error("Delete images error:", error);
+  }
+};
+
+// Delete the uploaded image behind a URL, if there is one (an image that was
+// replaced, such as an old avatar)
+export const deleteImageByUrl = async (ownerModel, owner, url) => {
+  if (!url) return;
+  const image = await Image.findOne({ ownerModel, owner, url });
+  if (image) await deleteImage(image);
+};
+
+// A product's gallery in display order. Images given as external URLs have
+// no thumbnails.
+export const getGallery = async (product) => {
+  const images = await Image.find({
+    ownerModel: "Product",
+    owner: product._id,
+  });
+  const byUrl = new Map(images.map((image) => [image.url, image]));
+
+  return product.images.map((url, position) => {
+    const image = byUrl.get(url);
+    return {
+      _id: image?._id,
+      position,
+      url,
+      thumbnails: image?.thumbnails || {},
+      width: image?.width,
+      height: image?.height,
+    };
+  });
+};
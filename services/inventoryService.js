@@ -0,0 +1,284 @@
+import mongoose from "mongoose";
+import Product from "../models/Product.js";
+import InventoryMovement from "../models/InventoryMovement.js";
+import { sendMail } from "./mailer.js";
+import { AppError } from "../utils/errors.js";
+
+// Threshold for products that do not set their own
+export const DEFAULT_LOW_STOCK_THRESHOLD =
+  parseInt(process.env.LOW_STOCK_THRESHOLD) || 5;
+
+// Error for stock changes the client can fix (unknown product, negative stock)
+export class InventoryError extends AppError {
+  constructor(message, status = 400) {
+    super(message, status);
+  }
+}
+
+// Default low-stock notification: email LOW_STOCK_ALERT_EMAIL when set,
+// otherwise log a warning
+const notifyLowStock = async ({ product, sku, balance, threshold }) => {
+  const text = `${product.name} (${sku}) is down to ${balance} in stock (threshold ${threshold}).`;
+  if (process.env.LOW_STOCK_ALERT_EMAIL) {
+    await sendMail({
+      to: process.env.LOW_STOCK_ALERT_EMAIL,
+      subject: `Low stock: ${product.name}`,
+      text,
+    });
+  } else {
+    console.warn(`[inventory] ${text}`);
+  }
+};
+
+let lowStockNotifier = notifyLowStock;
+
+// Swap in another handler for stock falling to or below its threshold,
+// e.g. a webhook or a Slack message. It receives { product, variant, sku,
+// balance, previous, threshold }.
+export const setLowStockNotifier = (notifier) => {
+  lowStockNotifier = notifier;
+};
+
+// Stock level of each sellable unit (the product, or each variant)
+export const stockLevels = (product) =>
+  new Map(
+    product.variants.length
+      ? product.variants.map((variant) => [
+          variant._id.toString(),
+          {
+            variant: variant._id,
+            sku: variant.sku,
+            inventory: variant.inventory,
+          },
+        ])
+      : [["", { sku: product.sku, inventory: product.inventory }]]
+  );
+
+const balanceOf = (product, variant) =>
+  variant ? product.variants.id(variant)?.inventory ?? 0 : product.inventory;
+
+// Record stock changes in the ledger. Each movement is { product, variant,
+// quantity, balance, reason, order, actor, note }, where balance is the
+// stock after the change. Fires the low-stock notifier for every unit that
+// fell to or below its threshold with this change.
+export const recordMovements = async (movements) => {
+  if (!movements.length) return [];
+
+  const products = await Product.find(
+    { _id: { $in: movements.map((movement) => movement.product) } },
+    "name sku variants._id variants.sku lowStockThreshold"
+  );
+  const productById = new Map(
+    products.map((product) => [product._id.toString(), product])
+  );
+
+  const records = await InventoryMovement.insertMany(
+    movements.map((movement) => {
+      const product = productById.get(movement.product.toString());
+      const variant =
+        movement.variant && product?.variants.id(movement.variant);
+      return { ...movement, sku: variant ? variant.sku : product?.sku };
+    })
+  );
+
+  for (const record of records) {
+    const product = productById.get(record.product.toString());
+    if (!product) continue;
+
+    const threshold = product.lowStockThreshold ?? DEFAULT_LOW_STOCK_THRESHOLD;
+    const previous = record.balance - record.quantity;
+    if (previous > threshold && record.balance <= threshold) {
+      try {
+        await lowStockNotifier({
+          product,
+          variant: record.variant,
+          sku: record.sku,
+          balance: record.balance,
+          previous,
+          threshold,
+        });
+      } catch (error) {
+        console.error("Low stock notification error:", error);
+      }
+    }
+  }
+
+  return records;
+};
+
+// Record the difference between stock levels taken before a product was
+// saved and its stock now, e.g. after an edit or an import
+export const recordStockChanges = (before, product, details) => {
+  const after = stockLevels(product);
+  const movements = [];
+
+  for (const key of new Set([...before.keys(), ...after.keys()])) {
+    const previous = before.get(key)?.inventory || 0;
+    const balance = after.get(key)?.inventory || 0;
+    if (balance === previous) continue;
+
+    movements.push({
+      ...details,
+      product: product._id,
+      variant: key ? (after.get(key) || before.get(key)).variant : undefined,
+      quantity: balance - previous,
+      balance,
+    });
+  }
+
+  return recordMovements(movements);
+};
+
+// Change the stock of a product (or variant) by a signed quantity and record
+// it. The update only matches while stock would stay at or above zero. With
+// expected, it also only matches while stock is still that value, for
+// setting an absolute level without losing a concurrent change.
+export const adjustStock = async ({
+  product: productId,
+  variant: variantId,
+  quantity,
+  expected,
+  reason = "adjustment",
+  actor,
+  note,
+}) => {
+  if (
+    !mongoose.Types.ObjectId.isValid(productId) ||
+    (variantId && !mongoose.Types.ObjectId.isValid(variantId))
+  ) {
+    throw new InventoryError("Invalid product ID");
+  }
+
+  const stock = { $gte: Math.max(-quantity, 0) };
+  if (expected !== undefined) stock.$eq = expected;
+
+  const product = await Product.findOneAndUpdate(
+    variantId
+      ? {
+          _id: productId,
+          variants: { $elemMatch: { _id: variantId, inventory: stock } },
+        }
+      : {
+          _id: productId,
+          "variants.0": { $exists: false },
+          inventory: stock,
+        },
+    variantId
+      ? { $inc: { "variants.$.inventory": quantity, inventory: quantity } }
+      : { $inc: { inventory: quantity } },
+    { new: true }
+  );
+
+  if (!product) {
+    const current = await Product.findById(productId);
+    if (!current) throw new InventoryError("Product not found", 404);
+    if (!variantId && current.variants.length) {
+      throw new InventoryError(
+        "Products with variants are stocked per variant"
+      );
+    }
+    if (variantId && !current.variants.id(variantId)) {
+      throw new InventoryError("Variant not found", 404);
+    }
+    if (expected !== undefined && balanceOf(current, variantId) !== expected) {
+      throw new InventoryError(
+        "Stock changed in the meantime, please retry",
+        409
+      );
+    }
+    throw new InventoryError(
+      `Stock cannot go below zero. Available: ${balanceOf(current, variantId)}`
+    );
+  }
+
+  const [movement] = await recordMovements([
+    {
+      product: product._id,
+      variant: variantId,
+      quantity,
+      balance: balanceOf(product, variantId),
+      reason,
+      actor,
+      note,
+    },
+  ]);
+
+  return { product, movement };
+};
+
+// Set the stock of a product (or variant) to an absolute level
+export const setStock = async ({
+  product: productId,
+  variant,
+  level,
+  ...details
+}) => {
+  const current = mongoose.Types.ObjectId.isValid(productId)
+    ? await Product.findById(productId)
+    : null;
+  if (!current) throw new InventoryError("Product not found", 404);
+
+  const expected = balanceOf(current, variant);
+  if (level === expected) return { product: current, movement: null };
+
+  return adjustStock({
+    ...details,
+    product: productId,
+    variant,
+    quantity: level - expected,
+    expected,
+  });
+};
+
+// Products, or active variants of products that have them, with stock at or
+// below a threshold, lowest stock first. Without a threshold each product's
+// own (or the default) is used.
+export const getLowStock = ({ threshold, limit }) =>
+  Product.aggregate([
+    {
+      $project: {
+        name: 1,
+        isPublished: 1,
+        threshold:
+          threshold === undefined
+            ? { $ifNull: ["$lowStockThreshold", DEFAULT_LOW_STOCK_THRESHOLD] }
+            : { $literal: threshold },
+        stock: {
+          $cond: [
+            { $gt: [{ $size: { $ifNull: ["$variants", []] } }, 0] },
+            {
+              $map: {
+                input: {
+                  $filter: { input: "$variants", cond: "$$this.isActive" },
+                },
+                in: {
+                  variant: "$$this._id",
+                  sku: "$$this.sku",
+                  options: "$$this.options",
+                  inventory: "$$this.inventory",
+                },
+              },
+            },
+            [{ sku: "$sku", inventory: "$inventory" }],
+          ],
+        },
+      },
+    },
+    { $unwind: "$stock" },
+    { $match: { $expr: { $lte: ["$stock.inventory", "$threshold"] } } },
+    { $sort: { "stock.inventory": 1, name: 1 } },
+    { $limit: limit },
+    {
+      $project: {
+        _id: 0,
+        product: "$_id",
+        name: 1,
+        isPublished: 1,
+        variant: "$stock.variant",
+        sku: "$stock.sku",
+        options: "$stock.options",
+        inventory: "$stock.inventory",
+        threshold: 1,
+      },
+    },
+  ]);
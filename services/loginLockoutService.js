@@ -0,0 +1,57 @@
+import { getRateLimitStore } from "./rateLimitStore.js";
+import { TooManyRequestsError } from "../utils/errors.js";
+
+const MINUTE = 60 * 1000;
+
+// After LOCKOUT_THRESHOLD failed logins for an email, sign-in is locked for
+// BASE_LOCKOUT_MS, doubling with every further failure up to MAX_LOCKOUT_MS.
+// Failures are forgotten FAILURE_TTL_MS after the first one, or on a
+// successful login.
+const LOCKOUT_THRESHOLD = 5;
+const BASE_LOCKOUT_MS = MINUTE;
+const MAX_LOCKOUT_MS = 60 * MINUTE;
+const FAILURE_TTL_MS = 24 * 60 * MINUTE;
+
+// Emails are keyed whether or not an account exists, so a lockout does not
+// reveal which addresses are registered
+const normalizeEmail = (email) => email.trim().toLowerCase();
+const failuresKey = (email) => `login:${normalizeEmail(email)}`;
+const lockoutKey = (email) => `login-lock:${normalizeEmail(email)}`;
+
+const lockoutDuration = (failures) =>
+  Math.min(
+    BASE_LOCKOUT_MS * 2 ** (failures - LOCKOUT_THRESHOLD),
+    MAX_LOCKOUT_MS
+  );
+
+// Throw a 429 while sign-in for the email is locked
+export const assertLoginAllowed = async (email) => {
+  const lockedUntil = await getRateLimitStore().get(lockoutKey(email));
+  const remainingMs = (lockedUntil || 0) - Date.now();
+  if (remainingMs > 0) {
+    throw new TooManyRequestsError(
+      "Too many failed login attempts. Please try again later",
+      Math.ceil(remainingMs / 1000)
+    );
+  }
+};
+
+// Count a failed login, locking the email once there are too many. The
+// count is incremented atomically so parallel attempts cannot overwrite
+// each other's failures.
+export const recordLoginFailure = async (email) => {
+  const store = getRateLimitStore();
+  const { count } = await store.increment(failuresKey(email), FAILURE_TTL_MS);
+  if (count < LOCKOUT_THRESHOLD) return;
+
+  const durationMs = lockoutDuration(count);
+  await store.set(lockoutKey(email), Date.now() + durationMs, durationMs);
+};
+
+export const clearLoginFailures = async (email) => {
+  const store = getRateLimitStore();
+  await Promise.all([
+    store.delete(failuresKey(email)),
+    store.delete(lockoutKey(email)),
+  ]);
+};
@@ -0,0 +1,55 @@
+import fs from "fs/promises";
+import os from "os";
+import path from "path";
+
+// A transport is any object with an async send({ to, subject, text, html })
+
+// Print messages to the console (local development)
+export const createConsoleTransport = () => ({
+  async send(message) {
+    console.log(
+      `[mail] To: ${message.to}\n[mail] Subject: ${message.subject}\n${message.text}`
+    );
+  },
+});
+
+// Write each message to a JSON file in a directory (tests, inspection)
+export const createFileTransport = (
+  directory = process.env.MAIL_FILE_DIR ||
+    path.join(os.tmpdir(), "api-admin-store-mail")
+) => ({
+  directory,
+  async send(message) {
+    await fs.mkdir(directory, { recursive: true });
+    const fileName = `${Date.now()}-${Math.random()
+      .toString(36)
+      .slice(2, 8)}.json`;
+    await fs.writeFile(
+      path.join(directory, fileName),
+      JSON.stringify({ ...message, sentAt: new Date() }, null, 2)
+    );
+  },
+});
+
+const createDefaultTransport = () =>
+  process.env.MAIL_TRANSPORT === "file"
+    ? createFileTransport()
+    : createConsoleTransport();
+
+let transport = null;
+
+// Swap in another transport, e.g. an SMTP or API-backed one
+export const setTransport = (nextTransport) => {
+  transport = nextTransport;
+};
+
+export const sendMail = async ({ to, subject, text, html }) => {
+  if (!transport) transport = createDefaultTransport();
+  await transport.send({
+    from: process.env.MAIL_FROM || "no-reply@localhost",
+    to,
+    subject,
+    text,
+    html,
+  });
+};
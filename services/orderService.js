@@ -0,0 +1,337 @@
+import mongoose from "mongoose";
+import Order from "../models/Order.js";
+import Product from "../models/Product.js";
+import { calculateOrderTotals } from "./pricingService.js";
+import { recordMovements } from "./inventoryService.js";
+import { PAYMENT_CURRENCY, getPaymentProvider } from "./paymentService.js";
+import {
+  checkCoupon,
+  findCoupon,
+  redeemCoupon,
+  releaseCoupon,
+} from "./couponService.js";
+import { AppError } from "../utils/errors.js";
+
+// Error for order problems the client can fix (unknown product, low stock)
+export class OrderError extends AppError {
+  constructor(message, status = 400) {
+    super(message, status);
+  }
+}
+
+// Key a line by product and variant
+export const lineKey = (item) =>
+  item.variant
+    ? `${item.product.toString()}:${item.variant.toString()}`
+    : item.product.toString();
+
+// Merge duplicate lines so each product/variant is reserved in one update
+const groupQuantities = (items) => {
+  const groups = new Map();
+
+  for (const item of items) {
+    const key = lineKey(item);
+    const group = groups.get(key) || {
+      product: item.product.toString(),
+      variant: item.variant?.toString(),
+      quantity: 0,
+    };
+    group.quantity += Number(item.quantity);
+    groups.set(key, group);
+  }
+
+  return groups;
+};
+
+// Take stock from a product or one of its variants, only if enough is left.
+// Variant stock and the product total move together.
+const decrementStock = ({ product, variant, quantity }) =>
+  variant
+    ? Product.findOneAndUpdate(
+        {
+          _id: product,
+          variants: {
+            $elemMatch: {
+              _id: variant,
+              isActive: true,
+              inventory: { $gte: quantity },
+            },
+          },
+        },
+        { $inc: { "variants.$.inventory": -quantity, inventory: -quantity } },
+        { new: true }
+      )
+    : Product.findOneAndUpdate(
+        {
+          _id: product,
+          inventory: { $gte: quantity },
+          "variants.0": { $exists: false },
+        },
+        { $inc: { inventory: -quantity } },
+        { new: true }
+      );
+
+// Explain why a line could not be reserved
+const describeStockFailure = async ({ product: id, variant: variantId }) => {
+  const product = await Product.findById(id);
+  if (!product) {
+    return new OrderError(`Product with ID ${id} not found`);
+  }
+
+  if (!variantId) {
+    if (product.variants.length) {
+      return new OrderError(`Please choose a variant of ${product.name}`);
+    }
+    return new OrderError(
+      `Not enough inventory for ${product.name}. Available: ${product.inventory}`
+    );
+  }
+
+  const variant = product.getVariant(variantId);
+  if (!variant) {
+    return new OrderError(`Variant ${variantId} of ${product.name} not found`);
+  }
+  return new OrderError(
+    `Not enough inventory for ${product.name} (${variant.sku}). Available: ${variant.inventory}`
+  );
+};
+
+// Stock of a product, or of one of its variants
+const stockOf = (product, variant) =>
+  variant ? product.variants.id(variant)?.inventory ?? 0 : product.inventory;
+
+// Put reserved stock back, e.g. when a later step of the order fails.
+// Returns each line with the stock it brought back to as its balance.
+export const releaseInventory = (reservations) =>
+  Promise.all(
+    reservations.map(async ({ product, variant, quantity }) => {
+      const updated = await (variant
+        ? Product.findOneAndUpdate(
+            { _id: product, "variants._id": variant },
+            { $inc: { "variants.$.inventory": quantity, inventory: quantity } },
+            { new: true }
+          )
+        : Product.findOneAndUpdate(
+            { _id: product },
+            { $inc: { inventory: quantity } },
+            { new: true }
+          ));
+
+      return {
+        product,
+        variant,
+        quantity,
+        balance: updated ? stockOf(updated, variant) : null,
+      };
+    })
+  );
+
+// Reserve stock for every line or for none of them. The decrement only
+// matches while enough inventory is left, so concurrent checkouts can never
+// both take the last unit; a failed line rolls back the earlier ones.
+// Returns the updated products keyed by lineKey.
+export const reserveInventory = async (items) => {
+  const reservations = [];
+  const products = new Map();
+
+  try {
+    for (const [key, group] of groupQuantities(items)) {
+      if (
+        !mongoose.Types.ObjectId.isValid(group.product) ||
+        (group.variant && !mongoose.Types.ObjectId.isValid(group.variant))
+      ) {
+        throw new OrderError(`Product with ID ${group.product} not found`);
+      }
+
+      const product = await decrementStock(group);
+
+      if (!product) {
+        throw await describeStockFailure(group);
+      }
+
+      reservations.push({
+        product: product._id,
+        variant: group.variant,
+        quantity: group.quantity,
+        balance: stockOf(product, group.variant),
+      });
+      products.set(key, product);
+    }
+  } catch (error) {
+    await releaseInventory(reservations);
+    throw error;
+  }
+
+  return { reservations, products };
+};
+
+// Save an order, turning a concurrent modification into a retryable 409
+export const saveOrder = async (order) => {
+  try {
+    return await order.save();
+  } catch (error) {
+    if (error instanceof mongoose.Error.VersionError) {
+      throw new OrderError(
+        "Order was modified by another request, please retry",
+        409
+      );
+    }
+    throw error;
+  }
+};
+
+// Move an order along the status state machine, recording who did it
+export const transitionOrder = (order, status, { actor, note } = {}) => {
+  if (!order.canTransitionTo(status)) {
+    throw new OrderError(
+      `Cannot change order status from ${order.status} to ${status}`,
+      409
+    );
+  }
+
+  return order.transitionTo(status, { changedBy: actor, note });
+};
+
+// Create an order, reserving inventory first and releasing it (and any
+// coupon redemption) again if the order cannot be priced or saved
+export const createOrder = async ({
+  user,
+  items,
+  shippingAddress,
+  shippingMethod,
+  couponCode,
+  paymentMethod,
+  notes,
+}) => {
+  const { reservations, products } = await reserveInventory(items);
+  let redeemedCoupon = null;
+  let order = null;
+
+  try {
+    const lines = items.map((item) => {
+      const product = products.get(lineKey(item));
+      const variant = product.getVariant(item.variant);
+
+      return {
+        product: product._id,
+        variant: variant?._id,
+        sku: variant ? variant.sku : product.sku,
+        variantOptions: variant?.options,
+        name: product.name,
+        price: product.priceOf(variant),
+        quantity: Number(item.quantity),
+        category: product.category,
+        weight: product.weight,
+      };
+    });
+
+    let coupon = null;
+    if (couponCode) {
+      coupon = await findCoupon(couponCode);
+      const problem = checkCoupon(coupon, { user, lines });
+      if (problem) throw new OrderError(problem);
+    }
+
+    const {
+      lineDiscounts,
+      lineTaxes,
+      subtotal,
+      discount,
+      tax,
+      shipping,
+      total,
+    } = await calculateOrderTotals({
+      lines,
+      address: shippingAddress,
+      shippingMethod: shippingMethod?.toString().trim().toLowerCase(),
+      coupon,
+    });
+
+    if (!shipping) {
+      throw new OrderError(
+        shippingMethod
+          ? `Shipping method ${shippingMethod} is not available for this address`
+          : "No shipping method is available for this address"
+      );
+    }
+
+    order = new Order({
+      user,
+      items: lines.map((line, index) => ({
+        product: line.product,
+        variant: line.variant,
+        sku: line.sku,
+        variantOptions: line.variantOptions,
+        name: line.name,
+        price: line.price,
+        quantity: line.quantity,
+        discount: lineDiscounts[index],
+        taxRate: lineTaxes[index].rate,
+        tax: lineTaxes[index].amount,
+        taxRule: lineTaxes[index].rule,
+      })),
+      shippingAddress,
+      shippingMethod: {
+        method: shipping.method._id,
+        code: shipping.method.code,
+        name: shipping.method.name,
+        cost: shipping.cost,
+      },
+      paymentMethod,
+      // Payment state is never taken from the client; it starts pending and
+      // only provider webhooks move it on
+      paymentDetails: {
+        provider: getPaymentProvider().name,
+        amount: total,
+        currency: PAYMENT_CURRENCY,
+        status: "pending",
+      },
+      coupon: coupon
+        ? {
+            coupon: coupon._id,
+            code: coupon.code,
+            type: coupon.type,
+            value: coupon.value,
+          }
+        : undefined,
+      subtotal,
+      discount,
+      tax,
+      shipping: shipping.cost,
+      total,
+      notes,
+    });
+
+    if (coupon) {
+      if (!(await redeemCoupon(coupon, { user, order: order._id }))) {
+        throw new OrderError("This coupon is no longer available");
+      }
+      redeemedCoupon = coupon;
+    }
+
+    await order.save();
+  } catch (error) {
+    if (redeemedCoupon) await releaseCoupon(redeemedCoupon._id, order._id);
+    await releaseInventory(reservations);
+    throw error;
+  }
+
+  // The order stands even if the ledger cannot be written
+  try {
+    await recordMovements(
+      reservations.map(({ product, variant, quantity, balance }) => ({
+        product,
+        variant,
+        quantity: -quantity,
+        balance,
+        reason: "sale",
+        order: order._id,
+        actor: user,
+      }))
+    );
+  } catch (error) {
+    console.error("Record inventory movements error:", error);
+  }
+
+  return order;
+};
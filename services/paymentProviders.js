@@ -0,0 +1,146 @@
+import crypto from "crypto";
+
+// A payment provider is any object with
+//   name
+//   async createIntent({ amount, currency, metadata })
+//     -> { id, clientSecret, status, amount, currency }
+//   async retrieveIntent(intentId) -> { id, status, ... }, or null when the
+//     provider does not know the intent
+//   async confirmIntent(intentId, { paymentMethod }) -> { id, status }
+//   async refund(intentId, amount) -> { id, amount }
+//   verifyWebhook(rawBody, signatureHeader) -> event { id, type, data }
+// Amounts are in major currency units (e.g. dollars); adapters for real
+// providers convert to what their API expects. Payment state only changes
+// through verified webhook events, never through the return values above.
+
+// Webhook events: payment_intent.succeeded, payment_intent.payment_failed
+// and charge.refunded, each with the intent as data
+
+const SIGNATURE_TOLERANCE_SECONDS = 5 * 60;
+
+const hmac = (secret, payload) =>
+  crypto.createHmac("sha256", secret).update(payload).digest("hex");
+
+// Signature header for a webhook body: "t=<unix seconds>,v1=<hex HMAC>"
+export const signPayload = (
+  body,
+  secret,
+  timestamp = Math.floor(Date.now() / 1000)
+) => `t=${timestamp},v1=${hmac(secret, `${timestamp}.${body}`)}`;
+
+// Check a signature header against the raw body. Old timestamps are
+// rejected so captured requests cannot be replayed later.
+export const verifySignature = (body, header, secret) => {
+  const parts = Object.fromEntries(
+    (header || "").split(",").map((part) => part.trim().split("="))
+  );
+  const timestamp = parseInt(parts.t);
+  if (!timestamp || !parts.v1) return false;
+  if (
+    Math.abs(Math.floor(Date.now() / 1000) - timestamp) >
+    SIGNATURE_TOLERANCE_SECONDS
+  ) {
+    return false;
+  }
+
+  const expected = Buffer.from(hmac(secret, `${timestamp}.${body}`));
+  const actual = Buffer.from(parts.v1);
+  return (
+    expected.length === actual.length &&
+    crypto.timingSafeEqual(expected, actual)
+  );
+};
+
+const randomId = (prefix) =>
+  `${prefix}_${crypto.randomBytes(12).toString("hex")}`;
+
+// Sandbox provider for local development and testing. Intents live in
+// memory, so they are forgotten on restart. Like a real provider, it reports results through signed webhook
+// events, sent to deliver(rawBody, signature) just after each call returns.
+// Confirming with paymentMethod "mock_card_declined" fails the payment;
+// anything else succeeds.
+export const createMockProvider = ({ secret, deliver }) => {
+  const intents = new Map();
+
+  const emit = (type, intent) => {
+    const body = JSON.stringify({
+      id: randomId("evt"),
+      type,
+      created: Math.floor(Date.now() / 1000),
+      data: { ...intent },
+    });
+    const signature = signPayload(body, secret);
+    setImmediate(() => deliver(body, signature));
+  };
+
+  const findIntent = (intentId) => {
+    const intent = intents.get(intentId);
+    if (!intent) throw new Error(`No such payment intent: ${intentId}`);
+    return intent;
+  };
+
+  return {
+    name: "mock",
+
+    async createIntent({ amount, currency, metadata }) {
+      const id = randomId("pi_mock");
+      const intent = {
+        id,
+        clientSecret: `${id}_secret_${crypto.randomBytes(8).toString("hex")}`,
+        status: "requires_confirmation",
+        amount,
+        amountRefunded: 0,
+        currency,
+        metadata,
+      };
+      intents.set(id, intent);
+      return { ...intent };
+    },
+
+    async retrieveIntent(intentId) {
+      const intent = intents.get(intentId);
+      return intent ? { ...intent } : null;
+    },
+
+    async confirmIntent(intentId, { paymentMethod } = {}) {
+      const intent = findIntent(intentId);
+      if (!["requires_confirmation", "failed"].includes(intent.status)) {
+        throw new Error(`Payment intent is already ${intent.status}`);
+      }
+
+      if (paymentMethod === "mock_card_declined") {
+        intent.status = "failed";
+        intent.failureReason = "Your card was declined";
+        emit("payment_intent.payment_failed", intent);
+      } else {
+        intent.status = "succeeded";
+        intent.chargeId = randomId("ch_mock");
+        delete intent.failureReason;
+        emit("payment_intent.succeeded", intent);
+      }
+      return { ...intent };
+    },
+
+    async refund(intentId, amount) {
+      const intent = findIntent(intentId);
+      if (intent.status !== "succeeded") {
+        throw new Error("Only succeeded payments can be refunded");
+      }
+      if (intent.amountRefunded + amount > intent.amount + 0.005) {
+        throw new Error("Refund exceeds the amount paid");
+      }
+
+      intent.amountRefunded =
+        Math.round((intent.amountRefunded + amount) * 100) / 100;
+      emit("charge.refunded", intent);
+      return { id: randomId("re_mock"), amount };
+    },
+
+    verifyWebhook(rawBody, signature) {
+      if (!verifySignature(rawBody, signature, secret)) {
+        throw new Error("Invalid webhook signature");
+      }
+      return JSON.parse(rawBody);
+    },
+  };
+};
@@ -0,0 +1,243 @@
+import mongoose from "mongoose";
+import Order from "../models/Order.js";
+import PaymentEvent from "../models/PaymentEvent.js";
+import { createMockProvider } from "./paymentProviders.js";
+import { AppError } from "../utils/errors.js";
+import { getConfig } from "../utils/config.js";
+
+export const PAYMENT_CURRENCY = (process.env.CURRENCY || "usd").toLowerCase();
+
+// Error for payments that cannot go ahead. Provider failures are 502.
+export class PaymentError extends AppError {
+  constructor(message, status = 400) {
+    super(message, status);
+  }
+}
+
+// Payment states each state may move to. Anything else is a late or
+// out-of-order event and is ignored.
+const PAYMENT_TRANSITIONS = {
+  pending: ["completed", "failed"],
+  failed: ["pending", "completed"],
+  completed: ["partially_refunded", "refunded"],
+  partially_refunded: ["partially_refunded", "refunded"],
+  refunded: [],
+};
+
+const webhookSecret = () => getConfig().paymentWebhookSecret;
+
+// The sandbox provider delivers its webhooks straight back to this service
+const createDefaultProvider = () =>
+  createMockProvider({
+    secret: webhookSecret(),
+    deliver: (body, signature) =>
+      handleWebhook(body, signature).catch((error) =>
+        console.error("Mock payment webhook error:", error)
+      ),
+  });
+
+let provider = null;
+
+// Swap in another provider, e.g. an adapter for a real payment gateway
+export const setPaymentProvider = (nextProvider) => {
+  provider = nextProvider;
+};
+
+export const getPaymentProvider = () => {
+  if (!provider) provider = createDefaultProvider();
+  return provider;
+};
+
+const callProvider = async (action, call) => {
+  try {
+    return await call(getPaymentProvider());
+  } catch (error) {
+    console.error(`Payment provider ${action} error:`, error);
+    throw new PaymentError(
+      `Payment provider could not ${action}: ${error.message}`,
+      502
+    );
+  }
+};
+
+// Whether the provider still knows an intent. One it has lost, e.g. the
+// sandbox provider after a restart, can never be confirmed.
+const intentExists = async (intentId) =>
+  Boolean(
+    await callProvider("look up the payment", (provider) =>
+      provider.retrieveIntent(intentId)
+    )
+  );
+
+// Start paying for an order. Returns the client secret the client needs to
+// confirm the payment. An unpaid order whose intent the provider no longer
+// knows gets a fresh one.
+export const createPaymentIntent = async (order) => {
+  if (order.status === "cancelled") {
+    throw new PaymentError("Order is cancelled", 409);
+  }
+
+  const previousIntentId = order.paymentDetails?.intentId;
+  if (previousIntentId) {
+    if (!["pending", "failed"].includes(order.paymentDetails.status)) {
+      throw new PaymentError(
+        `Payment is already ${order.paymentDetails.status}`,
+        409
+      );
+    }
+    if (await intentExists(previousIntentId)) {
+      throw new PaymentError("Payment has already been started", 409);
+    }
+  }
+
+  const intent = await callProvider("create the payment", (provider) =>
+    provider.createIntent({
+      amount: order.total,
+      currency: order.paymentDetails?.currency || PAYMENT_CURRENCY,
+      metadata: { order: order._id.toString() },
+    })
+  );
+
+  const updated = await Order.findOneAndUpdate(
+    {
+      _id: order._id,
+      "paymentDetails.intentId": previousIntentId ?? { $exists: false },
+    },
+    {
+      $set: {
+        "paymentDetails.provider": getPaymentProvider().name,
+        "paymentDetails.intentId": intent.id,
+        "paymentDetails.amount": intent.amount,
+        "paymentDetails.currency": intent.currency,
+      },
+    },
+    { new: true }
+  );
+  if (!updated) {
+    throw new PaymentError("Payment has already been started", 409);
+  }
+
+  return {
+    order: updated,
+    intentId: intent.id,
+    clientSecret: intent.clientSecret,
+  };
+};
+
+// Confirm a payment with the chosen payment method. The outcome arrives as
+// a webhook; until then the order stays pending.
+export const confirmPayment = async (order, { paymentMethod }) => {
+  if (!["pending", "failed"].includes(order.paymentDetails?.status)) {
+    throw new PaymentError(
+      `Payment is already ${order.paymentDetails?.status}`,
+      409
+    );
+  }
+  if (order.status === "cancelled") {
+    throw new PaymentError("Order is cancelled", 409);
+  }
+  if (!(await intentExists(order.paymentDetails.intentId))) {
+    throw new PaymentError(
+      "This payment has expired. Start a new payment for the order",
+      409
+    );
+  }
+
+  const intent = await callProvider("confirm the payment", (provider) =>
+    provider.confirmIntent(order.paymentDetails.intentId, { paymentMethod })
+  );
+
+  return { intentId: intent.id, status: intent.status };
+};
+
+// Return money to the customer. The order's payment status follows once
+// the provider reports the refund.
+export const refundPayment = (order, amount) =>
+  callProvider("refund the payment", (provider) =>
+    provider.refund(order.paymentDetails.intentId, amount)
+  );
+
+// Payment fields an event changes, or null for events we do not handle
+const paymentUpdate = (event) => {
+  const intent = event.data || {};
+  switch (event.type) {
+    case "payment_intent.succeeded":
+      return {
+        status: "completed",
+        transactionId: intent.chargeId,
+        paidAt: new Date(event.created * 1000),
+        failureReason: undefined,
+      };
+    case "payment_intent.payment_failed":
+      return { status: "failed", failureReason: intent.failureReason };
+    case "charge.refunded":
+      return {
+        status:
+          intent.amountRefunded >= intent.amount
+            ? "refunded"
+            : "partially_refunded",
+      };
+    default:
+      return null;
+  }
+};
+
+// Apply a verified event to its order, retrying if the order changed while
+// we were working on it
+const applyPaymentEvent = async (event, update) => {
+  for (let attempt = 0; attempt < 3; attempt++) {
+    const order = await Order.findOne({
+      "paymentDetails.intentId": event.data?.id,
+    });
+    if (!order) return { order: null, applied: false };
+
+    const current = order.paymentDetails.status;
+    if (!PAYMENT_TRANSITIONS[current].includes(update.status)) {
+      return { order, applied: false };
+    }
+
+    Object.assign(order.paymentDetails, update);
+    try {
+      await order.save();
+      return { order, applied: true };
+    } catch (error) {
+      if (!(error instanceof mongoose.Error.VersionError)) throw error;
+    }
+  }
+
+  throw new PaymentError("Order kept changing, webhook should be retried", 409);
+};
+
+// Handle a provider webhook: check the signature against the raw body,
+// skip events already processed, then update the order's payment state.
+// Throws a 400 PaymentError for bad signatures.
+export const handleWebhook = async (rawBody, signature) => {
+  let event;
+  try {
+    event = getPaymentProvider().verifyWebhook(rawBody?.toString(), signature);
+  } catch (error) {
+    throw new PaymentError("Invalid webhook signature", 400);
+  }
+
+  const update = paymentUpdate(event);
+  if (!update) return { received: true, ignored: true };
+
+  try {
+    await PaymentEvent.create({ eventId: event.id, type: event.type });
+  } catch (error) {
+    if (error.code === 11000) return { received: true, duplicate: true };
+    throw error;
+  }
+
+  try {
+    const { order, applied } = await applyPaymentEvent(event, update);
+    if (order) {
+      await PaymentEvent.updateOne({ eventId: event.id }, { order: order._id });
+    }
+    return { received: true, ignored: !applied };
+  } catch (error) {
+    // Let the provider's redelivery try again
+    await PaymentEvent.deleteOne({ eventId: event.id });
+    throw error;
+  }
+};
@@ -0,0 +1,123 @@
+import Role from "../models/Role.js";
+import { BadRequestError, ForbiddenError } from "../utils/errors.js";
+
+// Every permission a role can hold
+export const PERMISSIONS = {
+  "products:write": "Create, update and delete products",
+  "categories:write": "Create, update and delete categories",
+  "orders:read": "View all orders",
+  "orders:update_status": "Change order status and cancel orders",
+  "orders:refund": "Refund orders",
+  "users:read": "View user accounts",
+  "users:write": "Update user accounts",
+  "users:delete": "Delete user accounts",
+  "roles:manage": "Create, update and delete roles",
+  "roles:assign": "Assign roles to users",
+  "coupons:manage": "Manage coupons",
+  "tax:manage": "Manage tax rules",
+  "shipping:manage": "Manage shipping methods",
+  "reviews:moderate": "Hide, verify and delete any review",
+  "audit:read": "View the audit log",
+  "analytics:read": "View sales analytics",
+  "inventory:manage": "Adjust stock and view the inventory ledger",
+};
+
+// Built-in roles, created at startup and used if their document is missing
+export const DEFAULT_ROLES = [
+  {
+    name: "admin",
+    description: "Full access",
+    permissions: ["*"],
+    isSystem: true,
+  },
+  {
+    name: "user",
+    description: "Customer",
+    permissions: [],
+    isSystem: true,
+  },
+];
+
+// Role permissions are cached briefly so each request does not hit the DB
+const CACHE_TTL_MS = 30 * 1000;
+const cache = new Map();
+
+export const clearPermissionCache = () => cache.clear();
+
+export const getRolePermissions = async (roleName) => {
+  const cached = cache.get(roleName);
+  if (cached && cached.expiresAt > Date.now()) return cached.permissions;
+
+  const role = await Role.findOne({ name: roleName });
+  const permissions = role
+    ? role.permissions
+    : DEFAULT_ROLES.find((defaultRole) => defaultRole.name === roleName)
+        ?.permissions || [];
+
+  cache.set(roleName, { permissions, expiresAt: Date.now() + CACHE_TTL_MS });
+  return permissions;
+};
+
+export const hasPermission = async (user, permission) => {
+  if (!user) return false;
+
+  const permissions = await getRolePermissions(user.role);
+  return permissions.includes("*") || permissions.includes(permission);
+};
+
+// Whether the user holds every one of the permissions. Only holders of "*"
+// hold "*" itself.
+export const holdsPermissions = async (user, permissions) => {
+  const own = await getRolePermissions(user.role);
+  return (
+    own.includes("*") ||
+    permissions.every(
+      (permission) => permission !== "*" && own.includes(permission)
+    )
+  );
+};
+
+// Check that actor may edit or delete target's account. It takes every
+// permission target holds, so users:write cannot be used to take over a
+// more privileged account.
+export const assertCanManageUser = async (actor, target) => {
+  const targetPermissions = await getRolePermissions(target.role);
+  if (!(await holdsPermissions(actor, targetPermissions))) {
+    throw new ForbiddenError(
+      "Access denied. The user has permissions you do not hold"
+    );
+  }
+};
+
+// Check that actor may move target to the named role. Nobody changes their
+// own role, and a role can only be given or taken away by someone holding
+// all of its permissions, so roles:assign never grants more access than the
+// actor already has.
+export const assertCanAssignRole = async (actor, target, roleName) => {
+  const role = await Role.findOne({ name: roleName.toLowerCase() });
+  if (!role) {
+    throw new BadRequestError("Role does not exist");
+  }
+  if (actor._id.equals(target._id)) {
+    throw new ForbiddenError("You cannot change your own role");
+  }
+  if (!(await holdsPermissions(actor, role.permissions))) {
+    throw new ForbiddenError(
+      "Access denied. The role has permissions you do not hold"
+    );
+  }
+  await assertCanManageUser(actor, target);
+};
+
+// Create any missing built-in role
+export const ensureDefaultRoles = async () => {
+  await Promise.all(
+    DEFAULT_ROLES.map((role) =>
+      Role.updateOne(
+        { name: role.name },
+        { $setOnInsert: role },
+        { upsert: true }
+      )
+    )
+  );
+};
@@ -0,0 +1,203 @@
+import TaxRule from "../models/TaxRule.js";
+import ShippingMethod from "../models/ShippingMethod.js";
+import { calculateLineDiscounts } from "./couponService.js";
+import { roundCurrency } from "../utils/currency.js";
+
+// Tax rule country that covers every country without a rule of its own
+export const ANY_COUNTRY = "*";
+
+const normalizeRegion = (value) =>
+  value ? value.toString().trim().toUpperCase() : undefined;
+
+// Pick the most specific rule for a line: a rule for the country beats one
+// for every country (*), a state match beats a category match, and either
+// beats a country-wide rule
+const matchTaxRule = (rules, { state, category }) => {
+  let bestRule = null;
+  let bestScore = -1;
+
+  for (const rule of rules) {
+    if (rule.state && rule.state !== state) continue;
+    if (rule.category && rule.category.toString() !== category?.toString()) {
+      continue;
+    }
+
+    const score =
+      (rule.country !== ANY_COUNTRY ? 4 : 0) +
+      (rule.state ? 2 : 0) +
+      (rule.category ? 1 : 0);
+    if (score > bestScore) {
+      bestRule = rule;
+      bestScore = score;
+    }
+  }
+
+  return bestRule;
+};
+
+// Tax for each line ({ price, quantity, discount, category }) shipped to the
+// address, charged on the discounted amount. Lines with no matching rule are
+// untaxed.
+export const calculateTax = async (lines, address) => {
+  const country = normalizeRegion(address?.country);
+  const state = normalizeRegion(address?.state);
+  const rules = await TaxRule.find({
+    country: { $in: country ? [country, ANY_COUNTRY] : [ANY_COUNTRY] },
+    isActive: true,
+  });
+
+  return lines.map((line) => {
+    const rule = matchTaxRule(rules, { state, category: line.category });
+    const rate = rule ? rule.rate : 0;
+
+    return {
+      rule: rule?._id,
+      rate,
+      amount: roundCurrency(
+        ((line.price * line.quantity - (line.discount || 0)) * rate) / 100
+      ),
+    };
+  });
+};
+
+// The flat tax orders were charged before tax rules existed
+export const DEFAULT_TAX_RULE = {
+  name: "Standard tax",
+  country: ANY_COUNTRY,
+  rate: 10,
+};
+
+// Create the default flat tax when there are no tax rules at all, so
+// upgrading or starting a new store does not change order totals
+export const ensureDefaultTaxRule = async () => {
+  if (await TaxRule.exists({})) return;
+  await TaxRule.updateOne(
+    { country: ANY_COUNTRY },
+    { $setOnInsert: DEFAULT_TAX_RULE },
+    { upsert: true }
+  );
+};
+
+// The flat rate orders were charged before shipping methods existed: 10,
+// free from 100
+export const DEFAULT_SHIPPING_METHOD = {
+  name: "Standard shipping",
+  code: "standard",
+  description: "Flat rate, free on orders over 100",
+  baseCost: 10,
+  freeShippingThreshold: 100,
+  isDefault: true,
+};
+
+// Create the default flat rate when there are no shipping methods at all,
+// so a store that has not set any up can still take orders
+export const ensureDefaultShippingMethod = async () => {
+  if (await ShippingMethod.exists({})) return;
+  await ShippingMethod.updateOne(
+    { code: DEFAULT_SHIPPING_METHOD.code },
+    { $setOnInsert: DEFAULT_SHIPPING_METHOD },
+    { upsert: true }
+  );
+};
+
+// Cost of shipping with a method, or null when it does not ship to the country
+export const quoteShippingMethod = (method, { subtotal, weight, country }) => {
+  if (method.countries.length && !method.countries.includes(country)) {
+    return null;
+  }
+
+  if (
+    method.freeShippingThreshold !== undefined &&
+    method.freeShippingThreshold !== null &&
+    subtotal >= method.freeShippingThreshold
+  ) {
+    return 0;
+  }
+
+  const value = method.basis === "weight" ? weight : subtotal;
+  const tier = method.tiers.find(
+    (tier) =>
+      value >= tier.min &&
+      (tier.max === undefined || tier.max === null || value < tier.max)
+  );
+
+  return tier ? tier.cost : method.baseCost;
+};
+
+// Every active method that ships to the address, default first, then cheapest
+export const getShippingQuotes = async ({ subtotal, weight, address }) => {
+  const country = normalizeRegion(address?.country);
+  const methods = await ShippingMethod.find({ isActive: true });
+
+  return methods
+    .map((method) => ({
+      method,
+      cost: quoteShippingMethod(method, { subtotal, weight, country }),
+    }))
+    .filter((quote) => quote.cost !== null)
+    .sort(
+      (a, b) =>
+        Number(b.method.isDefault) - Number(a.method.isDefault) ||
+        a.cost - b.cost
+    );
+};
+
+// Price a set of lines ({ price, quantity, category, weight }) for delivery to
+// an address, applying an already validated coupon if given. Returns per-line
+// discount and tax, the chosen shipping quote (null when no method ships
+// there, or the requested code is unavailable) and the totals.
+export const calculateOrderTotals = async ({
+  lines,
+  address,
+  shippingMethod,
+  coupon,
+}) => {
+  const subtotal = roundCurrency(
+    lines.reduce((sum, line) => sum + line.price * line.quantity, 0)
+  );
+  const weight = lines.reduce(
+    (sum, line) => sum + (line.weight || 0) * line.quantity,
+    0
+  );
+
+  const lineDiscounts = coupon
+    ? calculateLineDiscounts(coupon, lines)
+    : lines.map(() => 0);
+  const discount = roundCurrency(
+    lineDiscounts.reduce((sum, amount) => sum + amount, 0)
+  );
+
+  const lineTaxes = await calculateTax(
+    lines.map((line, index) => ({ ...line, discount: lineDiscounts[index] })),
+    address
+  );
+  const tax = roundCurrency(
+    lineTaxes.reduce((sum, lineTax) => sum + lineTax.amount, 0)
+  );
+
+  // Free-shipping thresholds apply to what the customer pays for the goods
+  const quotes = await getShippingQuotes({
+    subtotal: subtotal - discount,
+    weight,
+    address,
+  });
+  let shipping = shippingMethod
+    ? quotes.find((quote) => quote.method.code === shippingMethod) || null
+    : quotes[0] || null;
+
+  if (shipping && coupon?.type === "free_shipping") {
+    shipping = { ...shipping, cost: 0 };
+  }
+
+  return {
+    lineDiscounts,
+    lineTaxes,
+    subtotal,
+    discount,
+    tax,
+    shipping,
+    total: roundCurrency(
+      subtotal - discount + tax + (shipping ? shipping.cost : 0)
+    ),
+  };
+};
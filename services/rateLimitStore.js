@@ -0,0 +1,72 @@
+// Counters for rate limiting and login lockout. A store keeps values under
+// string keys until they expire:
+//
+//   increment(key, windowMs) -> { count, resetAt }
+//     Add one to a counter, starting a new one that expires after windowMs
+//     when there is none
+//   get(key) -> value or undefined
+//   set(key, value, ttlMs)
+//   delete(key)
+//
+// Every method may return a promise. The in-memory store only counts
+// requests that reach this process; use a shared store (e.g. Redis) when
+// running more than one instance.
+
+// Keeps entries in a Map. Expired entries are dropped when read and swept
+// out periodically so keys that are never read again do not pile up.
+export const createMemoryStore = ({ sweepIntervalMs = 60 * 1000 } = {}) => {
+  const entries = new Map();
+
+  const find = (key, now = Date.now()) => {
+    const entry = entries.get(key);
+    if (entry && entry.expiresAt <= now) {
+      entries.delete(key);
+      return undefined;
+    }
+    return entry;
+  };
+
+  const sweep = setInterval(() => {
+    const now = Date.now();
+    for (const [key, entry] of entries) {
+      if (entry.expiresAt <= now) entries.delete(key);
+    }
+  }, sweepIntervalMs);
+  // The sweep alone should not keep the process running
+  sweep.unref();
+
+  return {
+    async increment(key, windowMs) {
+      const now = Date.now();
+      const entry = find(key, now);
+      if (entry) {
+        entry.value += 1;
+        return { count: entry.value, resetAt: entry.expiresAt };
+      }
+      const expiresAt = now + windowMs;
+      entries.set(key, { value: 1, expiresAt });
+      return { count: 1, resetAt: expiresAt };
+    },
+    async get(key) {
+      return find(key)?.value;
+    },
+    async set(key, value, ttlMs) {
+      entries.set(key, { value, expiresAt: Date.now() + ttlMs });
+    },
+    async delete(key) {
+      entries.delete(key);
+    },
+  };
+};
+
+let store = null;
+
+// Swap in another store, e.g. one backed by Redis
+export const setRateLimitStore = (nextStore) => {
+  store = nextStore;
+};
+
+export const getRateLimitStore = () => {
+  if (!store) store = createMemoryStore();
+  return store;
+};
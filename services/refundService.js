@@ -0,0 +1,214 @@
+import {
+  OrderError,
+  releaseInventory,
+  saveOrder,
+  transitionOrder,
+} from "./orderService.js";
+import { releaseCoupon } from "./couponService.js";
+import { recordMovements } from "./inventoryService.js";
+import { PaymentError, refundPayment } from "./paymentService.js";
+import { roundCurrency } from "../utils/currency.js";
+
+// Customers may only cancel before the order is picked up; staff may cancel
+// whenever the status state machine allows it
+const CUSTOMER_CANCELLABLE = ["pending"];
+
+// Payment states that mean money was actually taken
+const PAID_STATUSES = ["completed", "partially_refunded"];
+
+const remainingQuantity = (item) =>
+  item.quantity - (item.refundedQuantity || 0);
+
+// Resolve requested refund lines against the order. No lines means
+// everything that has not been refunded yet.
+const resolveLines = (order, lines) => {
+  if (!lines || lines.length === 0) {
+    return order.items
+      .filter((item) => remainingQuantity(item) > 0)
+      .map((item) => ({ item, quantity: remainingQuantity(item) }));
+  }
+
+  const requested = new Map();
+  for (const line of lines) {
+    const item = line.item && order.items.id(line.item);
+    if (!item) {
+      throw new OrderError(`Order item ${line.item} not found`);
+    }
+
+    const quantity =
+      line.quantity === undefined
+        ? remainingQuantity(item)
+        : Number(line.quantity);
+    if (!Number.isInteger(quantity) || quantity <= 0) {
+      throw new OrderError("Refund quantity must be a positive integer");
+    }
+
+    const id = item._id.toString();
+    const entry = requested.get(id) || { item, quantity: 0 };
+    entry.quantity += quantity;
+
+    if (entry.quantity > remainingQuantity(item)) {
+      throw new OrderError(
+        `Cannot refund more than ${remainingQuantity(item)} of ${item.name}`
+      );
+    }
+    requested.set(id, entry);
+  }
+
+  return [...requested.values()];
+};
+
+// Tax charged per unit of a line. Orders priced before per-line tax was
+// stored fall back to their share of the order's tax.
+const unitTax = (order, item) =>
+  item.taxRate !== undefined
+    ? item.tax / item.quantity
+    : order.subtotal
+    ? (item.price * order.tax) / order.subtotal
+    : 0;
+
+// What the customer actually paid per unit of a line, after discounts
+const unitPrice = (order, item) =>
+  item.price - (item.discount || 0) / item.quantity + unitTax(order, item);
+
+// Record a refund on the order document. Lines are refunded at their
+// discounted price plus their tax; the refund that clears the order also returns shipping and
+// any rounding remainder.
+const recordRefund = (order, lines, { reason, actor }) => {
+  let amount = 0;
+
+  const items = lines.map(({ item, quantity }) => {
+    item.refundedQuantity = (item.refundedQuantity || 0) + quantity;
+    const lineAmount = roundCurrency(unitPrice(order, item) * quantity);
+    amount += lineAmount;
+
+    return {
+      item: item._id,
+      product: item.product,
+      variant: item.variant,
+      quantity,
+      amount: lineAmount,
+    };
+  });
+
+  const fullyRefunded = order.items.every(
+    (item) => remainingQuantity(item) === 0
+  );
+  if (fullyRefunded) {
+    amount = order.total - (order.refundedAmount || 0);
+  }
+  amount = roundCurrency(amount);
+
+  order.refunds.push({ items, amount, reason, refundedBy: actor });
+  order.refundedAmount = roundCurrency((order.refundedAmount || 0) + amount);
+
+  return order.refunds[order.refunds.length - 1];
+};
+
+// Put quantities of products back on the shelf and record why in the ledger
+const restock = async (order, lines, { reason, actor }) => {
+  const released = await releaseInventory(
+    lines.map(({ product, variant, quantity }) => ({
+      product,
+      variant,
+      quantity,
+    }))
+  );
+
+  try {
+    // Lines whose product has since been deleted have nothing to record
+    await recordMovements(
+      released
+        .filter((line) => line.balance !== null)
+        .map((line) => ({ ...line, reason, order: order._id, actor }))
+    );
+  } catch (error) {
+    console.error("Record inventory movements error:", error);
+  }
+};
+
+// Send a recorded refund to the payment provider when money was taken. The
+// order's payment status follows from the provider's refund webhook.
+const refundToCustomer = async (order, refund) => {
+  if (
+    !refund.amount ||
+    !order.paymentDetails?.intentId ||
+    !PAID_STATUSES.includes(order.paymentDetails.status)
+  ) {
+    return;
+  }
+
+  try {
+    await refundPayment(order, refund.amount);
+  } catch (error) {
+    if (error instanceof PaymentError) {
+      throw new OrderError(
+        `Refund recorded, but the payment provider refund failed: ${error.message}`,
+        502
+      );
+    }
+    throw error;
+  }
+};
+
+// Cancel an order, restocking everything not yet refunded and giving back
+// its coupon redemption. Only an order whose payment was taken records a
+// refund; there is no money to return for a pending or failed payment.
+export const cancelOrder = async (
+  order,
+  { actor, reason, isStaff = false }
+) => {
+  if (!isStaff && !CUSTOMER_CANCELLABLE.includes(order.status)) {
+    throw new OrderError(
+      `Order cannot be cancelled while ${order.status}`,
+      409
+    );
+  }
+
+  transitionOrder(order, "cancelled", { actor, note: reason });
+  order.cancelledAt = new Date();
+  order.cancellationReason = reason;
+
+  const lines = resolveLines(order);
+  const returned = lines.map(({ item, quantity }) => ({
+    product: item.product,
+    variant: item.variant,
+    quantity,
+  }));
+  const paid = PAID_STATUSES.includes(order.paymentDetails?.status);
+  const refund =
+    paid && lines.length ? recordRefund(order, lines, { reason, actor }) : null;
+
+  const savedOrder = await saveOrder(order);
+  if (returned.length) {
+    await restock(order, returned, { reason: "cancellation", actor });
+  }
+  if (order.coupon?.coupon) await releaseCoupon(order.coupon.coupon, order._id);
+  if (refund) await refundToCustomer(order, refund);
+
+  return savedOrder;
+};
+
+// Refund some or all lines of an order (admin only)
+export const refundOrder = async (
+  order,
+  { actor, items, reason, restock: shouldRestock = true }
+) => {
+  if (order.status === "cancelled") {
+    throw new OrderError("Order is already cancelled", 409);
+  }
+
+  const lines = resolveLines(order, items);
+  if (lines.length === 0) {
+    throw new OrderError("Order has already been fully refunded", 409);
+  }
+
+  const refund = recordRefund(order, lines, { reason, actor });
+  const savedOrder = await saveOrder(order);
+  if (shouldRestock) {
+    await restock(order, refund.items, { reason: "return", actor });
+  }
+  await refundToCustomer(order, refund);
+
+  return savedOrder;
+};
@@ -0,0 +1,326 @@
+import mongoose from "mongoose";
+import Product, { searchTermsFor } from "../models/Product.js";
+import Category from "../models/Category.js";
+import { getDescendantIds } from "./categoryService.js";
+
+// Price facet bucket boundaries; the last bucket is open-ended
+export const PRICE_BOUNDARIES = [0, 25, 50, 100, 250, 500, 1000];
+
+// Rating facet bands, counted as "this many stars and up"
+const RATING_BANDS = [4, 3, 2, 1];
+
+const SORTS = {
+  price_asc: { price: 1, _id: 1 },
+  price_desc: { price: -1, _id: 1 },
+  newest: { createdAt: -1, _id: 1 },
+  rating: { "rating.average": -1, _id: 1 },
+};
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+const splitList = (value, separator = ",") =>
+  typeof value === "string"
+    ? value
+        .split(separator)
+        .map((item) => item.trim())
+        .filter(Boolean)
+    : [];
+
+// Price ranges like "25-50" or "1000-" (no upper bound)
+const parsePriceRange = (range) => {
+  const [min, max] = range.split("-");
+  const bounds = {};
+  if (min !== "" && !isNaN(min)) bounds.$gte = Number(min);
+  if (max !== undefined && max !== "" && !isNaN(max)) bounds.$lt = Number(max);
+  return Object.keys(bounds).length ? { price: bounds } : null;
+};
+
+// Build one match clause per filter, so each facet can be counted with
+// every filter except its own. Multi-select values within a filter are ORed;
+// different filters are ANDed. Expects the query as cleaned by
+// validateProductSearch (numbers and booleans already parsed). Returns
+// { error } for a bad list value.
+const buildFilters = async (query) => {
+  const filters = {};
+
+  const categoryIds = splitList(query.category);
+  if (categoryIds.length) {
+    if (!categoryIds.every((id) => mongoose.Types.ObjectId.isValid(id))) {
+      return { error: "Invalid category ID" };
+    }
+    const ids = (await Promise.all(categoryIds.map(getDescendantIds))).flat();
+    filters.category = { category: { $in: ids } };
+  }
+
+  const priceRanges = splitList(query.price).map(parsePriceRange);
+  if (priceRanges.some((range) => !range)) {
+    return { error: "Price ranges must look like 25-50 or 1000-" };
+  }
+  if (priceRanges.length === 1) filters.price = priceRanges[0];
+  else if (priceRanges.length) filters.price = { $or: priceRanges };
+
+  // A min/max price narrows every bucket rather than adding one
+  if (query.minPrice !== undefined || query.maxPrice !== undefined) {
+    const bounds = {};
+    if (query.minPrice !== undefined) bounds.$gte = query.minPrice;
+    if (query.maxPrice !== undefined) bounds.$lte = query.maxPrice;
+    filters.priceBounds = { price: bounds };
+  }
+
+  if (query.minRating !== undefined) {
+    filters.rating = { "rating.average": { $gte: query.minRating } };
+  }
+
+  if (query.inStock === true) filters.stock = { inventory: { $gt: 0 } };
+  if (query.inStock === false) filters.stock = { inventory: { $lte: 0 } };
+
+  // Specification values, e.g. ?specs=Color:Red|Blue,Material:Cotton
+  filters.specs = {};
+  for (const pair of splitList(query.specs)) {
+    const [key, values] = pair.split(":");
+    if (!key || !values || !/^[\w -]+$/.test(key)) {
+      return { error: "Specification filters must look like Key:Value|Value" };
+    }
+    filters.specs[key.trim()] = {
+      [`specifications.${key.trim()}`]: { $in: splitList(values, "|") },
+    };
+  }
+
+  return { filters };
+};
+
+// All filter clauses, optionally leaving one filter (or one spec key) out
+const matchExcept = (filters, { except, exceptSpec } = {}) => {
+  const clauses = [];
+  for (const [name, clause] of Object.entries(filters)) {
+    if (name === "specs") {
+      for (const [key, specClause] of Object.entries(clause)) {
+        if (key !== exceptSpec) clauses.push(specClause);
+      }
+    } else if (name !== except) {
+      clauses.push(clause);
+    }
+  }
+  return { $match: clauses.length ? { $and: clauses } : {} };
+};
+
+const specFacet = (match, key) => [
+  match,
+  { $project: { specs: { $objectToArray: "$specifications" } } },
+  { $unwind: "$specs" },
+  ...(key ? [{ $match: { "specs.k": key } }] : []),
+  {
+    $group: { _id: { key: "$specs.k", value: "$specs.v" }, count: { $sum: 1 } },
+  },
+];
+
+// Search published products, returning a page of results and facet counts
+// for categories, price buckets, rating bands, stock and specifications.
+// Each facet is counted with every other filter applied, so the counts show
+// what selecting another value would give.
+export const searchProducts = async (query) => {
+  const { filters, error } = await buildFilters(query);
+  if (error) return { error };
+
+  const { page = 1, limit = 12 } = query;
+  const text = query.q || "";
+
+  // $text has to be in the first stage of the pipeline
+  const pipeline = [
+    {
+      $match: text
+        ? { isPublished: true, $text: { $search: text } }
+        : { isPublished: true },
+    },
+  ];
+  if (text) pipeline.push({ $addFields: { score: { $meta: "textScore" } } });
+
+  const sort =
+    SORTS[query.sort] || (text ? { score: -1, _id: 1 } : SORTS.newest);
+
+  const selectedSpecKeys = Object.keys(filters.specs);
+  const facets = {
+    products: [
+      matchExcept(filters),
+      { $sort: sort },
+      { $skip: (page - 1) * limit },
+      { $limit: limit },
+      // Aggregates skip the model's select and toJSON rules, so internal
+      // fields and the sort score are dropped here
+      { $project: { searchTerms: 0, __v: 0, score: 0 } },
+    ],
+    total: [matchExcept(filters), { $count: "count" }],
+    categories: [
+      matchExcept(filters, { except: "category" }),
+      { $group: { _id: "$category", count: { $sum: 1 } } },
+      { $sort: { count: -1 } },
+    ],
+    price: [
+      matchExcept(filters, { except: "price" }),
+      {
+        $bucket: {
+          groupBy: "$price",
+          boundaries: PRICE_BOUNDARIES,
+          default: "other",
+          output: { count: { $sum: 1 } },
+        },
+      },
+    ],
+    rating: [
+      matchExcept(filters, { except: "rating" }),
+      {
+        $group: {
+          _id: null,
+          ...Object.fromEntries(
+            RATING_BANDS.map((band) => [
+              `band${band}`,
+              {
+                $sum: {
+                  $cond: [{ $gte: ["$rating.average", band] }, 1, 0],
+                },
+              },
+            ])
+          ),
+        },
+      },
+    ],
+    stock: [
+      matchExcept(filters, { except: "stock" }),
+      {
+        $group: {
+          _id: { $gt: ["$inventory", 0] },
+          count: { $sum: 1 },
+        },
+      },
+    ],
+    specifications: specFacet(matchExcept(filters)),
+  };
+  // Selected spec keys count their own values without their own filter
+  selectedSpecKeys.forEach((key, index) => {
+    facets[`spec${index}`] = specFacet(
+      matchExcept(filters, { exceptSpec: key }),
+      key
+    );
+  });
+
+  pipeline.push({ $facet: facets });
+  const [result] = await Product.aggregate(pipeline);
+
+  await Product.populate(result.products, {
+    path: "category",
+    select: "name slug",
+  });
+
+  const categories = await Category.find(
+    { _id: { $in: result.categories.map((entry) => entry._id) } },
+    "name slug"
+  );
+  const categoryById = new Map(
+    categories.map((category) => [category._id.toString(), category])
+  );
+
+  // Spec counts grouped by key; selected keys use their own facet
+  const specCounts = result.specifications.filter(
+    (entry) => !selectedSpecKeys.includes(entry._id.key)
+  );
+  selectedSpecKeys.forEach((key, index) => {
+    specCounts.push(...result[`spec${index}`]);
+  });
+  const specifications = {};
+  for (const { _id, count } of specCounts) {
+    (specifications[_id.key] ||= []).push({ value: _id.value, count });
+  }
+  for (const values of Object.values(specifications)) {
+    values.sort((a, b) => b.count - a.count || a.value.localeCompare(b.value));
+  }
+
+  const total = result.total[0]?.count || 0;
+  const ratingCounts = result.rating[0] || {};
+  const stockCount = (inStock) =>
+    result.stock.find((entry) => entry._id === inStock)?.count || 0;
+
+  return {
+    products: result.products,
+    pagination: {
+      total,
+      page,
+      pages: Math.ceil(total / limit),
+    },
+    facets: {
+      categories: result.categories
+        .filter((entry) => categoryById.has(entry._id?.toString()))
+        .map((entry) => {
+          const category = categoryById.get(entry._id.toString());
+          return {
+            _id: category._id,
+            name: category.name,
+            slug: category.slug,
+            count: entry.count,
+          };
+        }),
+      price: result.price.map((bucket) => {
+        const index = PRICE_BOUNDARIES.indexOf(bucket._id);
+        return bucket._id === "other"
+          ? {
+              min: PRICE_BOUNDARIES[PRICE_BOUNDARIES.length - 1],
+              count: bucket.count,
+            }
+          : {
+              min: bucket._id,
+              max: PRICE_BOUNDARIES[index + 1],
+              count: bucket.count,
+            };
+      }),
+      rating: RATING_BANDS.map((band) => ({
+        minRating: band,
+        count: ratingCounts[`band${band}`] || 0,
+      })),
+      stock: [
+        { inStock: true, count: stockCount(true) },
+        { inStock: false, count: stockCount(false) },
+      ],
+      specifications,
+    },
+  };
+};
+
+// Published products whose name (or a word in it) or SKU starts with the
+// given text, for search-as-you-type. The lowercased prefix is matched with
+// an anchored, case-sensitive regex so the searchTerms index is used.
+export const autocompleteProducts = async (prefix, limit) => {
+  const text = prefix.trim().toLowerCase().split(/\s+/).join(" ");
+
+  const products = await Product.find({
+    isPublished: true,
+    searchTerms: { $regex: `^${escapeRegex(text)}` },
+  })
+    .select("name sku images price")
+    .sort({ "rating.count": -1, name: 1 })
+    .limit(limit)
+    .lean();
+
+  return products.map((product) => ({
+    _id: product._id,
+    name: product.name,
+    sku: product.sku,
+    price: product.price,
+    image: product.images?.[0],
+  }));
+};
+
+// Fill in searchTerms for products saved before autocomplete used them
+export const backfillSearchTerms = async () => {
+  const products = await Product.find({ searchTerms: { $exists: false } })
+    .select("name sku")
+    .lean();
+  if (!products.length) return;
+
+  await Product.bulkWrite(
+    products.map((product) => ({
+      updateOne: {
+        filter: { _id: product._id },
+        update: { $set: { searchTerms: searchTermsFor(product) } },
+      },
+    }))
+  );
+};
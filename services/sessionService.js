@@ -0,0 +1,120 @@
+import crypto from "crypto";
+import jwt from "jsonwebtoken";
+import Session from "../models/Session.js";
+import User from "../models/User.js";
+import { AppError } from "../utils/errors.js";
+import { getConfig } from "../utils/config.js";
+
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || "15m";
+const REFRESH_TOKEN_TTL_DAYS = Number(process.env.REFRESH_TOKEN_TTL_DAYS) || 30;
+
+// Error for rejected refresh tokens
+export class AuthError extends AppError {
+  constructor(message, status = 401) {
+    super(message, status);
+  }
+}
+
+export const getJwtSecret = () => getConfig().jwtSecret;
+
+const generateRefreshToken = () => crypto.randomBytes(48).toString("hex");
+
+const hashToken = (token) =>
+  crypto.createHash("sha256").update(token).digest("hex");
+
+const refreshExpiry = () =>
+  new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000);
+
+// Short-lived access token tied to a session
+const signAccessToken = (user, session) =>
+  jwt.sign(
+    { id: user._id, role: user.role, sid: session._id },
+    getJwtSecret(),
+    {
+      expiresIn: ACCESS_TOKEN_TTL,
+    }
+  );
+
+const issueTokens = (user, session, refreshToken) => ({
+  token: signAccessToken(user, session),
+  refreshToken,
+  expiresIn: ACCESS_TOKEN_TTL,
+});
+
+// Start a new session for a user and issue its first token pair
+export const createSession = async (user, { ip, userAgent } = {}) => {
+  const refreshToken = generateRefreshToken();
+  const session = await Session.create({
+    user: user._id,
+    tokenHash: hashToken(refreshToken),
+    expiresAt: refreshExpiry(),
+    lastUsedAt: new Date(),
+    ip,
+    userAgent,
+  });
+
+  return issueTokens(user, session, refreshToken);
+};
+
+export const revokeSession = (sessionId, reason) =>
+  Session.updateOne(
+    { _id: sessionId, revokedAt: null },
+    { $set: { revokedAt: new Date(), revokedReason: reason } }
+  );
+
+export const revokeUserSessions = (userId, reason) =>
+  Session.updateMany(
+    { user: userId, revokedAt: null },
+    { $set: { revokedAt: new Date(), revokedReason: reason } }
+  );
+
+// Revoke the session a refresh token belongs to, if it is still current
+export const revokeRefreshToken = (refreshToken, reason) =>
+  Session.updateOne(
+    { tokenHash: hashToken(refreshToken), revokedAt: null },
+    { $set: { revokedAt: new Date(), revokedReason: reason } }
+  );
+
+// Swap a refresh token for a new pair. The swap is a single conditional
+// update, so a token can only be rotated once; presenting an already rotated
+// token means it leaked, and the whole session is revoked.
+export const rotateSession = async (refreshToken) => {
+  const tokenHash = hashToken(refreshToken);
+  const nextToken = generateRefreshToken();
+
+  const session = await Session.findOneAndUpdate(
+    { tokenHash, revokedAt: null, expiresAt: { $gt: new Date() } },
+    {
+      $set: { tokenHash: hashToken(nextToken), lastUsedAt: new Date() },
+      $push: { usedTokenHashes: tokenHash },
+    },
+    { new: true }
+  );
+
+  if (!session) {
+    const reusedSession = await Session.findOne({ usedTokenHashes: tokenHash });
+    if (reusedSession) {
+      await revokeSession(reusedSession._id, "reuse_detected");
+      throw new AuthError("Refresh token reuse detected. Please log in again");
+    }
+    throw new AuthError("Invalid or expired refresh token");
+  }
+
+  const user = await User.findById(session.user);
+  if (!user) {
+    await revokeSession(session._id, "user_deleted");
+    throw new AuthError("Invalid or expired refresh token");
+  }
+
+  return issueTokens(user, session, nextToken);
+};
+
+// Whether an access token's session is still live
+export const isSessionActive = async (sessionId) =>
+  Boolean(
+    await Session.exists({
+      _id: sessionId,
+      revokedAt: null,
+      expiresAt: { $gt: new Date() },
+    })
+  );
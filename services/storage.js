@@ -0,0 +1,51 @@
+import fs from "fs/promises";
+import path from "path";
+
+// A storage adapter is any object with
+//   async save(key, buffer, { contentType }) -> public URL of the file
+//   async remove(key)
+// Keys are relative paths such as "products/<id>/<name>.webp".
+
+export const LOCAL_UPLOAD_DIR = path.resolve(
+  process.env.UPLOAD_DIR || "uploads"
+);
+export const LOCAL_UPLOAD_URL = "/uploads";
+
+// Keep files on the local disk, served by express.static at baseUrl
+export const createLocalStorage = ({
+  directory = LOCAL_UPLOAD_DIR,
+  baseUrl = LOCAL_UPLOAD_URL,
+} = {}) => {
+  const resolveKey = (key) => {
+    const filePath = path.resolve(directory, key);
+    if (!filePath.startsWith(directory + path.sep)) {
+      throw new Error(`Invalid storage key: ${key}`);
+    }
+    return filePath;
+  };
+
+  return {
+    directory,
+    async save(key, buffer) {
+      const filePath = resolveKey(key);
+      await fs.mkdir(path.dirname(filePath), { recursive: true });
+      await fs.writeFile(filePath, buffer);
+      return `${baseUrl}/${key}`;
+    },
+    async remove(key) {
+      await fs.rm(resolveKey(key), { force: true });
+    },
+  };
+};
+
+let storage = null;
+
+// Swap in another adapter, e.g. one backed by S3
+export const setStorage = (nextStorage) => {
+  storage = nextStorage;
+};
+
+export const getStorage = () => {
+  if (!storage) storage = createLocalStorage();
+  return storage;
+};
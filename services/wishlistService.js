@@ -0,0 +1,217 @@
+import crypto from "crypto";
+import mongoose from "mongoose";
+import Wishlist from "../models/Wishlist.js";
+import Product from "../models/Product.js";
+import { addItem, CartError, findCart } from "./cartService.js";
+import { AppError } from "../utils/errors.js";
+
+export const MAX_WISHLISTS = 20;
+export const MAX_WISHLIST_ITEMS = 200;
+
+// Error for wishlist problems the client can fix (unknown list or product)
+export class WishlistError extends AppError {
+  constructor(message, status = 400) {
+    super(message, status);
+  }
+}
+
+const generateShareToken = () => crypto.randomBytes(16).toString("hex");
+
+// Find one of the user's lists, or their default list (created if missing)
+export const findWishlist = async (user, listId) => {
+  if (listId) {
+    if (!mongoose.Types.ObjectId.isValid(listId)) {
+      throw new WishlistError("Invalid wishlist ID");
+    }
+    const wishlist = await Wishlist.findOne({ _id: listId, user });
+    if (!wishlist) throw new WishlistError("Wishlist not found", 404);
+    return wishlist;
+  }
+
+  return Wishlist.findOneAndUpdate(
+    { user, isDefault: true },
+    { $setOnInsert: { user, isDefault: true, name: "Wishlist" } },
+    { upsert: true, new: true }
+  );
+};
+
+// Create an extra named list
+export const createWishlist = async (user, { name, isPublic = false }) => {
+  if ((await Wishlist.countDocuments({ user })) >= MAX_WISHLISTS) {
+    throw new WishlistError(`You can have at most ${MAX_WISHLISTS} wishlists`);
+  }
+
+  return Wishlist.create({
+    user,
+    name,
+    isPublic,
+    shareToken: isPublic ? generateShareToken() : undefined,
+  });
+};
+
+// Rename a list or change its visibility. Making a list private drops its
+// share token, so old links stop working.
+export const updateWishlist = (wishlist, { name, isPublic }) => {
+  if (name !== undefined) wishlist.name = name;
+  if (isPublic !== undefined) {
+    wishlist.isPublic = isPublic;
+    if (isPublic && !wishlist.shareToken) {
+      wishlist.shareToken = generateShareToken();
+    } else if (!isPublic) {
+      wishlist.shareToken = undefined;
+    }
+  }
+  return wishlist;
+};
+
+const findLine = (wishlist, productId, variantId) =>
+  wishlist.items.find(
+    (item) =>
+      item.product.toString() === productId.toString() &&
+      (item.variant?.toString() || null) === (variantId?.toString() || null)
+  );
+
+// Save a product (or one of its variants) to a list; saving it twice is a
+// no-op
+export const addWishlistItem = async (wishlist, productId, variantId) => {
+  if (
+    !mongoose.Types.ObjectId.isValid(productId) ||
+    (variantId && !mongoose.Types.ObjectId.isValid(variantId))
+  ) {
+    throw new WishlistError("Invalid product ID");
+  }
+  if (findLine(wishlist, productId, variantId)) return wishlist;
+
+  if (wishlist.items.length >= MAX_WISHLIST_ITEMS) {
+    throw new WishlistError(
+      `A wishlist can hold at most ${MAX_WISHLIST_ITEMS} items`
+    );
+  }
+
+  const product = await Product.findById(productId);
+  if (!product || !product.isPublished) {
+    throw new WishlistError("Product not found", 404);
+  }
+  if (variantId && !product.getVariant(variantId)) {
+    throw new WishlistError("Variant not found", 404);
+  }
+
+  wishlist.items.push({ product: product._id, variant: variantId });
+  return wishlist;
+};
+
+export const removeWishlistItem = (wishlist, productId, variantId) => {
+  const line = findLine(wishlist, productId, variantId);
+  if (line) wishlist.items.pull(line._id);
+  return wishlist;
+};
+
+// List contents with live price and stock. Lines whose product has been
+// deleted are dropped from the list.
+export const serializeWishlist = async (wishlist, { isOwner = true } = {}) => {
+  await wishlist.populate(
+    "items.product",
+    "name sku price comparePrice images inventory variants isPublished"
+  );
+
+  const missing = wishlist.items.filter((item) => !item.product);
+  if (missing.length) {
+    missing.forEach((item) => wishlist.items.pull(item._id));
+    await wishlist.save();
+  }
+
+  const items = wishlist.items
+    .filter((item) => isOwner || item.product.isPublished)
+    .map((item) => {
+      const product = item.product;
+      const variant = item.variant ? product.getVariant(item.variant) : null;
+      const inventory = item.variant
+        ? variant?.inventory || 0
+        : product.inventory;
+
+      return {
+        product: product._id,
+        variant: item.variant,
+        sku: variant ? variant.sku : product.sku,
+        variantOptions: variant?.options,
+        name: product.name,
+        image: variant?.images?.[0] || product.images?.[0],
+        price: product.priceOf(variant),
+        comparePrice: product.comparePrice,
+        inventory,
+        inStock: inventory > 0,
+        isAvailable: product.isPublished && (!item.variant || Boolean(variant)),
+        // A variant must be chosen before products with variants can be bought
+        needsVariant: !item.variant && product.variants.length > 0,
+        addedAt: item.addedAt,
+      };
+    });
+
+  return {
+    _id: wishlist._id,
+    name: wishlist.name,
+    isDefault: isOwner ? wishlist.isDefault : undefined,
+    isPublic: isOwner ? wishlist.isPublic : undefined,
+    shareToken: isOwner ? wishlist.shareToken : undefined,
+    items,
+    itemCount: items.length,
+    updatedAt: wishlist.updatedAt,
+  };
+};
+
+// Lines ready for an order or cart payload: one of each item that can be
+// bought right now
+export const getOrderItems = async (wishlist) => {
+  const { items } = await serializeWishlist(wishlist);
+  return items
+    .filter((item) => item.isAvailable && item.inStock && !item.needsVariant)
+    .map((item) => ({
+      product: item.product,
+      variant: item.variant,
+      quantity: 1,
+    }));
+};
+
+// Add list items (all, or the given product IDs) to the user's cart, one of
+// each. Items that cannot be added are reported and stay on the list; moved
+// items are removed from it unless keep is set.
+export const moveToCart = async (
+  wishlist,
+  user,
+  { products, keep = false }
+) => {
+  const cart = await findCart({ user }, { create: true });
+  const selected = products?.length
+    ? wishlist.items.filter((item) =>
+        products.includes(item.product.toString())
+      )
+    : [...wishlist.items];
+
+  const moved = [];
+  const failed = [];
+  for (const item of selected) {
+    try {
+      await addItem(cart, item.product, 1, item.variant);
+      moved.push(item);
+    } catch (error) {
+      if (!(error instanceof CartError)) throw error;
+      failed.push({
+        product: item.product,
+        variant: item.variant,
+        message: error.message,
+      });
+    }
+  }
+
+  await cart.save();
+  if (!keep && moved.length) {
+    moved.forEach((item) => wishlist.items.pull(item._id));
+    await wishlist.save();
+  }
+
+  return {
+    moved: moved.map(({ product, variant }) => ({ product, variant })),
+    failed,
+    cart,
+  };
+};
@@ -0,0 +1,73 @@
+import { after, beforeEach, describe, test } from "node:test";
+import assert from "node:assert/strict";
+import mongoose from "mongoose";
+import Order from "../models/Order.js";
+import { countPeriods, getSalesReport } from "../services/analyticsService.js";
+import { clearDatabase, startDatabase } from "./helpers/database.js";
+
+const database = await startDatabase();
+
+describe("countPeriods", () => {
+  const from = new Date("2026-01-01T12:00:00Z");
+
+  test("counts partial periods at either end", () => {
+    const to = new Date("2026-01-31T01:00:00Z");
+
+    assert.equal(countPeriods({ from, to, interval: "day" }), 31);
+    assert.equal(countPeriods({ from, to, interval: "week" }), 5);
+    assert.equal(countPeriods({ from, to, interval: "month" }), 1);
+  });
+
+  test("counts a year of days as at most 366", () => {
+    const to = new Date("2026-12-31T23:59:59Z");
+
+    assert.equal(countPeriods({ from, to, interval: "day" }), 365);
+    assert.equal(
+      countPeriods({ from, to: new Date("2027-01-02"), interval: "day" }),
+      367
+    );
+    assert.equal(countPeriods({ from, to, interval: "month" }), 12);
+  });
+});
+
+describe("getSalesReport", { skip: database.skip }, () => {
+  after(() => database.stop?.());
+
+  beforeEach(clearDatabase);
+
+  const createOrder = (paymentStatus, { total = 100, status } = {}) =>
+    Order.create({
+      user: new mongoose.Types.ObjectId(),
+      items: [
+        {
+          product: new mongoose.Types.ObjectId(),
+          name: "Lamp",
+          price: total,
+          quantity: 1,
+        },
+      ],
+      paymentMethod: "credit_card",
+      paymentDetails: { status: paymentStatus },
+      subtotal: total,
+      tax: 0,
+      shipping: 0,
+      total,
+      status,
+    });
+
+  test("counts only orders whose payment was taken", async () => {
+    await createOrder("completed", { total: 100 });
+    await createOrder("pending", { total: 200 });
+    await createOrder("failed", { total: 300 });
+    await createOrder("completed", { total: 400, status: "cancelled" });
+
+    const report = await getSalesReport({
+      from: new Date(Date.now() - 24 * 60 * 60 * 1000),
+      to: new Date(),
+      interval: "day",
+    });
+
+    assert.equal(report.totals.orders, 1);
+    assert.equal(report.totals.revenue, 100);
+  });
+});
@@ -0,0 +1,37 @@
+import { describe, test } from "node:test";
+import assert from "node:assert/strict";
+import { apiRoutes } from "../routes/api.js";
+import {
+  buildOpenApiDocument,
+  findUndocumentedRoutes,
+  listRoutes,
+} from "../services/apiDocsService.js";
+import { OPERATIONS } from "../services/apiOperations.js";
+
+describe("API docs", () => {
+  test("document every route", () => {
+    assert.deepEqual(findUndocumentedRoutes(apiRoutes), []);
+  });
+
+  test("only document routes that exist", () => {
+    const routes = new Set(
+      listRoutes(apiRoutes).map(
+        ({ method, path }) => `${method.toUpperCase()} ${path}`
+      )
+    );
+    const stale = Object.values(OPERATIONS)
+      .flatMap((operations) => Object.keys(operations))
+      .filter((key) => !routes.has(key));
+
+    assert.deepEqual(stale, []);
+  });
+
+  test("build an OpenAPI document with a path for every route", () => {
+    const document = buildOpenApiDocument(apiRoutes);
+
+    assert.equal(document.openapi, "3.1.0");
+    for (const { method, path } of listRoutes(apiRoutes)) {
+      assert.ok(document.paths[path]?.[method], `${method} ${path}`);
+    }
+  });
+});
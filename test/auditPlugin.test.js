@@ -0,0 +1,82 @@
+import { after, beforeEach, describe, test } from "node:test";
+import assert from "node:assert/strict";
+import AuditLog from "../models/AuditLog.js";
+import User from "../models/User.js";
+import { getRequestContext, requestContext } from "../utils/requestContext.js";
+import { clearDatabase, startDatabase } from "./helpers/database.js";
+
+const database = await startDatabase();
+
+// Run work as part of a staff request, whose changes are audited
+const inAuditedRequest = (work) =>
+  new Promise((resolve, reject) => {
+    const req = { get: () => undefined, headers: {}, ip: "127.0.0.1" };
+    requestContext(req, { set: () => {} }, () => {
+      getRequestContext().audit = true;
+      work().then(resolve, reject);
+    });
+  });
+
+describe("audit plugin", { skip: database.skip }, () => {
+  after(() => database.stop?.());
+
+  beforeEach(async () => {
+    await clearDatabase();
+    await User.create([
+      {
+        name: "Ann",
+        email: "ann@example.com",
+        password: "secret123",
+        role: "support",
+      },
+      {
+        name: "Bob",
+        email: "bob@example.com",
+        password: "secret123",
+        role: "support",
+      },
+      {
+        name: "Cy",
+        email: "cy@example.com",
+        password: "secret123",
+        role: "user",
+      },
+    ]);
+  });
+
+  test("records each document changed by updateMany", async () => {
+    await inAuditedRequest(() =>
+      User.updateMany({ role: "support" }, { $set: { role: "helpdesk" } })
+    );
+
+    const entries = await AuditLog.find({ entity: "User" });
+    assert.equal(entries.length, 2);
+    for (const entry of entries) {
+      assert.equal(entry.action, "update");
+      assert.deepEqual(entry.before, { role: "support" });
+      assert.deepEqual(entry.after, { role: "helpdesk" });
+    }
+  });
+
+  test("records saves against the stored state", async () => {
+    await inAuditedRequest(async () => {
+      const user = await User.findOne({ email: "cy@example.com" });
+      user.name = "Cyrus";
+      await user.save();
+    });
+
+    const [entry] = await AuditLog.find({ entity: "User" });
+    assert.deepEqual(entry.before, { name: "Cy" });
+    assert.deepEqual(entry.after, { name: "Cyrus" });
+  });
+
+  test("does not snapshot documents that are only read", async () => {
+    const users = await inAuditedRequest(() => User.find());
+
+    assert.equal(users.length, 3);
+    for (const user of users) {
+      assert.equal(user.$locals.auditBefore, undefined);
+    }
+    assert.equal(await AuditLog.countDocuments(), 0);
+  });
+});
@@ -0,0 +1,149 @@
+import { afterEach, beforeEach, describe, mock, test } from "node:test";
+import assert from "node:assert/strict";
+import { ConfigError, loadConfig } from "../utils/config.js";
+
+const SECRET = "k3J9x2Qv7LmN4pR8sT1wY6zA0bC5dE3f";
+
+const production = {
+  NODE_ENV: "production",
+  MONGODB_URI: "mongodb://localhost/store",
+  JWT_SECRET: SECRET,
+  PAYMENT_WEBHOOK_SECRET: `${SECRET}-webhook`,
+  CORS_ORIGINS: "https://shop.example.com",
+};
+
+// The problems loadConfig reports for the given environment
+const problemsWith = (env) => {
+  try {
+    loadConfig(env);
+  } catch (error) {
+    assert.ok(error instanceof ConfigError, error);
+    return error.problems;
+  }
+  assert.fail("expected a ConfigError");
+};
+
+describe("loadConfig", () => {
+  beforeEach(() => {
+    mock.method(console, "warn", () => {});
+  });
+
+  afterEach(() => mock.restoreAll());
+
+  test("accepts a complete production environment", () => {
+    const config = loadConfig(production);
+
+    assert.equal(config.development, false);
+    assert.equal(config.jwtSecret, SECRET);
+    assert.deepEqual(config.corsOrigins, ["https://shop.example.com"]);
+    assert.equal(config.bodyLimit, "1mb");
+    assert.equal(config.trustProxy, 0);
+  });
+
+  test("requires secrets in production", () => {
+    const { JWT_SECRET, PAYMENT_WEBHOOK_SECRET, ...env } = production;
+
+    assert.deepEqual(problemsWith(env), [
+      "JWT_SECRET is required",
+      "PAYMENT_WEBHOOK_SECRET is required",
+    ]);
+  });
+
+  test("requires secrets when NODE_ENV is unset", () => {
+    const { NODE_ENV, JWT_SECRET, ...env } = production;
+
+    assert.deepEqual(problemsWith(env), ["JWT_SECRET is required"]);
+    assert.deepEqual(problemsWith({ ...env, NODE_ENV: "" }), [
+      "JWT_SECRET is required",
+    ]);
+  });
+
+  test("refuses short and placeholder secrets", () => {
+    assert.deepEqual(
+      problemsWith({
+        ...production,
+        JWT_SECRET: "too-short",
+        PAYMENT_WEBHOOK_SECRET: "dev-payment-webhook-secret",
+      }),
+      [
+        "JWT_SECRET must be a random value of at least 32 characters",
+        "PAYMENT_WEBHOOK_SECRET must be a random value of at least 32 characters",
+      ]
+    );
+  });
+
+  test("requires MONGODB_URI", () => {
+    const { MONGODB_URI, ...env } = production;
+
+    assert.deepEqual(problemsWith(env), ["MONGODB_URI is required"]);
+  });
+
+  test("refuses CORS origins that are not origins", () => {
+    assert.deepEqual(
+      problemsWith({
+        ...production,
+        CORS_ORIGINS: "https://shop.example.com, shop.example.com",
+      }),
+      [
+        'CORS_ORIGINS: "shop.example.com" is not an origin like https://shop.example.com',
+      ]
+    );
+    assert.equal(
+      problemsWith({
+        ...production,
+        CORS_ORIGINS: "https://shop.example.com/admin",
+      }).length,
+      1
+    );
+  });
+
+  test("allows the origin of APP_URL when CORS_ORIGINS is unset", () => {
+    const { CORS_ORIGINS, ...env } = production;
+    const config = loadConfig({
+      ...env,
+      APP_URL: "https://shop.example.com/app/",
+    });
+
+    assert.deepEqual(config.corsOrigins, ["https://shop.example.com"]);
+  });
+
+  test("refuses an APP_URL that is not a URL", () => {
+    const { CORS_ORIGINS, ...env } = production;
+
+    assert.deepEqual(problemsWith({ ...env, APP_URL: "shop.example.com" }), [
+      'APP_URL: "shop.example.com" is not a URL',
+    ]);
+  });
+
+  test("refuses a malformed BODY_LIMIT", () => {
+    assert.deepEqual(problemsWith({ ...production, BODY_LIMIT: "lots" }), [
+      "BODY_LIMIT must be a size like 100kb or 1mb",
+    ]);
+  });
+
+  test("refuses a TRUST_PROXY that is not a proxy count", () => {
+    for (const TRUST_PROXY of ["yes", "-1", "1.5"]) {
+      assert.deepEqual(problemsWith({ ...production, TRUST_PROXY }), [
+        "TRUST_PROXY must be the number of proxies, e.g. 1",
+      ]);
+    }
+  });
+
+  test("lists every problem at once", () => {
+    assert.equal(
+      problemsWith({ NODE_ENV: "production", BODY_LIMIT: "lots" }).length,
+      4
+    );
+  });
+
+  test("uses random secrets in development", () => {
+    for (const NODE_ENV of ["development", "test"]) {
+      const config = loadConfig({ NODE_ENV, MONGODB_URI: "mongodb://db" });
+
+      assert.equal(config.development, true);
+      assert.equal(config.jwtSecret.length, 64);
+      assert.notEqual(config.jwtSecret, config.paymentWebhookSecret);
+      assert.deepEqual(config.corsOrigins, ["http://localhost:3000"]);
+    }
+  });
+});
@@ -0,0 +1,43 @@
+import { describe, test } from "node:test";
+import assert from "node:assert/strict";
+import { parseCsv, toCsv } from "../utils/csv.js";
+
+describe("toCsv", () => {
+  test("quotes fields with commas, quotes and line breaks", () => {
+    assert.equal(
+      toCsv(["name", "note"], [{ name: 'Lamp, "big"', note: "a\nb" }]),
+      'name,note\r\n"Lamp, ""big""","a\nb"\r\n'
+    );
+  });
+
+  test("guards text that spreadsheets would run as a formula", () => {
+    const rows = [
+      { value: '=HYPERLINK("http://evil")' },
+      { value: "+1" },
+      { value: "-2" },
+      { value: "@SUM(A1)" },
+      { value: "\tcell" },
+      { value: -5 },
+    ];
+
+    const lines = toCsv(["value"], rows).split("\r\n");
+    assert.deepEqual(lines.slice(1, -1), [
+      '"\'=HYPERLINK(""http://evil"")"',
+      "'+1",
+      "'-2",
+      "'@SUM(A1)",
+      "'\tcell",
+      "-5",
+    ]);
+  });
+
+  test("reads guarded fields back as written", () => {
+    const rows = [{ value: "=1+1" }, { value: "'quoted" }, { value: "plain" }];
+
+    assert.deepEqual(parseCsv(toCsv(["value"], rows)), [
+      { value: "=1+1" },
+      { value: "'quoted" },
+      { value: "plain" },
+    ]);
+  });
+});
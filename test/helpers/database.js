@@ -0,0 +1,30 @@
+import mongoose from "mongoose";
+import { MongoMemoryServer } from "mongodb-memory-server";
+
+// Start an in-memory MongoDB and connect mongoose to it. Resolves to the
+// reason it could not start (e.g. the mongod binary cannot be downloaded)
+// instead of throwing, so suites can be skipped with that reason.
+export const startDatabase = async () => {
+  try {
+    const server = await MongoMemoryServer.create();
+    await mongoose.connect(server.getUri());
+    return {
+      server,
+      stop: async () => {
+        await mongoose.disconnect();
+        await server.stop();
+      },
+    };
+  } catch (error) {
+    return {
+      skip: `MongoDB is not available: ${error.message.split("\n")[0]}`,
+    };
+  }
+};
+
+export const clearDatabase = () =>
+  Promise.all(
+    Object.values(mongoose.connection.collections).map((collection) =>
+      collection.deleteMany({})
+    )
+  );
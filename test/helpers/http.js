@@ -0,0 +1,49 @@
+import { once } from "events";
+import express from "express";
+import { errorHandler, notFound } from "../../middleware/errorHandler.js";
+import { createSession } from "../../services/sessionService.js";
+import { requestContext } from "../../utils/requestContext.js";
+
+// Tests run in the test environment, where the config check fills in
+// random secrets
+process.env.NODE_ENV ??= "test";
+process.env.MONGODB_URI ??= "mongodb://127.0.0.1/test";
+
+// An app serving the given [mountPath, router] pairs the way index.js does
+export const createTestApp = (mounts) => {
+  const app = express();
+  app.use(requestContext);
+  app.use(express.json());
+  for (const [mountPath, router] of mounts) {
+    app.use(mountPath, router);
+  }
+  app.use(notFound);
+  app.use(errorHandler);
+  return app;
+};
+
+// Send one request to the app and resolve to { status, body }
+export const request = async (app, method, path, { token, body } = {}) => {
+  const server = app.listen(0);
+  await once(server, "listening");
+  try {
+    const response = await fetch(
+      `http://127.0.0.1:${server.address().port}${path}`,
+      {
+        method,
+        headers: {
+          ...(body && { "Content-Type": "application/json" }),
+          ...(token && { Authorization: `Bearer ${token}` }),
+        },
+        body: body && JSON.stringify(body),
+      }
+    );
+    const text = await response.text();
+    return { status: response.status, body: text ? JSON.parse(text) : null };
+  } finally {
+    server.close();
+  }
+};
+
+// An access token for the user
+export const signIn = async (user) => (await createSession(user)).token;
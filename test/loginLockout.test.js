@@ -0,0 +1,56 @@
+import { beforeEach, describe, test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  assertLoginAllowed,
+  clearLoginFailures,
+  recordLoginFailure,
+} from "../services/loginLockoutService.js";
+import {
+  createMemoryStore,
+  setRateLimitStore,
+} from "../services/rateLimitStore.js";
+import { TooManyRequestsError } from "../utils/errors.js";
+
+const email = "ann@example.com";
+
+describe("login lockout", () => {
+  beforeEach(() => {
+    setRateLimitStore(createMemoryStore());
+  });
+
+  test("allows sign-in below the failure threshold", async () => {
+    for (let attempt = 0; attempt < 4; attempt += 1) {
+      await recordLoginFailure(email);
+    }
+    await assertLoginAllowed(email);
+  });
+
+  test("locks the email after five failures", async () => {
+    for (let attempt = 0; attempt < 5; attempt += 1) {
+      await recordLoginFailure(email);
+    }
+    await assert.rejects(assertLoginAllowed(" ANN@example.com "), (error) => {
+      assert.ok(error instanceof TooManyRequestsError);
+      assert.equal(error.retryAfter, 60);
+      return true;
+    });
+  });
+
+  test("counts every one of a burst of parallel failures", async () => {
+    await Promise.all(
+      Array.from({ length: 5 }, () => recordLoginFailure(email))
+    );
+    await assert.rejects(assertLoginAllowed(email), TooManyRequestsError);
+  });
+
+  test("forgets failures after a successful login", async () => {
+    for (let attempt = 0; attempt < 5; attempt += 1) {
+      await recordLoginFailure(email);
+    }
+    await clearLoginFailures(email);
+
+    await assertLoginAllowed(email);
+    await recordLoginFailure(email);
+    await assertLoginAllowed(email);
+  });
+});
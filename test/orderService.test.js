@@ -0,0 +1,93 @@
+import { after, before, beforeEach, describe, test } from "node:test";
+import assert from "node:assert/strict";
+import mongoose from "mongoose";
+import Order from "../models/Order.js";
+import Product from "../models/Product.js";
+import { createOrder, OrderError } from "../services/orderService.js";
+import { ensureDefaultShippingMethod } from "../services/pricingService.js";
+import { setPaymentProvider } from "../services/paymentService.js";
+import { createMockProvider } from "../services/paymentProviders.js";
+import { clearDatabase, startDatabase } from "./helpers/database.js";
+
+const database = await startDatabase();
+
+const address = {
+  name: "Test Customer",
+  street: "1 Main St",
+  city: "Springfield",
+  postalCode: "12345",
+  country: "US",
+};
+
+const placeOrder = (product, quantity = 1) =>
+  createOrder({
+    user: new mongoose.Types.ObjectId(),
+    items: [{ product: product._id.toString(), quantity }],
+    shippingAddress: address,
+    paymentMethod: "credit_card",
+  });
+
+describe("createOrder under concurrent load", { skip: database.skip }, () => {
+  before(() => {
+    setPaymentProvider(
+      createMockProvider({ secret: "test-secret", deliver: () => {} })
+    );
+  });
+
+  after(() => database.stop?.());
+
+  beforeEach(async () => {
+    await clearDatabase();
+    await ensureDefaultShippingMethod();
+  });
+
+  const createProduct = (inventory) =>
+    Product.create({
+      name: "Low stock lamp",
+      description: "Only a few left",
+      price: 25,
+      category: new mongoose.Types.ObjectId(),
+      sku: "LAMP-1",
+      inventory,
+    });
+
+  test("never sells more than the stock on hand", async () => {
+    const stock = 3;
+    const attempts = 10;
+    const product = await createProduct(stock);
+
+    const results = await Promise.allSettled(
+      Array.from({ length: attempts }, () => placeOrder(product))
+    );
+    const placed = results.filter((result) => result.status === "fulfilled");
+    const rejected = results.filter((result) => result.status === "rejected");
+
+    assert.equal(placed.length, stock);
+    assert.equal(rejected.length, attempts - stock);
+    for (const { reason } of rejected) {
+      assert.ok(reason instanceof OrderError, reason);
+      assert.match(reason.message, /Not enough inventory/);
+    }
+
+    const { inventory } = await Product.findById(product._id);
+    assert.equal(inventory, 0);
+    assert.equal(await Order.countDocuments(), stock);
+  });
+
+  test("takes no stock when a multi-unit order cannot be filled", async () => {
+    const product = await createProduct(5);
+
+    const results = await Promise.allSettled([
+      placeOrder(product, 3),
+      placeOrder(product, 3),
+      placeOrder(product, 3),
+    ]);
+
+    assert.equal(
+      results.filter((result) => result.status === "fulfilled").length,
+      1
+    );
+    const { inventory } = await Product.findById(product._id);
+    assert.equal(inventory, 2);
+  });
+});
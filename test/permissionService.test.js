@@ -0,0 +1,60 @@
+import { after, beforeEach, describe, test } from "node:test";
+import assert from "node:assert/strict";
+import mongoose from "mongoose";
+import Role from "../models/Role.js";
+import {
+  assertCanAssignRole,
+  clearPermissionCache,
+  ensureDefaultRoles,
+} from "../services/permissionService.js";
+import { ForbiddenError } from "../utils/errors.js";
+import { clearDatabase, startDatabase } from "./helpers/database.js";
+
+const database = await startDatabase();
+
+const user = (role) => ({ _id: new mongoose.Types.ObjectId(), role });
+
+describe("assertCanAssignRole", { skip: database.skip }, () => {
+  after(() => database.stop?.());
+
+  beforeEach(async () => {
+    await clearDatabase();
+    clearPermissionCache();
+    await ensureDefaultRoles();
+    await Role.create([
+      { name: "support", permissions: ["roles:assign", "orders:read"] },
+      { name: "viewer", permissions: ["orders:read"] },
+      { name: "manager", permissions: ["roles:assign", "users:write"] },
+    ]);
+  });
+
+  test("lets a user hand out roles within their own permissions", async () => {
+    await assertCanAssignRole(user("support"), user("user"), "viewer");
+  });
+
+  test("refuses roles with permissions the actor lacks", async () => {
+    await assert.rejects(
+      assertCanAssignRole(user("support"), user("user"), "admin"),
+      ForbiddenError
+    );
+    await assert.rejects(
+      assertCanAssignRole(user("support"), user("user"), "manager"),
+      ForbiddenError
+    );
+  });
+
+  test("refuses changing a user with more permissions", async () => {
+    await assert.rejects(
+      assertCanAssignRole(user("support"), user("admin"), "viewer"),
+      ForbiddenError
+    );
+  });
+
+  test("refuses changing your own role", async () => {
+    const actor = user("admin");
+    await assert.rejects(
+      assertCanAssignRole(actor, actor, "user"),
+      /your own role/
+    );
+  });
+});
@@ -0,0 +1,50 @@
+import { after, beforeEach, describe, test } from "node:test";
+import assert from "node:assert/strict";
+import TaxRule from "../models/TaxRule.js";
+import {
+  calculateTax,
+  ensureDefaultTaxRule,
+} from "../services/pricingService.js";
+import { clearDatabase, startDatabase } from "./helpers/database.js";
+
+const database = await startDatabase();
+
+const line = { price: 50, quantity: 2, discount: 0 };
+
+describe("calculateTax", { skip: database.skip }, () => {
+  after(() => database.stop?.());
+
+  beforeEach(async () => {
+    await clearDatabase();
+    await ensureDefaultTaxRule();
+  });
+
+  test("charges the old flat 10% when no rules were set up", async () => {
+    const [tax] = await calculateTax([line], { country: "FR" });
+
+    assert.equal(tax.rate, 10);
+    assert.equal(tax.amount, 10);
+    assert.equal(await TaxRule.countDocuments(), 1);
+  });
+
+  test("prefers a rule for the shipping country", async () => {
+    await TaxRule.create({ name: "US sales tax", country: "US", rate: 5 });
+
+    const [us] = await calculateTax([line], { country: "us" });
+    const [fr] = await calculateTax([line], { country: "FR" });
+
+    assert.equal(us.rate, 5);
+    assert.equal(fr.rate, 10);
+  });
+
+  test("does not seed a default once rules exist", async () => {
+    await clearDatabase();
+    await TaxRule.create({ name: "US sales tax", country: "US", rate: 5 });
+    await ensureDefaultTaxRule();
+
+    const [tax] = await calculateTax([line], { country: "FR" });
+
+    assert.equal(tax.rate, 0);
+    assert.equal(await TaxRule.countDocuments(), 1);
+  });
+});
@@ -0,0 +1,45 @@
+import { after, before, beforeEach, describe, test } from "node:test";
+import assert from "node:assert/strict";
+import Category from "../models/Category.js";
+import Product from "../models/Product.js";
+import productRoutes from "../routes/products.js";
+import { clearDatabase, startDatabase } from "./helpers/database.js";
+import { createTestApp, request } from "./helpers/http.js";
+
+const database = await startDatabase();
+
+const app = createTestApp([["/api/products", productRoutes]]);
+
+describe("GET /api/products/search", { skip: database.skip }, () => {
+  before(() => Product.init());
+
+  after(() => database.stop?.());
+
+  beforeEach(async () => {
+    await clearDatabase();
+    const category = await Category.create({ name: "Lamps", slug: "lamps" });
+    await Product.create({
+      name: "Blue Desk Lamp",
+      description: "A lamp for the desk",
+      price: 25,
+      category: category._id,
+      sku: "LAMP-1",
+      inventory: 4,
+      isPublished: true,
+    });
+  });
+
+  for (const path of ["/api/products/search", "/api/products/search?q=lamp"]) {
+    test(`sends no internal fields (${path})`, async () => {
+      const response = await request(app, "GET", path);
+
+      assert.equal(response.status, 200);
+      assert.equal(response.body.products.length, 1);
+      const [product] = response.body.products;
+      assert.equal(product.name, "Blue Desk Lamp");
+      assert.equal(product.searchTerms, undefined);
+      assert.equal(product.score, undefined);
+      assert.equal(product.__v, undefined);
+    });
+  }
+});
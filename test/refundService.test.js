@@ -0,0 +1,84 @@
+import { after, before, beforeEach, describe, test } from "node:test";
+import assert from "node:assert/strict";
+import mongoose from "mongoose";
+import Product from "../models/Product.js";
+import { createOrder } from "../services/orderService.js";
+import { ensureDefaultShippingMethod } from "../services/pricingService.js";
+import { setPaymentProvider } from "../services/paymentService.js";
+import { createMockProvider } from "../services/paymentProviders.js";
+import { cancelOrder } from "../services/refundService.js";
+import { clearDatabase, startDatabase } from "./helpers/database.js";
+
+const database = await startDatabase();
+
+describe("cancelOrder", { skip: database.skip }, () => {
+  let product;
+
+  before(() => {
+    setPaymentProvider(
+      createMockProvider({ secret: "test-secret", deliver: () => {} })
+    );
+  });
+
+  after(() => database.stop?.());
+
+  beforeEach(async () => {
+    await clearDatabase();
+    await ensureDefaultShippingMethod();
+    product = await Product.create({
+      name: "Desk lamp",
+      description: "A lamp",
+      price: 25,
+      category: new mongoose.Types.ObjectId(),
+      sku: "LAMP-1",
+      inventory: 5,
+    });
+  });
+
+  const placeOrder = () =>
+    createOrder({
+      user: new mongoose.Types.ObjectId(),
+      items: [{ product: product._id.toString(), quantity: 2 }],
+      shippingAddress: {
+        name: "Test Customer",
+        street: "1 Main St",
+        city: "Springfield",
+        postalCode: "12345",
+        country: "US",
+      },
+      paymentMethod: "credit_card",
+    });
+
+  for (const status of ["pending", "failed"]) {
+    test(`restocks without a refund when the payment is ${status}`, async () => {
+      const order = await placeOrder();
+      order.paymentDetails.status = status;
+
+      const cancelled = await cancelOrder(order, {
+        actor: order.user,
+        reason: "Changed my mind",
+      });
+
+      assert.equal(cancelled.status, "cancelled");
+      assert.equal(cancelled.refunds.length, 0);
+      assert.equal(cancelled.refundedAmount || 0, 0);
+      const { inventory } = await Product.findById(product._id);
+      assert.equal(inventory, 5);
+    });
+  }
+
+  test("records a refund of the total when the payment was taken", async () => {
+    const order = await placeOrder();
+    order.paymentDetails.status = "completed";
+
+    const cancelled = await cancelOrder(order, {
+      actor: order.user,
+      reason: "Changed my mind",
+    });
+
+    assert.equal(cancelled.refunds.length, 1);
+    assert.equal(cancelled.refundedAmount, cancelled.total);
+    const { inventory } = await Product.findById(product._id);
+    assert.equal(inventory, 5);
+  });
+});
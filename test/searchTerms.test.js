@@ -0,0 +1,25 @@
+import { describe, test } from "node:test";
+import assert from "node:assert/strict";
+import Product, { searchTermsFor } from "../models/Product.js";
+
+describe("searchTermsFor", () => {
+  test("lists the name from each word on and the SKU, lowercased", () => {
+    assert.deepEqual(
+      searchTermsFor({ name: "Blue  Desk Lamp", sku: "LMP-01" }),
+      ["blue desk lamp", "desk lamp", "lamp", "lmp-01"]
+    );
+  });
+
+  test("is kept in sync when a product is validated", async () => {
+    const product = new Product({
+      name: "Oak Shelf",
+      description: "Shelf",
+      price: 10,
+      category: "64b7f0c2a1b2c3d4e5f60718",
+      sku: "SHELF-1",
+    });
+    await product.validate();
+    assert.deepEqual(product.searchTerms, ["oak shelf", "shelf", "shelf-1"]);
+    assert.equal(product.toJSON().searchTerms, undefined);
+  });
+});
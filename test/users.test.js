@@ -0,0 +1,106 @@
+import { after, beforeEach, describe, test } from "node:test";
+import assert from "node:assert/strict";
+import Role from "../models/Role.js";
+import User from "../models/User.js";
+import userRoutes from "../routes/users.js";
+import {
+  clearPermissionCache,
+  ensureDefaultRoles,
+} from "../services/permissionService.js";
+import { clearDatabase, startDatabase } from "./helpers/database.js";
+import { createTestApp, request, signIn } from "./helpers/http.js";
+
+const database = await startDatabase();
+
+const app = createTestApp([["/api/users", userRoutes]]);
+
+describe("managing other users", { skip: database.skip }, () => {
+  let admin;
+  let support;
+  let customer;
+  let supportToken;
+
+  after(() => database.stop?.());
+
+  beforeEach(async () => {
+    await clearDatabase();
+    clearPermissionCache();
+    await ensureDefaultRoles();
+    await Role.create({
+      name: "support",
+      permissions: ["users:read", "users:write", "users:delete"],
+    });
+    [admin, support, customer] = await User.create([
+      {
+        name: "Ada",
+        email: "ada@example.com",
+        password: "secret123",
+        role: "admin",
+      },
+      {
+        name: "Sam",
+        email: "sam@example.com",
+        password: "secret123",
+        role: "support",
+      },
+      {
+        name: "Cy",
+        email: "cy@example.com",
+        password: "secret123",
+        role: "user",
+      },
+    ]);
+    supportToken = await signIn(support);
+  });
+
+  test("refuses editing a user with more permissions", async () => {
+    const response = await request(app, "PUT", `/api/users/${admin._id}`, {
+      token: supportToken,
+      body: { email: "attacker@example.com" },
+    });
+
+    assert.equal(response.status, 403);
+    const stored = await User.findById(admin._id);
+    assert.equal(stored.email, "ada@example.com");
+  });
+
+  test("lets users:write edit users with fewer permissions", async () => {
+    const response = await request(app, "PUT", `/api/users/${customer._id}`, {
+      token: supportToken,
+      body: { name: "Cyrus" },
+    });
+
+    assert.equal(response.status, 200);
+    assert.equal(response.body.name, "Cyrus");
+  });
+
+  test("refuses deleting a user with more permissions", async () => {
+    const response = await request(app, "DELETE", `/api/users/${admin._id}`, {
+      token: supportToken,
+    });
+
+    assert.equal(response.status, 403);
+    assert.ok(await User.exists({ _id: admin._id }));
+  });
+
+  test("refuses deleting your own account", async () => {
+    const response = await request(app, "DELETE", `/api/users/${admin._id}`, {
+      token: await signIn(admin),
+    });
+
+    assert.equal(response.status, 403);
+    assert.ok(await User.exists({ _id: admin._id }));
+  });
+
+  test("lets users:delete remove users with fewer permissions", async () => {
+    const response = await request(
+      app,
+      "DELETE",
+      `/api/users/${customer._id}`,
+      { token: supportToken }
+    );
+
+    assert.equal(response.status, 200);
+    assert.equal(await User.exists({ _id: customer._id }), null);
+  });
+});
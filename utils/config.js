@@ -0,0 +1,153 @@
+import crypto from "crypto";
+
+// Settings read from the environment, checked once at startup. In
+// development (NODE_ENV "development" or "test") missing secrets are
+// replaced by random ones for the life of the process; anywhere else,
+// including when NODE_ENV is unset, the app refuses to start without them.
+//
+//   NODE_ENV                 "development" or "test" for local work
+//   MONGODB_URI              Database connection string (required)
+//   JWT_SECRET               Signs access tokens, at least 32 characters
+//   PAYMENT_WEBHOOK_SECRET   Signs payment provider webhooks
+//   CORS_ORIGINS             Comma-separated origins allowed to call the
+//                            API from a browser, or * for any. Defaults to
+//                            the origin of APP_URL.
+//   BODY_LIMIT               Largest JSON or form body accepted, e.g. 1mb
+//   TRUST_PROXY              Number of proxies in front of the app (1 on
+//                            Vercel), so req.ip is the client's address
+//   PORT
+
+const MIN_SECRET_LENGTH = 32;
+
+// Values copied from examples and tutorials, never acceptable as secrets
+const PLACEHOLDER_SECRETS = [
+  "your-secret-key",
+  "dev-payment-webhook-secret",
+  "secret",
+  "changeme",
+  "change-me",
+];
+
+const DEFAULT_BODY_LIMIT = "1mb";
+const BODY_LIMIT = /^\d+(\.\d+)?\s*(b|kb|mb)$/i;
+
+export class ConfigError extends Error {
+  constructor(problems) {
+    super(
+      `Invalid configuration:\n${problems
+        .map((problem) => `  - ${problem}`)
+        .join("\n")}`
+    );
+    this.name = "ConfigError";
+    this.problems = problems;
+  }
+}
+
+const isDevelopment = (env) => ["development", "test"].includes(env.NODE_ENV);
+
+// CORS origin used when CORS_ORIGINS is unset: the origin of APP_URL, which
+// may include a path (https://shop.example.com/app allows
+// https://shop.example.com)
+const defaultCorsOrigin = (env, development, problems) => {
+  if (!env.APP_URL) return development ? "http://localhost:3000" : "";
+  try {
+    return new URL(env.APP_URL).origin;
+  } catch {
+    problems.push(`APP_URL: "${env.APP_URL}" is not a URL`);
+    return "";
+  }
+};
+
+const parseOrigins = (value, problems) => {
+  const origins = value
+    .split(",")
+    .map((origin) => origin.trim().replace(/\/$/, ""))
+    .filter(Boolean);
+
+  for (const origin of origins) {
+    if (origin === "*") continue;
+    let parsed;
+    try {
+      parsed = new URL(origin);
+    } catch {
+      parsed = null;
+    }
+    if (!parsed || parsed.origin !== origin) {
+      problems.push(
+        `CORS_ORIGINS: "${origin}" is not an origin like https://shop.example.com`
+      );
+    }
+  }
+  return origins;
+};
+
+// Check the environment and return the settings, throwing a ConfigError
+// that lists every problem found
+export const loadConfig = (env = process.env) => {
+  const problems = [];
+  const development = isDevelopment(env);
+
+  const secret = (name) => {
+    const value = env[name];
+    if (!value) {
+      if (development) {
+        console.warn(
+          `${name} is not set; using a random value until the server restarts`
+        );
+        return crypto.randomBytes(32).toString("hex");
+      }
+      problems.push(`${name} is required`);
+      return undefined;
+    }
+    if (
+      !development &&
+      (value.length < MIN_SECRET_LENGTH || PLACEHOLDER_SECRETS.includes(value))
+    ) {
+      problems.push(
+        `${name} must be a random value of at least ${MIN_SECRET_LENGTH} characters`
+      );
+    }
+    return value;
+  };
+
+  if (!env.MONGODB_URI) problems.push("MONGODB_URI is required");
+
+  const jwtSecret = secret("JWT_SECRET");
+  const paymentWebhookSecret = secret("PAYMENT_WEBHOOK_SECRET");
+
+  const corsOrigins = parseOrigins(
+    env.CORS_ORIGINS ?? defaultCorsOrigin(env, development, problems),
+    problems
+  );
+
+  const bodyLimit = env.BODY_LIMIT || DEFAULT_BODY_LIMIT;
+  if (!BODY_LIMIT.test(bodyLimit)) {
+    problems.push("BODY_LIMIT must be a size like 100kb or 1mb");
+  }
+
+  const trustProxy = Number(env.TRUST_PROXY ?? (env.VERCEL ? 1 : 0));
+  if (!Number.isInteger(trustProxy) || trustProxy < 0) {
+    problems.push("TRUST_PROXY must be the number of proxies, e.g. 1");
+  }
+
+  if (problems.length) throw new ConfigError(problems);
+
+  return Object.freeze({
+    development,
+    port: Number(env.PORT) || 5000,
+    mongodbUri: env.MONGODB_URI,
+    jwtSecret,
+    paymentWebhookSecret,
+    corsOrigins,
+    bodyLimit,
+    trustProxy,
+  });
+};
+
+let config = null;
+
+// The settings for this process, loaded on first use
+export const getConfig = () => {
+  if (!config) config = loadConfig();
+  return config;
+};
@@ -0,0 +1,81 @@
+// Minimal RFC 4180 CSV reading and writing: comma separated, fields quoted
+// with double quotes when they contain commas, quotes or line breaks
+
+// Text that spreadsheet apps would run as a formula. Such fields are written
+// with a leading ' so they open as plain text, and read back without it.
+const FORMULA = /^[=+\-@\t\r]/;
+const GUARDED_FORMULA = /^'(?=[=+\-@\t\r])/;
+
+const escapeField = (value) => {
+  if (value === undefined || value === null) return "";
+  let text = String(value);
+  if (typeof value === "string" && FORMULA.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// Write rows of objects as CSV with a header line of the given columns
+export const toCsv = (columns, rows) =>
+  [columns, ...rows.map((row) => columns.map((column) => row[column]))]
+    .map((fields) => fields.map(escapeField).join(","))
+    .join("\r\n") + "\r\n";
+
+// Parse CSV text into arrays of fields, one per record
+const parseRecords = (text) => {
+  const records = [];
+  let record = [];
+  let field = "";
+  let inQuotes = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (inQuotes) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ",") {
+      record.push(field);
+      field = "";
+    } else if (char === "\n" || char === "\r") {
+      if (char === "\r" && text[i + 1] === "\n") i++;
+      record.push(field);
+      records.push(record);
+      record = [];
+      field = "";
+    } else {
+      field += char;
+    }
+  }
+
+  if (inQuotes) throw new Error("Unterminated quoted field");
+  if (field || record.length) {
+    record.push(field);
+    records.push(record);
+  }
+
+  // Blank lines carry no data
+  return records.filter((fields) => fields.length > 1 || fields[0] !== "");
+};
+
+// Parse CSV text with a header line into one object per record, keyed by
+// the header names
+export const parseCsv = (text) => {
+  const [header = [], ...records] = parseRecords(text.replace(/^\uFEFF/, ""));
+  const columns = header.map((name) => name.trim());
+
+  return records.map((fields) =>
+    Object.fromEntries(
+      columns.map((column, i) => [
+        column,
+        (fields[i] ?? "").replace(GUARDED_FORMULA, ""),
+      ])
+    )
+  );
+};
@@ -0,0 +1,2 @@
+// Round an amount to whole cents
+export const roundCurrency = (value) => Math.round(value * 100) / 100;
@@ -0,0 +1,80 @@
+// Errors with an HTTP status, for the error middleware to turn into a
+// response. Anything else thrown from a route is treated as a 500.
+
+// Machine-readable code for each status, sent alongside the message
+const CODES = {
+  400: "BAD_REQUEST",
+  401: "UNAUTHORIZED",
+  403: "FORBIDDEN",
+  404: "NOT_FOUND",
+  409: "CONFLICT",
+  413: "PAYLOAD_TOO_LARGE",
+  422: "UNPROCESSABLE_ENTITY",
+  429: "TOO_MANY_REQUESTS",
+  500: "INTERNAL_ERROR",
+  502: "BAD_GATEWAY",
+};
+
+export const errorCode = (status) =>
+  CODES[status] || (status < 500 ? "BAD_REQUEST" : "INTERNAL_ERROR");
+
+// Base class. details is a list of { field, message } for errors about
+// specific input fields.
+export class AppError extends Error {
+  constructor(message, status = 500, { code, details } = {}) {
+    super(message);
+    this.name = this.constructor.name;
+    this.status = status;
+    this.code = code || errorCode(status);
+    this.details = details;
+  }
+}
+
+export class BadRequestError extends AppError {
+  constructor(message = "Bad request", details) {
+    super(message, 400, { details });
+  }
+}
+
+export class UnauthorizedError extends AppError {
+  constructor(message = "Authentication required") {
+    super(message, 401);
+  }
+}
+
+export class ForbiddenError extends AppError {
+  constructor(message = "Access denied") {
+    super(message, 403);
+  }
+}
+
+export class NotFoundError extends AppError {
+  constructor(message = "Not found") {
+    super(message, 404);
+  }
+}
+
+export class ConflictError extends AppError {
+  constructor(message = "Conflict", details) {
+    super(message, 409, { details });
+  }
+}
+
+// Request input that failed validation, with one detail per problem
+export class ValidationError extends AppError {
+  constructor(details) {
+    super(details.map((detail) => detail.message).join("; "), 400, {
+      code: "VALIDATION_ERROR",
+      details,
+    });
+  }
+}
+
+// retryAfter is the number of seconds until the client may try again, sent
+// as the Retry-After header
+export class TooManyRequestsError extends AppError {
+  constructor(message = "Too many requests", retryAfter) {
+    super(message, 429);
+    this.retryAfter = retryAfter;
+  }
+}
@@ -0,0 +1,25 @@
+import crypto from "crypto";
+import { AsyncLocalStorage } from "async_hooks";
+
+// Per-request state (who is acting, from where) that code deep in a request,
+// such as model hooks, can read without it being passed down explicitly
+const storage = new AsyncLocalStorage();
+
+// Reuse a request id set by a proxy in front of us, otherwise make one
+const requestIdOf = (req) => {
+  const header = req.get("X-Request-Id");
+  return header && /^[\w.-]{1,128}$/.test(header)
+    ? header
+    : crypto.randomUUID();
+};
+
+export const requestContext = (req, res, next) => {
+  req.id = requestIdOf(req);
+  res.set("X-Request-Id", req.id);
+  storage.run(
+    { requestId: req.id, ip: req.ip, userAgent: req.headers["user-agent"] },
+    next
+  );
+};
+
+export const getRequestContext = () => storage.getStore();
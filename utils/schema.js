@@ -0,0 +1,380 @@
+// Small declarative schemas for request validation. A schema checks a value
+// and returns it cleaned up: numbers and booleans given as strings (query
+// strings, form fields) are coerced, and objects keep only the fields their
+// shape declares. Problems are collected as { field, message } rather than
+// stopping at the first one.
+//
+//   const schema = s.object({
+//     name: s.string({ min: 2 }).required(),
+//     price: s.number({ min: 0 }),
+//   });
+//   const { value, errors } = validateValue(schema, req.body);
+//
+// Fields are optional unless marked required. Custom messages replace the
+// generated ones for every problem with that field. toJsonSchema() turns a
+// schema into JSON Schema for the API docs.
+
+const OBJECT_ID = /^[0-9a-fA-F]{24}$/;
+const EMAIL = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const NUMBER = /^\s*-?(\d+\.?\d*|\.\d+)\s*$/;
+
+const label = (path) => path || "value";
+
+// Leave out options that were not given
+const compact = (fields) =>
+  Object.fromEntries(
+    Object.entries(fields).filter(([, value]) => value !== undefined)
+  );
+
+// Shared by every schema: requiredness, defaults, null handling, messages
+// and extra checks added with refine(). json() describes the value as JSON
+// Schema.
+const schema = (type, parse, json, extra = {}) => ({
+  type,
+  parse,
+  json,
+  isRequired: false,
+  isNullable: false,
+  defaultValue: undefined,
+  customMessage: undefined,
+  refinements: [],
+  ...extra,
+
+  required(message) {
+    return { ...this, isRequired: true, requiredMessage: message };
+  },
+  optional() {
+    return { ...this, isRequired: false };
+  },
+  nullable() {
+    return { ...this, isNullable: true };
+  },
+  default(value) {
+    return { ...this, defaultValue: value };
+  },
+  message(text) {
+    return { ...this, customMessage: text };
+  },
+  // check(value) returns a message (for this field), a list of
+  // { field, message } (fields relative to this one) or nothing when fine.
+  // Only runs once the value itself is valid.
+  refine(check) {
+    return { ...this, refinements: [...this.refinements, check] };
+  },
+});
+
+const join = (path, key) => (path ? `${path}.${key}` : String(key));
+
+// Check a value against a schema, adding problems to issues. Returns the
+// cleaned value, or undefined when it is missing or invalid.
+const run = (field, value, path, issues) => {
+  const fail = (message) => {
+    issues.push({
+      field: label(path),
+      message: field.customMessage || message,
+    });
+    return undefined;
+  };
+
+  // Empty query string and form values count as missing (or as null, to
+  // clear a nullable field), except for strings
+  if (value === "" && field.type !== "string") {
+    value = field.isNullable ? null : undefined;
+  }
+
+  if (value === undefined) {
+    if (field.defaultValue !== undefined) {
+      return typeof field.defaultValue === "function"
+        ? field.defaultValue()
+        : field.defaultValue;
+    }
+    if (field.isRequired) {
+      issues.push({
+        field: label(path),
+        message:
+          field.requiredMessage ||
+          field.customMessage ||
+          `${label(path)} is required`,
+      });
+    }
+    return undefined;
+  }
+
+  if (value === null) {
+    return field.isNullable ? null : fail(`${label(path)} must not be null`);
+  }
+
+  const before = issues.length;
+  const parsed = field.parse(value, path, issues, fail);
+  if (issues.length > before) return undefined;
+
+  for (const check of field.refinements) {
+    const result = check(parsed);
+    if (typeof result === "string") {
+      fail(result);
+    } else if (Array.isArray(result)) {
+      for (const issue of result) {
+        issues.push({ field: join(path, issue.field), message: issue.message });
+      }
+    }
+  }
+  return issues.length > before ? undefined : parsed;
+};
+
+// uppercase is applied before the pattern is checked
+const string = ({ min, max, pattern, trim = false, uppercase = false } = {}) =>
+  schema(
+    "string",
+    (value, path, issues, fail) => {
+      if (typeof value !== "string") {
+        return fail(`${label(path)} must be a string`);
+      }
+      let text = trim ? value.trim() : value;
+      if (uppercase) text = text.toUpperCase();
+      if (min !== undefined && text.length < min) {
+        return fail(`${label(path)} must be at least ${min} characters long`);
+      }
+      if (max !== undefined && text.length > max) {
+        return fail(`${label(path)} must be at most ${max} characters long`);
+      }
+      if (pattern && !pattern.test(text)) {
+        return fail(`${label(path)} has an invalid format`);
+      }
+      return text;
+    },
+    () =>
+      compact({
+        type: "string",
+        minLength: min,
+        maxLength: max,
+        pattern: pattern?.source,
+      })
+  );
+
+const number = ({ min, max, integer = false } = {}) =>
+  schema(
+    "number",
+    (value, path, issues, fail) => {
+      const n =
+        typeof value === "string" && NUMBER.test(value) ? Number(value) : value;
+      if (typeof n !== "number" || !Number.isFinite(n)) {
+        return fail(`${label(path)} must be a number`);
+      }
+      if (integer && !Number.isInteger(n)) {
+        return fail(`${label(path)} must be a whole number`);
+      }
+      if (min !== undefined && n < min) {
+        return fail(`${label(path)} must be at least ${min}`);
+      }
+      if (max !== undefined && n > max) {
+        return fail(`${label(path)} must be at most ${max}`);
+      }
+      return n;
+    },
+    () =>
+      compact({
+        type: integer ? "integer" : "number",
+        minimum: min,
+        maximum: max,
+      })
+  );
+
+const integer = (options) => number({ ...options, integer: true });
+
+const boolean = () =>
+  schema(
+    "boolean",
+    (value, path, issues, fail) => {
+      if (value === "true") return true;
+      if (value === "false") return false;
+      return typeof value === "boolean"
+        ? value
+        : fail(`${label(path)} must be true or false`);
+    },
+    () => ({ type: "boolean" })
+  );
+
+// ObjectIds are kept as strings; ObjectId instances are accepted too
+const objectId = () =>
+  schema(
+    "objectId",
+    (value, path, issues, fail) => {
+      const id = typeof value === "object" ? value?.toString() : value;
+      return typeof id === "string" && OBJECT_ID.test(id)
+        ? id
+        : fail(`${label(path)} must be a valid ID`);
+    },
+    () => ({ type: "string", pattern: OBJECT_ID.source })
+  );
+
+const email = () =>
+  schema(
+    "string",
+    (value, path, issues, fail) =>
+      typeof value === "string" && EMAIL.test(value.trim())
+        ? value.trim().toLowerCase()
+        : fail(`${label(path)} must be a valid email address`),
+    () => ({ type: "string", format: "email" })
+  );
+
+const date = () =>
+  schema(
+    "date",
+    (value, path, issues, fail) => {
+      const parsed =
+        typeof value === "string" ||
+        typeof value === "number" ||
+        value instanceof Date
+          ? new Date(value)
+          : null;
+      return parsed && !isNaN(parsed.getTime())
+        ? parsed
+        : fail(`${label(path)} must be a valid date`);
+    },
+    () => ({ type: "string", format: "date-time" })
+  );
+
+const oneOf = (values) =>
+  schema(
+    "enum",
+    (value, path, issues, fail) =>
+      values.includes(value)
+        ? value
+        : fail(`${label(path)} must be one of: ${values.join(", ")}`),
+    () => ({ enum: values })
+  );
+
+const array = (items, { min, max } = {}) =>
+  schema(
+    "array",
+    (value, path, issues, fail) => {
+      if (!Array.isArray(value)) return fail(`${label(path)} must be a list`);
+      if (min !== undefined && value.length < min) {
+        return fail(`${label(path)} must have at least ${min} item(s)`);
+      }
+      if (max !== undefined && value.length > max) {
+        return fail(`${label(path)} must have at most ${max} items`);
+      }
+      return value.map((item, index) =>
+        run(items, item, join(path, index), issues)
+      );
+    },
+    () =>
+      compact({
+        type: "array",
+        items: toJsonSchema(items),
+        minItems: min,
+        maxItems: max,
+      })
+  );
+
+// An object with known fields. Fields not in the shape are dropped, and
+// missing optional fields are left out rather than set to undefined.
+const object = (shape) =>
+  schema(
+    "object",
+    (value, path, issues, fail) => {
+      if (typeof value !== "object" || Array.isArray(value)) {
+        return fail(`${label(path)} must be an object`);
+      }
+      const result = {};
+      for (const [key, field] of Object.entries(shape)) {
+        const parsed = run(field, value[key], join(path, key), issues);
+        if (parsed !== undefined) result[key] = parsed;
+      }
+      return result;
+    },
+    () => {
+      const required = Object.keys(shape).filter(
+        (key) => shape[key].isRequired && shape[key].defaultValue === undefined
+      );
+      return compact({
+        type: "object",
+        properties: Object.fromEntries(
+          Object.entries(shape).map(([key, field]) => [
+            key,
+            toJsonSchema(field),
+          ])
+        ),
+        required: required.length ? required : undefined,
+      });
+    },
+    {
+      shape,
+      // The same object with every field optional and without defaults,
+      // for partial updates
+      partial() {
+        const fields = Object.entries(this.shape).map(([key, field]) => [
+          key,
+          { ...field, isRequired: false, defaultValue: undefined },
+        ]);
+        return {
+          ...object(Object.fromEntries(fields)),
+          refinements: this.refinements,
+        };
+      },
+      // The same object with more fields
+      extend(fields) {
+        return {
+          ...object({ ...this.shape, ...fields }),
+          refinements: this.refinements,
+        };
+      },
+    }
+  );
+
+// An object with arbitrary keys, each value checked against one schema
+const record = (values) =>
+  schema(
+    "object",
+    (value, path, issues, fail) => {
+      if (typeof value !== "object" || Array.isArray(value)) {
+        return fail(`${label(path)} must be an object`);
+      }
+      return Object.fromEntries(
+        Object.entries(value).map(([key, item]) => [
+          key,
+          run(values, item, join(path, key), issues),
+        ])
+      );
+    },
+    () => ({ type: "object", additionalProperties: toJsonSchema(values) })
+  );
+
+export const s = {
+  string,
+  number,
+  integer,
+  boolean,
+  objectId,
+  email,
+  date,
+  oneOf,
+  array,
+  object,
+  record,
+};
+
+// Check a value against a schema. Returns the cleaned value and every
+// problem found.
+export const validateValue = (fieldSchema, value, path = "") => {
+  const errors = [];
+  const cleaned = run(fieldSchema, value, path, errors);
+  return { value: cleaned, errors };
+};
+
+// Describe a schema as JSON Schema (the 2020-12 dialect used by OpenAPI 3.1)
+export const toJsonSchema = (fieldSchema) => {
+  const json = fieldSchema.json();
+  if (fieldSchema.isNullable) {
+    if (json.enum) json.enum = [...json.enum, null];
+    else json.type = [json.type, "null"];
+  }
+  if (
+    fieldSchema.defaultValue !== undefined &&
+    typeof fieldSchema.defaultValue !== "function"
+  ) {
+    json.default = fieldSchema.defaultValue;
+  }
+  return json;
+};